@@ -1,12 +1,133 @@
 import { useState, useRef, useEffect } from 'react';
 import { 
   detectContours, 
-  detectCoin,
+  detectReference,
+  detectRectangleReference,
+  warpPerspectiveImage,
+  undistortImage,
   calculatePPM, 
+  estimateReferencePPM,
+  twoPointPPMUncertainty,
   calculatePixelDistance,
   applyPPMToObject,
-  COIN_DIAMETER_MM
+  refineVertices,
+  snapToCorner,
+  smartSelectObject,
+  regionToObject
 } from './opencvUtils';
+import { DETECTION_STAGES, DETECTION_STRATEGIES, DEFAULT_DETECTION_STRATEGY, strategyParams } from './detectionPipeline';
+import { loadOpenCV, getOpenCVState, subscribeOpenCV } from './utils/opencvLoader';
+import {
+  DEFAULT_REFERENCE_ID,
+  createCustomReference,
+  getReferenceById,
+  getReferenceLengthMm,
+  isValidReference,
+  describeReference
+} from './utils/referenceObjects';
+import { applyHomography, planRectification } from './utils/homography';
+import {
+  outlineGeometry,
+  findNearestVertex,
+  findNearestEdge,
+  interiorAngles,
+  angleAt,
+  isPointInPolygon
+} from './utils/geometry';
+import { SHAPE_TYPES, fitShape, withShape } from './utils/shapeFit';
+import {
+  viewportSize,
+  createFitView,
+  createActualSizeView,
+  imageToCanvas,
+  canvasToImage,
+  zoomAt,
+  panBy
+} from './utils/viewTransform';
+import {
+  loadCameraProfiles,
+  getActiveCameraProfileId,
+  setActiveCameraProfileId
+} from './utils/cameraProfiles';
+import { CLICK_PRECISION_PX, EDGE_LOCALISATION_PX, angleSigma, formatWithUncertainty } from './utils/uncertainty';
+import {
+  PROJECT_FILE_EXTENSION,
+  createProject,
+  serializeProject,
+  parseProject
+} from './utils/projectFile';
+import { downloadFile, baseFileName } from './utils/download';
+import { UNITS, DEFAULT_UNIT, formatLength, formatArea } from './utils/units';
+import ReferenceSelector from './components/ReferenceSelector';
+import CameraProfilePanel from './components/CameraProfilePanel';
+import ExportPanel from './components/ExportPanel';
+import { drawObjects, drawDimensions, drawClearance, formatAngle } from './utils/overlayRenderer';
+import { measureClearance } from './utils/clearance';
+import {
+  createDimension,
+  nextDimensionName,
+  offsetThrough,
+  findDimensionHandle
+} from './utils/dimensions';
+import {
+  createHistory,
+  recordHistory,
+  amendHistory,
+  moveHistory,
+  canUndo,
+  canRedo
+} from './utils/history';
+import HistoryPanel from './components/HistoryPanel';
+import VertexRefinement from './components/VertexRefinement';
+import ShapeDimensions from './components/ShapeDimensions';
+import ObjectMetrics from './components/ObjectMetrics';
+import VertexAngles from './components/VertexAngles';
+import HoleList from './components/HoleList';
+import { holeGeometry } from './utils/holes';
+import DimensionList from './components/DimensionList';
+import VisionEngineStatus from './components/VisionEngineStatus';
+import DetectionTuningPanel from './components/DetectionTuningPanel';
+import { loadDetectionPresets } from './utils/detectionPresets';
+import ColourClassPanel from './components/ColourClassPanel';
+import SmartSelectPanel from './components/SmartSelectPanel';
+import MagicWandPanel from './components/MagicWandPanel';
+import { DEFAULT_WAND_TOLERANCE, wandRegion, regionPreview } from './utils/magicWand';
+import { sampleColour, createColourClass, colourMaskPreview, SAMPLE_RADIUS } from './utils/colourSegmentation';
+import Clearance from './components/Clearance';
+import ClearanceMatrix from './components/ClearanceMatrix';
+
+// Pointer distance (canvas px) that grabs a vertex or edge when editing vertices
+const VERTEX_HIT_RADIUS = 8;
+
+// Pointer travel (screen px) before a press on the canvas becomes a pan instead of a click
+const PAN_THRESHOLD_PX = 4;
+
+// Magnifier shown under the cursor while placing points
+const LOUPE_SIZE = 140; // canvas px
+const LOUPE_MAGNIFICATION = 4; // relative to the current zoom
+const LOUPE_MODES = ['manual_coin', 'create_object', 'rectify', 'set_datum', 'edit_vertices', 'measure_angle', 'ruler', 'eyedropper', 'smart_select', 'magic_wand'];
+
+// Distance of a new dimension line from the measured points, and between stacked
+// baseline dimensions, in canvas px
+const DIMENSION_OFFSET_PX = 24;
+
+// Clicks within this distance (canvas px) of a strong corner snap to it when snapping is on
+const SNAP_RADIUS = 12;
+
+// Detection re-runs this long (ms) after the last tuning slider change
+const TUNING_DEBOUNCE_MS = 400;
+
+// The eyedropper mask preview is computed on the image scaled to this longest side (px)
+const COLOUR_PREVIEW_SIZE = 800;
+
+// Smart select hint brush radius (screen px) to start with
+const SMART_SELECT_BRUSH_PX = 10;
+
+const REFINEMENT_METHODS = {
+  corners: 'sub-pixel corners',
+  lines: 'edge line fits',
+  snap: 'snapped to corners'
+};
 
 // Color palette for objects
 const COLORS = [
@@ -16,206 +137,755 @@ const COLORS = [
 
 function App() {
   // State management
-  const [mode, setMode] = useState('select'); // 'select', 'auto_coin', 'manual_coin', 'create_object'
-  const [ppm, setPpm] = useState(null);
-  const [coinDiameter, setCoinDiameter] = useState(null); // Store coin diameter in pixels
+  const [mode, setMode] = useState('select'); // 'select', 'auto_coin', 'manual_coin', 'create_object', 'smart_select', 'magic_wand', 'rectify', 'set_datum', 'edit_vertices', 'measure_angle', 'ruler', 'eyedropper'
+  const [calibration, setCalibration] = useState(null); // { ppm, ppmUncertainty, pixelDistance, reference, edge, method }
+  const [referenceId, setReferenceId] = useState(DEFAULT_REFERENCE_ID);
+  const [customReference, setCustomReference] = useState({ shape: 'circle', diameterMm: 25, widthMm: 100, heightMm: 50 });
+  const [referenceEdge, setReferenceEdge] = useState('width'); // Side of a rectangle measured manually
   const [imageSrc, setImageSrc] = useState(null);
+  const [imageName, setImageName] = useState(null); // Uploaded file name, used for saved file names
+  const [unit, setUnit] = useState(DEFAULT_UNIT); // Active display/export unit (values are stored in mm)
   const [imageDimensions, setImageDimensions] = useState({ width: 0, height: 0 });
+  const [vertexRefinement, setVertexRefinement] = useState('off'); // Refine detected vertices: 'off' | 'corners' | 'lines'
+  const [snapClicks, setSnapClicks] = useState(false); // Snap clicked points to the nearest strong corner
+  const [precisionError, setPrecisionError] = useState(null); // Last refinement/snapping failure, shown under the settings
+  const [detectionStrategy, setDetectionStrategy] = useState(DEFAULT_DETECTION_STRATEGY); // See DETECTION_STRATEGIES
+  const [detectionParams, setDetectionParams] = useState({}); // Overrides of the strategy's default parameters
+  const [detectionPreset, setDetectionPreset] = useState(null); // Name of the tuning preset the parameters came from
+  const [detectionPresets, setDetectionPresets] = useState(() => loadDetectionPresets());
+  const [eyedropperTarget, setEyedropperTarget] = useState('object'); // Class the next 'eyedropper' click adds: 'object' | 'background'
+  const [showColourMask, setShowColourMask] = useState(true);
+  const [colourPreview, setColourPreview] = useState(null); // Canvas with the eyedropper mask preview, see COLOUR_PREVIEW_SIZE
+  const [datum, setDatum] = useState(null); // CAD export origin in working-image px (null = top-left corner)
   const [objects, setObjects] = useState([]);
   const [selectedObjectId, setSelectedObjectId] = useState(null);
+  const [comparedObjectId, setComparedObjectId] = useState(null); // Second object (Shift+click) measured against the selected one
+  const [showClearanceMatrix, setShowClearanceMatrix] = useState(false);
   const [coinPoints, setCoinPoints] = useState([]);
   const [isProcessing, setIsProcessing] = useState(false);
-  const [canvasScale, setCanvasScale] = useState(1);
+  const [visionEngine, setVisionEngine] = useState(() => getOpenCVState()); // OpenCV load state, see utils/opencvLoader
+  const [detectionStage, setDetectionStage] = useState(null); // Current DETECTION_STAGES id while the worker detects
+  const [view, setView] = useState({ zoom: 1, offsetX: 0, offsetY: 0 }); // Canvas zoom/pan, see utils/viewTransform
+  const [loupe, setLoupe] = useState(null); // { canvas, display } pointer position for the magnifier
   const [newObjectPoints, setNewObjectPoints] = useState([]); // For manual object creation
   const [nextObjectId, setNextObjectId] = useState(1);
   const [mousePosition, setMousePosition] = useState(null); // For polygon builder preview
   const [detectionStats, setDetectionStats] = useState(null); // Store detection info
+  const [rectification, setRectification] = useState(null); // Original → rectified transform (see planRectification)
+  const [rectifyPoints, setRectifyPoints] = useState([]); // Corners clicked on the original photo
+  const [viewOriginal, setViewOriginal] = useState(false); // Draw overlays on the original photo
+  const [cameraProfiles, setCameraProfiles] = useState(() => loadCameraProfiles());
+  const [activeCameraProfileId, setActiveCameraProfileIdState] = useState(() => getActiveCameraProfileId());
+  const [appliedCameraProfile, setAppliedCameraProfile] = useState(null); // Profile used to undistort the current image
+  const [editVertexIndex, setEditVertexIndex] = useState(null); // Active vertex of the selected object in 'edit_vertices' mode
+  const [editHoleIndex, setEditHoleIndex] = useState(null); // Hole the active vertex belongs to (null: the outline)
+  const [showAngles, setShowAngles] = useState(false); // Draw the interior angle at every vertex
+  const [anglePoints, setAnglePoints] = useState([]); // Arm, vertex, arm clicked in 'measure_angle' mode, each with its σ (px)
+  const [dimensions, setDimensions] = useState([]); // Ruler dimension lines, see utils/dimensions
+  const [selectedDimensionId, setSelectedDimensionId] = useState(null);
+  const [rulerStart, setRulerStart] = useState(null); // { x, y, sigma, offset } first point of the dimension being placed
+  const [rulerChain, setRulerChain] = useState('off'); // 'off' | 'chain' (next starts at the last end) | 'baseline' (all from the first start)
+  const [history, setHistory] = useState(() => createHistory('Start', { objects: [], calibration: null, dimensions: [] }));
+  const [smartSelection, setSmartSelection] = useState(null); // { rect, strokes } dragged and brushed in 'smart_select' mode (px)
+  const [smartSelectTool, setSmartSelectTool] = useState('rect'); // 'rect' | 'foreground' | 'background'
+  const [smartSelectBrush, setSmartSelectBrush] = useState(SMART_SELECT_BRUSH_PX);
+  const [smartSelectResult, setSmartSelectResult] = useState(null); // GrabCut object for the current selection
+  const [isSmartSelecting, setIsSmartSelecting] = useState(false);
+  const [wandSeeds, setWandSeeds] = useState([]); // [{ x, y, op }] clicked in 'magic_wand' mode (px)
+  const [wandTolerance, setWandTolerance] = useState(DEFAULT_WAND_TOLERANCE);
+  const [wandPreviewTolerance, setWandPreviewTolerance] = useState(DEFAULT_WAND_TOLERANCE); // wandTolerance once the slider has been still for TUNING_DEBOUNCE_MS
+  const [wandArea, setWandArea] = useState(null); // Approximate area (px) of the region the seeds select
+  const [wandPreview, setWandPreview] = useState(null); // Canvas with the region tinted, drawn over the image, see COLOUR_PREVIEW_SIZE
 
   const canvasRef = useRef(null);
-  const imageRef = useRef(null);
+  const imageRef = useRef(null); // Working image: the upload, or its rectified view
+  const originalImageRef = useRef(null); // { src, img } of the uploaded photo
   const fileInputRef = useRef(null);
+  const projectInputRef = useRef(null);
+  const dragVertexRef = useRef(null); // { objectId, hole, index, key } while a vertex is being dragged
+  const dragDimensionRef = useRef(null); // { id, part, key } while a dimension end or line is being dragged
+  const smartSelectDragRef = useRef(null); // { start } while the rectangle is dragged, { stroke: true } while brushing
+  const smartSelectRunRef = useRef(0); // Bumped by every GrabCut run; an older run's result is dropped
+  const wandPixelsRef = useRef(null); // { src, image, scale } scaled-down RGBA pixels the magic wand preview fills
+  const wandTimerRef = useRef(null); // Pending debounced magic wand preview after a tolerance change
+  const pointersRef = useRef(new Map()); // Active pointers on the canvas (two = pinch zoom)
+  const panRef = useRef(null); // { x, y, moved } while the canvas is pressed
+  const suppressClickRef = useRef(false); // The press was a pan or pinch, not a click
+  const detectionControllerRef = useRef(null); // AbortController of the running upload or re-detect, aborted by the next one
+  const detectionRunRef = useRef(0); // Bumped by every detection run; an older run's results are dropped
+  const tuningTimerRef = useRef(null); // Pending debounced re-detection after a tuning change
+  const pendingHistoryRef = useRef(null); // { label, key, reset } describing the next objects/calibration change
+
+  const ppm = calibration ? calibration.ppm : null;
+  // Rectify mode always picks corners on the original photo
+  const showingOriginal = Boolean(rectification) && (viewOriginal || mode === 'rectify');
+  const reference = referenceId === 'custom'
+    ? createCustomReference(customReference)
+    : getReferenceById(referenceId);
+  // Clearance between the selected object and the Shift+clicked one
+  const clearanceFrom = objects.find(obj => obj.id === selectedObjectId);
+  const comparedObject = clearanceFrom && comparedObjectId !== selectedObjectId
+    ? objects.find(obj => obj.id === comparedObjectId)
+    : null;
+  const clearance = comparedObject
+    ? measureClearance(clearanceFrom, comparedObject, ppm, calibration?.ppmUncertainty)
+    : null;
+
+  // Build the reference object shown in the object list after calibration
+  const buildReferenceObject = (ref, pixelDistance, calculatedPpm, points = [], center = null) => {
+    const isCircle = ref.shape === 'circle';
+    const radius = pixelDistance / 2;
+    const edges = [];
+    for (let i = 0; i < points.length; i++) {
+      const p1 = points[i];
+      const p2 = points[(i + 1) % points.length];
+      edges.push({ start: p1, end: p2, pixelLength: calculatePixelDistance(p1, p2), realLength: null });
+    }
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const referenceObject = {
+      id: `coin_${Date.now()}`,
+      name: `${ref.name} (Reference)`,
+      color: '#F59E0B',
+      contour: points.length
+        ? { x: Math.min(...xs), y: Math.min(...ys), width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) }
+        : center
+          ? { x: center.x - radius, y: center.y - radius, width: pixelDistance, height: pixelDistance }
+          : { x: 0, y: 0, width: pixelDistance, height: pixelDistance },
+      points,
+      ...(isCircle && center ? { center } : {}),
+      edges,
+      angles: interiorAngles(points),
+      area: isCircle ? Math.PI * radius ** 2 : ref.widthMm * ref.heightMm * calculatedPpm * calculatedPpm,
+      perimeter: edges.length
+        ? edges.reduce((sum, e) => sum + e.pixelLength, 0)
+        : (isCircle ? Math.PI * pixelDistance : 2 * (ref.widthMm + ref.heightMm) * calculatedPpm),
+      isCoin: true,
+      referenceId: ref.id,
+      circularity: isCircle ? 1.0 : null,
+      pixelDistance
+    };
+    const calibrated = applyPPMToObject(referenceObject, calculatedPpm);
+    return {
+      ...calibrated,
+      measurements: {
+        ...calibrated.measurements,
+        ...(isCircle
+          ? { diameter: ref.diameterMm, perimeter: Math.round(ref.diameterMm * Math.PI * 100) / 100 }
+          : { width: ref.widthMm, height: ref.heightMm })
+      }
+    };
+  };
+
+  // Name the change to objects/calibration/dimensions made right after this call, in
+  // the same update. `key` merges consecutive changes (typing a name); `reset` starts a
+  // new history.
+  const recordChange = (label, options = {}) => {
+    pendingHistoryRef.current = { label, ...options };
+  };
+
+  // Store a new calibration and swap the reference object into the object list
+  const applyCalibration = (newCalibration, referenceObject) => {
+    recordChange(`Calibrate (${newCalibration.method})`);
+    setCalibration(newCalibration);
+    setObjects(prevObjects => {
+      const nonCoins = prevObjects.filter(obj => !obj.isCoin);
+      const calibratedObjects = nonCoins.map(obj => applyPPMToObject(obj, newCalibration.ppm, newCalibration.ppmUncertainty));
+      return [referenceObject, ...calibratedObjects];
+    });
+  };
+
+  // Object with new vertices from refineVertices, its geometry and shape recalculated (px only)
+  const withRefinedPoints = (obj, { points, shifts }, method) => withShape({
+    ...obj,
+    ...outlineGeometry(points),
+    points,
+    refinement: { method, shifts }
+  });
+
+  // refineVertices options for `method`: line fits find edges with the Edges strategy's
+  // Canny thresholds, as tuned in `params` (default: the current tuning)
+  const refinementOptions = (method, params = detectionParams) => {
+    const { cannyLow, cannyHigh } = strategyParams('edge', params);
+    return { method, cannyLow, cannyHigh };
+  };
+
+  // Snap a clicked point to the nearest strong corner when snapping is on.
+  // Returns the point to use; snapped points carry `snap`, the distance moved (px).
+  const snapPoint = async (imageDataUrl, point, imageScale) => {
+    if (!snapClicks) return point;
+    try {
+      const snapped = await snapToCorner(imageDataUrl, point, { radius: SNAP_RADIUS / imageScale });
+      setPrecisionError(null);
+      return snapped ? { ...snapped.point, snap: snapped.shift } : point;
+    } catch (error) {
+      console.error('Corner snapping failed:', error);
+      setPrecisionError(`Corner snapping failed: ${error.message || error}`);
+      return point;
+    }
+  };
+
+  // Position uncertainty (px) of clicked points: a snapped corner is as good as an
+  // edge localisation, otherwise it's the click precision at the current zoom
+  const clickedPointSigma = (points, imageScale) =>
+    points.every(p => p.snap !== undefined) ? EDGE_LOCALISATION_PX : CLICK_PRECISION_PX / imageScale;
+
+  // Run contour detection on an image and apply the given calibration to the results.
+  // `detection` ({ strategy, params, preset }) defaults to the current tuning.
+  // Aborting `signal` cancels the run (rejects with an AbortError).
+  const runDetection = async (dataUrl, currentCalibration, { signal, detection } = {}) => {
+    console.log('Starting contour detection...');
+    let detectedObjects;
+    try {
+      detectedObjects = await detectContours(
+        dataUrl,
+        detection || { strategy: detectionStrategy, params: detectionParams, preset: detectionPreset },
+        { onProgress: setDetectionStage, signal }
+      );
+    } finally {
+      setDetectionStage(null);
+    }
+    console.log('Contour detection completed, found', detectedObjects.length, 'objects');
+    
+    setDetectionStats({
+      totalFound: detectedObjects.length,
+      coins: detectedObjects.filter(o => o.isCoin).length,
+      objects: detectedObjects.filter(o => !o.isCoin).length
+    });
+    
+    // Set nextObjectId based on non-coin objects
+    const maxObjectNum = detectedObjects
+      .filter(obj => !obj.isCoin)
+      .reduce((max, obj) => {
+        const match = obj.name.match(/Object (\d+)/);
+        return match ? Math.max(max, parseInt(match[1])) : max;
+      }, 0);
+    setNextObjectId(maxObjectNum + 1);
+
+    // Optional sub-pixel refinement of the approxPolyDP vertices
+    if (vertexRefinement !== 'off') {
+      try {
+        const refined = await refineVertices(dataUrl, detectedObjects.map(obj => obj.points), refinementOptions(vertexRefinement, detection?.params));
+        detectedObjects = detectedObjects.map((obj, i) => withRefinedPoints(obj, refined[i], vertexRefinement));
+        setPrecisionError(null);
+      } catch (error) {
+        console.error('Vertex refinement failed:', error);
+        setPrecisionError(`Vertex refinement was skipped: ${error.message || error}`);
+      }
+    }
+    signal?.throwIfAborted();
+
+    // Objects already have unique IDs from detectContours
+    // Apply PPM if already calibrated
+    return currentCalibration
+      ? detectedObjects.map(obj => applyPPMToObject(obj, currentCalibration.ppm, currentCalibration.ppmUncertainty))
+      : detectedObjects;
+  };
+
+  // Make an image the working image (drawn on the canvas and used for detection)
+  const setWorkingImage = (dataUrl) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      imageRef.current = img;
+      setImageSrc(dataUrl);
+      setImageDimensions({ width: img.width, height: img.height });
+      setDatum(null); // Working-image coordinates changed
+      setDimensions([]);
+      setSelectedDimensionId(null);
+      setRulerStart(null);
+      setSmartSelection(null);
+      setSmartSelectResult(null);
+      setWandSeeds([]);
+      resolve(img);
+    };
+    img.onerror = () => reject(new Error('Failed to load image'));
+    img.src = dataUrl;
+  });
+
+  const handleActiveCameraProfileChange = (id) => {
+    setActiveCameraProfileId(id);
+    setActiveCameraProfileIdState(id);
+  };
 
   // Handle image upload
   const handleImageUpload = async (event) => {
     const file = event.target.files[0];
     if (!file) return;
 
+    // A new upload cancels detection still running on the previous one
+    detectionControllerRef.current?.abort();
+    const controller = new AbortController();
+    detectionControllerRef.current = controller;
+    detectionRunRef.current++;
+    clearTimeout(tuningTimerRef.current);
+
     const reader = new FileReader();
     reader.onload = async (e) => {
-      const dataUrl = e.target.result;
-      setImageSrc(dataUrl);
-      
-      const img = new Image();
-      img.onload = async () => {
-        setImageDimensions({ width: img.width, height: img.height });
-        imageRef.current = img;
-        
-        // Real contour detection with OpenCV
+      if (controller.signal.aborted) return;
+      let dataUrl = e.target.result;
+      setImageName(file.name);
+
+      // Remove lens distortion first so every later step sees straight edges
+      const cameraProfile = cameraProfiles.find(p => p.id === activeCameraProfileId) || null;
+      setAppliedCameraProfile(null);
+      if (cameraProfile) {
         setIsProcessing(true);
         try {
-          console.log('Starting contour detection...');
-          const detectedObjects = await detectContours(dataUrl);
-          console.log('Contour detection completed, found', detectedObjects.length, 'objects');
-          
-          setDetectionStats({
-            totalFound: detectedObjects.length,
-            coins: detectedObjects.filter(o => o.isCoin).length,
-            objects: detectedObjects.filter(o => !o.isCoin).length
-          });
-          
-          // Objects already have unique IDs from detectContours
-          // Apply PPM if already calibrated
-          const finalObjects = ppm 
-            ? detectedObjects.map(obj => applyPPMToObject(obj, ppm))
-            : detectedObjects;
-          
-          setObjects(finalObjects);
-          
-          // Set nextObjectId based on non-coin objects
-          const maxObjectNum = detectedObjects
-            .filter(obj => !obj.isCoin)
-            .reduce((max, obj) => {
-              const match = obj.name.match(/Object (\d+)/);
-              return match ? Math.max(max, parseInt(match[1])) : max;
-            }, 0);
-          setNextObjectId(maxObjectNum + 1);
+          dataUrl = await undistortImage(dataUrl, cameraProfile);
+          setAppliedCameraProfile(cameraProfile);
         } catch (error) {
-          console.error('Detection failed:', error);
-          alert('Failed to detect objects. Please try another image.\n\nError: ' + (error.message || error.toString()));
+          console.error('Lens correction failed:', error);
+          alert(`Lens correction with "${cameraProfile.name}" was skipped.\n\nError: ` + (error.message || error.toString()));
         } finally {
           setIsProcessing(false);
         }
-      };
-      img.src = dataUrl;
+        if (controller.signal.aborted) return;
+      }
+
+      const img = await setWorkingImage(dataUrl);
+      originalImageRef.current = { src: dataUrl, img };
+      setRectification(null);
+      setRectifyPoints([]);
+      setViewOriginal(false);
+      
+      // Without the vision engine the image is only shown; VisionEngineStatus says why
+      try {
+        await loadOpenCV();
+      } catch {
+        return;
+      }
+      if (controller.signal.aborted) return;
+
+      // Real contour detection with OpenCV
+      setIsProcessing(true);
+      try {
+        const detectedObjects = await runDetection(dataUrl, calibration, { signal: controller.signal });
+        recordChange('Detect objects', { reset: true });
+        setObjects(detectedObjects);
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Detection failed:', error);
+        alert('Failed to detect objects. Please try another image.\n\nError: ' + (error.message || error.toString()));
+      } finally {
+        // A newer upload or re-detect owns the spinner now
+        if (detectionControllerRef.current === controller) setIsProcessing(false);
+      }
     };
     reader.readAsDataURL(file);
   };
 
-  // Auto detect coin calibration
-  const handleAutoCalibrate = async () => {
-    if (!imageSrc) return;
-    
+  // Warp the original photo so the rectangular reference is seen straight on, then
+  // calibrate and re-run detection in the rectified space
+  // `cornerSigma` is the uncertainty (px) of each corner in the original photo.
+  const rectifyImage = async (corners, cornerSigma) => {
+    const original = originalImageRef.current;
+    if (!original) return;
+
     setIsProcessing(true);
     try {
-      const pixelDistance = await detectCoin(imageSrc);
-      const calculatedPpm = calculatePPM(pixelDistance);
-      setPpm(calculatedPpm);
-      setCoinDiameter(pixelDistance);
-      
-      // Create or update coin object
-      const coinObject = {
-        id: `coin_${Date.now()}`,
-        name: 'Coin (Reference)',
-        color: '#F59E0B',
-        contour: { x: 0, y: 0, width: pixelDistance, height: pixelDistance },
-        points: [],
-        edges: [],
-        area: Math.PI * (pixelDistance / 2) ** 2,
-        perimeter: COIN_DIAMETER_MM * Math.PI,
-        isCoin: true,
-        circularity: 1.0,
+      const plan = planRectification(corners, reference, { width: original.img.width, height: original.img.height });
+      const rectifiedSrc = await warpPerspectiveImage(original.src, plan.homography, plan.width, plan.height);
+      await setWorkingImage(rectifiedSrc);
+
+      const pixelDistance = plan.ppm * reference.widthMm;
+      const referenceObject = buildReferenceObject(reference, pixelDistance, plan.ppm, plan.referencePoints);
+      setRectification({ ...plan, reference });
+      const newCalibration = {
+        ppm: plan.ppm,
+        ppmUncertainty: twoPointPPMUncertainty(plan.ppm, plan.referencePixelLength, cornerSigma),
         pixelDistance,
-        measurements: {
-          edges: [],
-          perimeter: COIN_DIAMETER_MM * Math.PI,
-          diameter: COIN_DIAMETER_MM
-        }
+        reference,
+        edge: 'width',
+        method: 'perspective'
       };
-      
-      // Apply PPM to all existing objects and add coin
-      setObjects(prevObjects => {
-        const nonCoins = prevObjects.filter(obj => !obj.isCoin);
-        const calibratedObjects = nonCoins.map(obj => applyPPMToObject(obj, calculatedPpm));
-        return [coinObject, ...calibratedObjects];
+      recordChange('Correct perspective', { reset: true });
+      setCalibration(newCalibration);
+
+      // The reference itself is usually detected as an object too - drop that duplicate
+      const detectedObjects = (await runDetection(rectifiedSrc, newCalibration)).filter(obj => {
+        const cx = obj.contour.x + obj.contour.width / 2;
+        const cy = obj.contour.y + obj.contour.height / 2;
+        const areaRatio = obj.area / referenceObject.area;
+        return !(isPointInPolygon({ x: cx, y: cy }, referenceObject.points) && areaRatio > 0.8 && areaRatio < 1.2);
       });
-      
+      setObjects([referenceObject, ...detectedObjects]);
+      setSelectedObjectId(null);
+      setViewOriginal(false);
+      setMode('select');
+    } catch (error) {
+      console.error('Perspective correction failed:', error);
+      alert('Failed to correct perspective.\n\nError: ' + (error.message || error.toString()));
+    } finally {
+      setRectifyPoints([]);
+      setIsProcessing(false);
+    }
+  };
+
+  // Find the rectangular reference automatically and rectify from its corners
+  const handleAutoRectify = async () => {
+    const original = originalImageRef.current;
+    if (!original || !requireRectangleReference()) return;
+
+    setIsProcessing(true);
+    let detection;
+    try {
+      detection = await detectRectangleReference(original.src, reference);
+    } catch (error) {
+      console.error('Reference corner detection failed:', error);
+      alert(`Could not find the corners of the ${reference.name}.\n\nUse "Pick Corners" to click them by hand.`);
+      setIsProcessing(false);
+      return;
+    }
+    await rectifyImage(detection.points, EDGE_LOCALISATION_PX);
+  };
+
+  // Return to the uploaded photo, dropping the rectification and its calibration
+  const handleResetRectification = async () => {
+    const original = originalImageRef.current;
+    if (!original) return;
+
+    await setWorkingImage(original.src);
+    setRectification(null);
+    setViewOriginal(false);
+    recordChange('Remove perspective correction', { reset: true });
+    setCalibration(null);
+    setSelectedObjectId(null);
+    setIsProcessing(true);
+    try {
+      const detectedObjects = await runDetection(original.src, null);
+      recordChange('Detect objects', { reset: true });
+      setObjects(detectedObjects);
+    } catch (error) {
+      console.error('Detection failed:', error);
+      alert('Failed to detect objects.\n\nError: ' + (error.message || error.toString()));
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const requireRectangleReference = () => {
+    if (reference?.shape !== 'rectangle' || !isValidReference(reference)) {
+      alert('Perspective correction needs a rectangular reference (card, paper or custom rectangle).');
+      return false;
+    }
+    return true;
+  };
+
+  // Save the whole session (image, calibration, objects, settings) as a .bob file
+  const handleSaveProject = () => {
+    if (!imageSrc) return;
+    const project = createProject({
+      imageName,
+      imageSrc,
+      imageDimensions,
+      originalImageSrc: originalImageRef.current?.src,
+      calibration,
+      rectification,
+      cameraProfile: appliedCameraProfile,
+      objects,
+      dimensions,
+      nextObjectId,
+      settings: {
+        referenceId, customReference, referenceEdge, unit, datum, vertexRefinement, snapClicks,
+        detectionStrategy, detectionParams, detectionPreset
+      }
+    });
+    downloadFile(`${baseFileName(imageName)}${PROJECT_FILE_EXTENSION}`, serializeProject(project), 'application/json');
+  };
+
+  // Restore a saved .bob project exactly as it was saved
+  const handleOpenProject = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow reopening the same file
+    if (!file) return;
+
+    try {
+      const project = parseProject(await file.text());
+      const img = await setWorkingImage(project.image.dataUrl);
+      const originalSrc = project.originalImage?.dataUrl;
+      if (originalSrc) {
+        const originalImg = new Image();
+        originalImg.src = originalSrc;
+        await originalImg.decode();
+        originalImageRef.current = { src: originalSrc, img: originalImg };
+      } else {
+        originalImageRef.current = { src: project.image.dataUrl, img };
+      }
+
+      setImageName(project.image.name);
+      setRectification(project.rectification);
+      recordChange('Open project', { reset: true });
+      setCalibration(project.calibration);
+      setAppliedCameraProfile(project.cameraProfile);
+      // Projects saved before shape fitting, geometry metrics and vertex angles get them on open
+      setObjects(project.objects.map(original => {
+        const obj = original.angles === undefined && original.points
+          ? { ...original, angles: interiorAngles(original.points) }
+          : original;
+        if (obj.isCoin || !obj.points?.length) return obj;
+        const fitted = obj.shape !== undefined ? obj : withShape(obj);
+        return project.calibration?.ppm && (fitted !== obj || original.measurements?.metrics === undefined)
+          ? applyPPMToObject(fitted, project.calibration.ppm, project.calibration.ppmUncertainty)
+          : fitted;
+      }));
+      setDimensions(project.dimensions || []);
+      setNextObjectId(project.nextObjectId || 1);
+      if (project.settings) {
+        setReferenceId(project.settings.referenceId || DEFAULT_REFERENCE_ID);
+        if (project.settings.customReference) setCustomReference(project.settings.customReference);
+        setReferenceEdge(project.settings.referenceEdge || 'width');
+        setUnit(UNITS[project.settings.unit] ? project.settings.unit : DEFAULT_UNIT);
+        setDatum(project.settings.datum || null);
+        setVertexRefinement(project.settings.vertexRefinement || 'off');
+        setSnapClicks(Boolean(project.settings.snapClicks));
+        setDetectionStrategy(DETECTION_STRATEGIES[project.settings.detectionStrategy]
+          ? project.settings.detectionStrategy
+          : DEFAULT_DETECTION_STRATEGY);
+        setDetectionParams(project.settings.detectionParams || {});
+        setDetectionPreset(project.settings.detectionPreset || null);
+      }
+      setSelectedObjectId(null);
+      setViewOriginal(false);
+      setRectifyPoints([]);
+      setCoinPoints([]);
+      setNewObjectPoints([]);
+      setDetectionStats(null);
+      setMode('select');
+    } catch (error) {
+      console.error('Failed to open project:', error);
+      alert('Failed to open project.\n\nError: ' + (error.message || error.toString()));
+    }
+  };
+
+  // Objects the user made rather than detection: drawn by hand (manual_) or segmented
+  // with smart select / the magic wand (segmented_)
+  const isUserMadeObject = (obj) => obj.id.startsWith('manual_') || obj.id.startsWith('segmented_');
+
+  // Detect objects again on the working image, with the current tuning or `detection`
+  // ({ strategy, params, preset }). The reference and the user's own objects (drawn,
+  // smart-selected or magic-wand) are kept.
+  // A new run (or upload) cancels the previous one, so tuning changes never queue
+  // up full detections in the worker.
+  const handleRedetect = async (detection, historyStep = {}) => {
+    if (!imageSrc) return;
+    detectionControllerRef.current?.abort();
+    const controller = new AbortController();
+    detectionControllerRef.current = controller;
+    const run = ++detectionRunRef.current;
+    const { strategy, preset } = detection || { strategy: detectionStrategy, preset: detectionPreset };
+    setIsProcessing(true);
+    try {
+      const detectedObjects = await runDetection(imageSrc, calibration, {
+        signal: controller.signal,
+        detection
+      });
+      if (run !== detectionRunRef.current) return;
+      recordChange(historyStep.label || `Detect objects (${preset || DETECTION_STRATEGIES[strategy].label})`, historyStep);
+      setObjects(prev => [...prev.filter(obj => obj.referenceId || isUserMadeObject(obj)), ...detectedObjects]);
+      setSelectedObjectId(null);
+    } catch (error) {
+      if (error.name === 'AbortError' || run !== detectionRunRef.current) return;
+      console.error('Detection failed:', error);
+      alert('Failed to detect objects.\n\nError: ' + (error.message || error.toString()));
+    } finally {
+      if (run === detectionRunRef.current) setIsProcessing(false);
+    }
+  };
+
+  // New tuning from the Detection Tuning panel: re-detect on the current image once
+  // the sliders have been still for TUNING_DEBOUNCE_MS. Consecutive tuning runs share
+  // one history step.
+  const handleTuningChange = (detection) => {
+    setDetectionStrategy(detection.strategy);
+    setDetectionParams(detection.params);
+    setDetectionPreset(detection.preset);
+    clearTimeout(tuningTimerRef.current);
+    if (!imageSrc || visionEngine.status === 'failed') return;
+    tuningTimerRef.current = setTimeout(() => handleRedetect(detection, {
+      label: `Tune detection (${detection.preset || DETECTION_STRATEGIES[detection.strategy].label})`,
+      key: 'tune-detection'
+    }), TUNING_DEBOUNCE_MS);
+  };
+
+  // Eyedropper colour classes are parameters of the eyedropper strategy, so they re-run
+  // detection like any other tuning change
+  const { colourClasses, separateClasses } = strategyParams('eyedropper', detectionParams);
+  const updateColourClasses = (classes, separate) => handleTuningChange({
+    strategy: 'eyedropper',
+    params: { ...detectionParams, colourClasses: classes, separateClasses: separate },
+    preset: null
+  });
+
+  // Mean colour of the working image around (x, y), or null outside it
+  const sampleWorkingColour = (x, y) => {
+    const img = imageRef.current;
+    const left = Math.max(0, Math.round(x) - SAMPLE_RADIUS);
+    const top = Math.max(0, Math.round(y) - SAMPLE_RADIUS);
+    const width = Math.min(img.width, Math.round(x) + SAMPLE_RADIUS + 1) - left;
+    const height = Math.min(img.height, Math.round(y) + SAMPLE_RADIUS + 1) - top;
+    if (width <= 0 || height <= 0) return null;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, left, top, width, height, 0, 0, width, height);
+    return sampleColour(ctx.getImageData(0, 0, width, height), x - left, y - top);
+  };
+
+  // Auto detect the chosen reference object
+  const handleAutoCalibrate = async () => {
+    if (!imageSrc) return;
+    if (!isValidReference(reference)) {
+      alert('Enter the dimensions of the custom reference before calibrating.');
+      return;
+    }
+    
+    setIsProcessing(true);
+    try {
+      const detection = await detectReference(imageSrc, reference, { onProgress: setDetectionStage });
+      const { ppm: calculatedPpm, ppmUncertainty } = estimateReferencePPM(detection, reference);
+      const pixelDistance = reference.shape === 'circle' ? detection.pixelDistance : detection.pixelWidth;
+
+      applyCalibration(
+        { ppm: calculatedPpm, ppmUncertainty, pixelDistance, reference, edge: 'width', method: 'auto' },
+        buildReferenceObject(reference, pixelDistance, calculatedPpm, detection.points || [], detection.center)
+      );
       setMode('select');
     } catch (error) {
       console.error('Auto calibration failed:', error);
-      alert('Failed to detect coin automatically.\n\nTips:\n• Use a plain, contrasting background\n• Ensure good lighting without harsh shadows\n• Make sure the coin is fully visible\n• Try manual calibration instead');
+      alert(`Failed to detect the ${reference.name} automatically.\n\nTips:\n• Use a plain, contrasting background\n• Ensure good lighting without harsh shadows\n• Make sure the reference is fully visible\n• Try manual calibration instead`);
     } finally {
       setIsProcessing(false);
+      setDetectionStage(null);
     }
   };
 
-  // Manual coin calibration - handle canvas clicks
-  const handleCanvasClick = (event) => {
-    if (!imageSrc || !imageRef.current) return;
+  // Image shown on the canvas: the original photo or the working image
+  const getDisplayedImage = () => (showingOriginal ? originalImageRef.current?.img : imageRef.current);
+  const getDisplayedImageSize = () => {
+    const img = getDisplayedImage();
+    return { width: img.width, height: img.height };
+  };
 
+  // Client (screen) coordinates to canvas pixels - CSS may shrink the canvas
+  const clientToCanvas = (clientX, clientY) => {
     const canvas = canvasRef.current;
     const rect = canvas.getBoundingClientRect();
-    const img = imageRef.current;
-    
-    // Calculate the actual scale used to draw the image
-    const maxWidth = 1200;
-    const maxHeight = 800;
-    const imageScale = Math.min(maxWidth / img.width, maxHeight / img.height, 1);
-    
-    // Calculate scale factor between displayed canvas size and actual canvas size
-    const scaleX = canvas.width / rect.width;
-    const scaleY = canvas.height / rect.height;
-    
-    // Convert click coordinates to canvas coordinates, then to image coordinates
-    const canvasX = (event.clientX - rect.left) * scaleX;
-    const canvasY = (event.clientY - rect.top) * scaleY;
-    
-    // Convert from scaled canvas coordinates to original image coordinates
-    const x = canvasX / imageScale;
-    const y = canvasY / imageScale;
+    return {
+      x: (clientX - rect.left) * canvas.width / rect.width,
+      y: (clientY - rect.top) * canvas.height / rect.height
+    };
+  };
+
+  // Map a pointer event on the canvas to image coordinates through the view transform.
+  // Returns { canvas, display, working, imageScale }: `display` is in the image shown (the
+  // original photo when showing it), `working` in the working image (null if it maps off
+  // the plane) and `imageScale` the canvas px per displayed image px.
+  const getPointerPosition = (event) => {
+    const canvasPoint = clientToCanvas(event.clientX, event.clientY);
+    const display = canvasToImage(view, canvasPoint);
+
+    // Everything except corner picking works in the (possibly rectified) working image
+    const working = showingOriginal ? applyHomography(rectification.homography, display) : display;
+    return { canvas: canvasPoint, display, working, imageScale: view.zoom };
+  };
+
+  // Manual coin calibration - handle canvas clicks
+  const handleCanvasClick = async (event) => {
+    if (!imageSrc || !imageRef.current) return;
+    if (suppressClickRef.current) {
+      suppressClickRef.current = false;
+      return;
+    }
+
+    const { display, working: workingPoint, imageScale } = getPointerPosition(event);
+
+    if (mode === 'rectify') {
+      // Corners are picked on the original photo
+      const newPoints = [...rectifyPoints, await snapPoint(originalImageRef.current.src, display, imageScale)];
+      setRectifyPoints(newPoints);
+      if (newPoints.length === 4) {
+        rectifyImage(newPoints.map(({ x, y }) => ({ x, y })), clickedPointSigma(newPoints, imageScale));
+      }
+      return;
+    }
+
+    // Vertex editing is handled on mouse down
+    if (!workingPoint || mode === 'edit_vertices') return;
+    const { x, y } = workingPoint;
+
+    if (mode === 'set_datum') {
+      setDatum({ x, y });
+      setMode('select');
+      return;
+    }
+
+    if (mode === 'magic_wand') {
+      // Shift adds to the region, Alt subtracts from it, a plain click starts a new one
+      const op = event.altKey ? 'subtract' : 'add';
+      if (op === 'subtract' && !wandSeeds.length) return;
+      setWandSeeds(prev => (event.shiftKey || event.altKey ? [...prev, { x, y, op }] : [{ x, y, op }]));
+      return;
+    }
+
+    if (mode === 'eyedropper') {
+      const hsv = sampleWorkingColour(x, y);
+      if (!hsv) return;
+      const background = eyedropperTarget === 'background';
+      updateColourClasses([...colourClasses, createColourClass(hsv, colourClasses, { background })], separateClasses);
+      return;
+    }
 
     if (mode === 'manual_coin') {
-      const newPoints = [...coinPoints, { x, y }];
+      if (!isValidReference(reference)) {
+        alert('Enter the dimensions of the custom reference before calibrating.');
+        return;
+      }
+      const newPoints = [...coinPoints, await snapPoint(imageSrc, { x, y }, imageScale)];
       setCoinPoints(newPoints);
 
       if (newPoints.length === 2) {
         const pixelDistance = calculatePixelDistance(newPoints[0], newPoints[1]);
-        const calculatedPpm = calculatePPM(pixelDistance);
-        setPpm(calculatedPpm);
-        setCoinDiameter(pixelDistance);
-        
-        // Create coin object for manual calibration
-        const coinObject = {
-          id: `coin_${Date.now()}`,
-          name: 'Coin (Reference)',
-          color: '#F59E0B',
-          contour: { x: 0, y: 0, width: pixelDistance, height: pixelDistance },
-          points: [],
-          edges: [],
-          area: Math.PI * (pixelDistance / 2) ** 2,
-          perimeter: COIN_DIAMETER_MM * Math.PI,
-          isCoin: true,
-          circularity: 1.0,
-          pixelDistance,
-          measurements: {
-            edges: [],
-            perimeter: COIN_DIAMETER_MM * Math.PI,
-            diameter: COIN_DIAMETER_MM
-          }
-        };
+        const edge = reference.shape === 'rectangle' ? referenceEdge : 'width';
+        const calculatedPpm = calculatePPM(pixelDistance, getReferenceLengthMm(reference, edge));
+        // Two-point calibration is only as good as the clicks (in image pixels)
+        const ppmUncertainty = twoPointPPMUncertainty(calculatedPpm, pixelDistance, clickedPointSigma(newPoints, imageScale));
+        const snapShifts = newPoints.some(p => p.snap !== undefined) ? newPoints.map(p => p.snap ?? null) : undefined;
         
-        // Apply PPM to all existing objects and add coin
-        setObjects(prevObjects => {
-          const nonCoins = prevObjects.filter(obj => !obj.isCoin);
-          const calibratedObjects = nonCoins.map(obj => applyPPMToObject(obj, calculatedPpm));
-          return [coinObject, ...calibratedObjects];
-        });
+        applyCalibration(
+          { ppm: calculatedPpm, ppmUncertainty, pixelDistance, reference, edge, method: 'manual', snapShifts },
+          // A coin is measured across its diameter, so its centre is the midpoint of the clicks
+          buildReferenceObject(reference, pixelDistance, calculatedPpm, [], reference.shape === 'circle'
+            ? { x: (newPoints[0].x + newPoints[1].x) / 2, y: (newPoints[0].y + newPoints[1].y) / 2 }
+            : null)
+        );
         
         setCoinPoints([]);
         setMode('select');
       }
+    } else if (mode === 'measure_angle') {
+      const point = await snapPoint(imageSrc, { x, y }, imageScale);
+      const sigma = point.snap !== undefined ? EDGE_LOCALISATION_PX : CLICK_PRECISION_PX / imageScale;
+      // A click after a finished measurement starts a new one
+      setAnglePoints(prev => [...(prev.length >= 3 ? [] : prev), { ...point, sigma }]);
+    } else if (mode === 'ruler') {
+      const point = await snapPoint(imageSrc, { x, y }, imageScale);
+      const end = {
+        x: point.x,
+        y: point.y,
+        sigma: point.snap !== undefined ? EDGE_LOCALISATION_PX : CLICK_PRECISION_PX / imageScale
+      };
+      if (rulerStart) addDimension(rulerStart, end);
+      else setRulerStart({ ...end, offset: DIMENSION_OFFSET_PX / imageScale });
     } else if (mode === 'create_object') {
-      // Add point to new object
-      const newPoints = [...newObjectPoints, { x, y }];
-      setNewObjectPoints(newPoints);
-      
-      // If user clicks near the first point (within 10px), close the polygon
-      if (newPoints.length > 2) {
-        const firstPoint = newPoints[0];
-        const dist = calculatePixelDistance({ x, y }, firstPoint);
-        if (dist < 10) {
-          finishCreatingObject(newPoints.slice(0, -1)); // Remove the last duplicate point
-        }
+      // If user clicks near the first point (within 10 canvas px), close the polygon
+      if (newObjectPoints.length > 1 && calculatePixelDistance({ x, y }, newObjectPoints[0]) < 10 / imageScale) {
+        finishCreatingObject(newObjectPoints);
+        return;
       }
+
+      // Add point to new object
+      setNewObjectPoints([...newObjectPoints, await snapPoint(imageSrc, { x, y }, imageScale)]);
     } else if (mode === 'select') {
       // Find clicked object by checking if point is inside contour
       const clickedObject = objects.find(obj => {
@@ -229,54 +899,135 @@ function App() {
         }
       });
       
-      if (clickedObject) {
-        setSelectedObjectId(clickedObject.id);
-      } else {
-        setSelectedObjectId(null);
+      selectObject(clickedObject ? clickedObject.id : null, event.shiftKey);
+    }
+  };
+
+  // Add an object segmented from the image (smart select, magic wand) the way detected
+  // objects are added: optionally refined to sub-pixel vertices, then named, coloured
+  // and calibrated like a hand-drawn one. `label` starts the history step ("Smart-select").
+  const addSegmentedObject = async (segmented, label) => {
+    let obj = segmented;
+    if (vertexRefinement !== 'off') {
+      try {
+        const [refined] = await refineVertices(imageSrc, [obj.points], refinementOptions(vertexRefinement));
+        obj = withRefinedPoints(obj, refined, vertexRefinement);
+        setPrecisionError(null);
+      } catch (error) {
+        console.error('Vertex refinement failed:', error);
+        setPrecisionError(`Vertex refinement was skipped: ${error.message || error}`);
       }
     }
+
+    const nextObjectNumber = objects.filter(o => !o.isCoin).length + 1;
+    const newObject = {
+      ...obj,
+      id: `segmented_${Date.now()}_${nextObjectId}`,
+      name: `Object ${nextObjectNumber}`,
+      color: COLORS[(nextObjectNumber - 1) % COLORS.length]
+    };
+    const finalObject = ppm ? applyPPMToObject(newObject, ppm, calibration.ppmUncertainty) : newObject;
+
+    recordChange(`${label} ${finalObject.name}`);
+    setObjects(prev => [...prev, finalObject]);
+    setNextObjectId(prev => prev + 1);
+    setSelectedObjectId(finalObject.id);
   };
 
-  // Finish creating a new object from points
-  const finishCreatingObject = (points) => {
-    if (points.length < 3) {
-      alert('At least 3 points are needed to create an object');
-      setNewObjectPoints([]);
-      return;
+  // Run GrabCut on a smart selection; only the latest run's result is kept
+  const runSmartSelect = async (selection) => {
+    const run = ++smartSelectRunRef.current;
+    setIsSmartSelecting(true);
+    try {
+      const result = await smartSelectObject(imageSrc, selection, { onProgress: setDetectionStage });
+      if (run === smartSelectRunRef.current) setSmartSelectResult(result);
+    } catch (error) {
+      console.error('Smart select failed:', error);
+      if (run === smartSelectRunRef.current) alert('Smart select failed.\n\nError: ' + (error.message || error.toString()));
+    } finally {
+      if (run === smartSelectRunRef.current) {
+        setIsSmartSelecting(false);
+        setDetectionStage(null);
+      }
     }
+  };
 
-    // Calculate bounding box
-    const xs = points.map(p => p.x);
-    const ys = points.map(p => p.y);
-    const minX = Math.min(...xs);
-    const maxX = Math.max(...xs);
-    const minY = Math.min(...ys);
-    const maxY = Math.max(...ys);
+  const clearSmartSelection = () => {
+    smartSelectRunRef.current++;
+    smartSelectDragRef.current = null;
+    setSmartSelection(null);
+    setSmartSelectResult(null);
+    setSmartSelectTool('rect');
+    setIsSmartSelecting(false);
+  };
 
-    // Calculate edges
-    const edges = [];
-    let totalPerimeter = 0;
-    for (let i = 0; i < points.length; i++) {
-      const p1 = points[i];
-      const p2 = points[(i + 1) % points.length];
-      const length = calculatePixelDistance(p1, p2);
-      totalPerimeter += length;
-      edges.push({
-        start: p1,
-        end: p2,
-        pixelLength: length,
-        realLength: null
-      });
+  const acceptSmartSelection = async () => {
+    if (!smartSelectResult || isSmartSelecting) return;
+    const result = smartSelectResult;
+    clearSmartSelection();
+    setMode('select');
+    await addSegmentedObject(result, 'Smart-select');
+  };
+
+  // Move the magic wand tolerance slider; the preview follows once it has been still
+  // for TUNING_DEBOUNCE_MS
+  const handleWandToleranceChange = (tolerance) => {
+    setWandTolerance(tolerance);
+    clearTimeout(wandTimerRef.current);
+    wandTimerRef.current = setTimeout(() => setWandPreviewTolerance(tolerance), TUNING_DEBOUNCE_MS);
+  };
+
+  // Turn the magic wand region into an object, filled again at full resolution with the
+  // tolerance the preview shows (a slider move still being debounced isn't on screen yet)
+  const acceptWandSelection = async () => {
+    const img = imageRef.current;
+    if (!wandArea || !img || isProcessing) return;
+    setIsProcessing(true);
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = img.width;
+      canvas.height = img.height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0);
+      const region = wandRegion(ctx.getImageData(0, 0, img.width, img.height), wandSeeds, wandPreviewTolerance);
+      const obj = await regionToObject(region, { tolerance: wandPreviewTolerance });
+      if (!obj) {
+        alert('The selected region is too small to outline.');
+        return;
+      }
+      setWandSeeds([]);
+      setMode('select');
+      await addSegmentedObject(obj, 'Magic wand');
+    } catch (error) {
+      console.error('Magic wand failed:', error);
+      alert('Failed to create the object.\n\nError: ' + (error.message || error.toString()));
+    } finally {
+      setIsProcessing(false);
     }
+  };
 
-    // Calculate area using shoelace formula
-    let area = 0;
-    for (let i = 0; i < points.length; i++) {
-      const j = (i + 1) % points.length;
-      area += points[i].x * points[j].y;
-      area -= points[j].x * points[i].y;
+  // Select an object; with Shift, pick it as the second object to measure the
+  // clearance to from the one already selected
+  const selectObject = (id, compare = false) => {
+    if (compare && id && selectedObjectId && id !== selectedObjectId) {
+      setComparedObjectId(id);
+      return;
     }
-    area = Math.abs(area) / 2;
+    setComparedObjectId(null);
+    setSelectedObjectId(id);
+  };
+
+  // Finish creating a new object from points
+  const finishCreatingObject = (clickedPoints) => {
+    if (clickedPoints.length < 3) {
+      alert('At least 3 points are needed to create an object');
+      setNewObjectPoints([]);
+      return;
+    }
+    const points = clickedPoints.map(({ x, y }) => ({ x, y }));
+    const snapped = clickedPoints.some(p => p.snap !== undefined);
+
+    const { contour, edges, angles, area, perimeter } = outlineGeometry(points);
 
     // Calculate next object number (excluding coins)
     const nonCoinObjects = objects.filter(obj => !obj.isCoin);
@@ -286,17 +1037,16 @@ function App() {
       id: `manual_${Date.now()}_${nextObjectId}`, // Unique ID
       name: `Object ${nextObjectNumber}`,
       color: COLORS[(nextObjectNumber - 1) % COLORS.length],
-      contour: {
-        x: minX,
-        y: minY,
-        width: maxX - minX,
-        height: maxY - minY
-      },
+      contour,
       points: points,
       edges: edges,
+      angles,
       area: area,
-      perimeter: totalPerimeter,
+      perimeter,
       isCoin: false,
+      shape: fitShape(points),
+      vertexUncertainty: clickedPointSigma(clickedPoints, view.zoom), // Hand-placed vertices
+      ...(snapped ? { refinement: { method: 'snap', shifts: clickedPoints.map(p => p.snap ?? null) } } : {}),
       pixelDistance: null,
       measurements: {
         edges: edges.map(e => ({ pixelLength: e.pixelLength, realLength: null })),
@@ -305,8 +1055,9 @@ function App() {
     };
 
     // Apply PPM if available
-    const finalObject = ppm ? applyPPMToObject(newObject, ppm) : newObject;
+    const finalObject = ppm ? applyPPMToObject(newObject, ppm, calibration.ppmUncertainty) : newObject;
 
+    recordChange(`Create ${finalObject.name}`);
     setObjects(prev => {
       const updated = [...prev, finalObject];
       return updated;
@@ -317,21 +1068,520 @@ function App() {
     setSelectedObjectId(finalObject.id);
   };
 
-  // Point-in-polygon test
-  const isPointInPolygon = (point, polygon) => {
-    let inside = false;
-    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-      const xi = polygon[i].x, yi = polygon[i].y;
-      const xj = polygon[j].x, yj = polygon[j].y;
-      const intersect = ((yi > point.y) !== (yj > point.y)) &&
-        (point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi);
-      if (intersect) inside = !inside;
+  // Replace an object's vertices and recalculate its edges, area and measurements
+  // `changes` overrides fields of the edited object (e.g. a refinement record)
+  const updateObjectPoints = (id, points, label, { key = null, changes = {} } = {}) => {
+    recordChange(label, { key });
+    setObjects(prevObjects => prevObjects.map(obj => {
+      if (obj.id !== id) return obj;
+      const geometry = outlineGeometry(points);
+      const edited = withShape({
+        ...obj,
+        ...geometry,
+        points,
+        circularity: obj.circularity ? (4 * Math.PI * geometry.area) / (geometry.perimeter * geometry.perimeter) : obj.circularity,
+        // A hand-placed vertex is only as good as the click
+        vertexUncertainty: Math.max(obj.vertexUncertainty ?? 0, CLICK_PRECISION_PX / view.zoom),
+        refinement: null, // Hand edits invalidate the recorded refinement
+        measurements: {
+          edges: geometry.edges.map(e => ({ pixelLength: e.pixelLength, realLength: null })),
+          perimeter: null
+        },
+        ...changes
+      });
+      return ppm ? applyPPMToObject(edited, ppm, calibration.ppmUncertainty) : edited;
+    }));
+  };
+
+  // Replace an object's holes and recalculate its net area and hole measurements
+  const updateObjectHoles = (id, holes, label, { key = null } = {}) => {
+    recordChange(label, { key });
+    setObjects(prevObjects => prevObjects.map(obj => {
+      if (obj.id !== id) return obj;
+      const edited = {
+        ...obj,
+        holes,
+        vertexUncertainty: Math.max(obj.vertexUncertainty ?? 0, CLICK_PRECISION_PX / view.zoom)
+      };
+      return ppm ? applyPPMToObject(edited, ppm, calibration.ppmUncertainty) : edited;
+    }));
+  };
+
+  // Vertices of an object's outline (hole null) or of one of its holes
+  const ringPoints = (obj, hole) => (hole === null ? obj.points : obj.holes[hole].points);
+
+  // Replace the vertices of an object's outline or of one of its holes
+  const updateRingPoints = (obj, hole, points, label, options) => {
+    if (hole === null) {
+      updateObjectPoints(obj.id, points, label, options);
+    } else {
+      const holes = obj.holes.map((h, i) => (i === hole ? holeGeometry(points) : h));
+      updateObjectHoles(obj.id, holes, label, options);
     }
-    return inside;
   };
 
+  // "vertex 3 of Plate" or "vertex 3 of hole 1 of Plate"
+  const describeVertex = (obj, hole, index) =>
+    `vertex ${index + 1} of ${hole === null ? '' : `hole ${hole + 1} of `}${obj.name}`;
+
+  const deleteHole = (id, index) => {
+    const obj = objects.find(o => o.id === id);
+    if (!obj?.holes?.[index]) return;
+    updateObjectHoles(id, obj.holes.filter((_, i) => i !== index), `Delete hole ${index + 1} of ${obj.name}`);
+    setEditVertexIndex(null);
+    setEditHoleIndex(null);
+  };
+
+  // Override an object's shape classification; 'auto' goes back to the fitted one
+  const handleShapeTypeChange = (id, type) => {
+    const obj = objects.find(o => o.id === id);
+    if (!obj?.shape) return;
+    const shapeType = type === 'auto' ? obj.shape.autoType : type;
+    recordChange(`Set ${obj.name} shape to ${SHAPE_TYPES[shapeType]}`);
+    setObjects(prevObjects => prevObjects.map(o =>
+      o.id === id ? { ...o, shape: { ...o.shape, type: shapeType } } : o
+    ));
+  };
+
+  // Place a dimension line between two ruler points and get the next one ready:
+  // chained dimensions continue from this end, baseline ones share this start
+  // and stack further out so their lines don't overlap
+  const addDimension = (start, end) => {
+    if (calculatePixelDistance(start, end) === 0) return;
+    const dim = createDimension({
+      name: nextDimensionName(dimensions),
+      start,
+      end,
+      offset: start.offset,
+      pointUncertainty: Math.max(start.sigma, end.sigma)
+    });
+    recordChange(`Add dimension ${dim.name}`);
+    setDimensions(prev => [...prev, dim]);
+    setSelectedDimensionId(dim.id);
+    if (rulerChain === 'chain') setRulerStart({ ...end, offset: start.offset });
+    else if (rulerChain === 'baseline') setRulerStart({ ...start, offset: start.offset + DIMENSION_OFFSET_PX / view.zoom });
+    else setRulerStart(null);
+  };
+
+  const handleDimensionRename = (id, name) => {
+    recordChange(`Rename dimension to "${name}"`, { key: `dimension-name:${id}` });
+    setDimensions(prev => prev.map(dim => (dim.id === id ? { ...dim, name } : dim)));
+  };
+
+  const handleDeleteDimension = (id) => {
+    const name = dimensions.find(dim => dim.id === id)?.name;
+    recordChange(`Delete dimension ${name}`);
+    setDimensions(prev => prev.filter(dim => dim.id !== id));
+    if (selectedDimensionId === id) setSelectedDimensionId(null);
+  };
+
+  // Ruler mode: grab a dimension's end point, or its line to move it sideways.
+  // Returns true when the press was used.
+  const handleDimensionPointerDown = (event) => {
+    if (mode !== 'ruler' || rulerStart || !imageRef.current) return false;
+    const { working, imageScale } = getPointerPosition(event);
+    if (!working) return false;
+    const handle = findDimensionHandle(working, dimensions, VERTEX_HIT_RADIUS / imageScale);
+    if (!handle) return false;
+    setSelectedDimensionId(handle.id);
+    dragDimensionRef.current = { ...handle, key: `dimension-drag:${Date.now()}` };
+    suppressClickRef.current = true; // Releasing must not place a ruler point
+    return true;
+  };
+
+  const moveDimension = (drag, point) => {
+    const dim = dimensions.find(d => d.id === drag.id);
+    if (!dim) return;
+    recordChange(drag.part === 'line' ? `Move dimension ${dim.name}` : `Move ${drag.part} of dimension ${dim.name}`, { key: drag.key });
+    setDimensions(prev => prev.map(d => {
+      if (d.id !== drag.id) return d;
+      if (drag.part === 'line') return { ...d, offset: offsetThrough(d, point) };
+      // A dragged end point is only as good as the pointer
+      return { ...d, [drag.part]: point, pointUncertainty: Math.max(d.pointUncertainty, CLICK_PRECISION_PX / view.zoom) };
+    }));
+  };
+
+  // Move the selected object's vertices to sub-pixel positions
+  const handleRefineObject = async (id, method) => {
+    const obj = objects.find(o => o.id === id);
+    if (!obj?.points?.length) return;
+    setIsProcessing(true);
+    try {
+      const [result] = await refineVertices(imageSrc, [obj.points], refinementOptions(method));
+      updateObjectPoints(id, result.points, `Refine vertices of ${obj.name}`, {
+        changes: { refinement: { method, shifts: result.shifts }, vertexUncertainty: obj.vertexUncertainty }
+      });
+    } catch (error) {
+      console.error('Vertex refinement failed:', error);
+      alert('Failed to refine vertices.\n\nError: ' + (error.message || error.toString()));
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Start editing the selected object's vertices
+  const startVertexEditing = () => {
+    setEditVertexIndex(null);
+    setEditHoleIndex(null);
+    setNewObjectPoints([]);
+    setCoinPoints([]);
+    setMode('edit_vertices');
+  };
+
+  // Vertex editing: grab the vertex under the pointer, or insert one on the edge under it.
+  // Holes are edited like the outline. Returns true when the press was used.
+  const handleVertexPointerDown = (event) => {
+    if (mode !== 'edit_vertices' || !imageRef.current) return false;
+    const obj = objects.find(o => o.id === selectedObjectId);
+    if (!obj?.points?.length) return false;
+    const { working, imageScale } = getPointerPosition(event);
+    if (!working) return false;
+
+    const tolerance = VERTEX_HIT_RADIUS / imageScale;
+    const rings = [null, ...(obj.holes || []).map((_, i) => i)];
+    for (const hole of rings) {
+      const vertex = findNearestVertex(working, ringPoints(obj, hole), tolerance);
+      if (vertex >= 0) {
+        setEditVertexIndex(vertex);
+        setEditHoleIndex(hole);
+        dragVertexRef.current = { objectId: obj.id, hole, index: vertex, key: `drag:${Date.now()}` };
+        return true;
+      }
+    }
+
+    for (const hole of rings) {
+      const points = ringPoints(obj, hole);
+      const edge = findNearestEdge(working, points, tolerance);
+      if (edge) {
+        const index = edge.index + 1;
+        updateRingPoints(obj, hole, [...points.slice(0, index), edge.point, ...points.slice(index)],
+          hole === null ? `Insert vertex in ${obj.name}` : `Insert vertex in hole ${hole + 1} of ${obj.name}`);
+        setEditVertexIndex(index);
+        setEditHoleIndex(hole);
+        // Keep the button held to drag the new vertex straight away
+        dragVertexRef.current = { objectId: obj.id, hole, index, key: `drag:${Date.now()}` };
+        return true;
+      }
+    }
+    return false;
+  };
+
+  // Smart select: drag a new rectangle, or brush an object/background hint stroke.
+  // Returns true when the press was used.
+  const handleSmartSelectPointerDown = (event) => {
+    if (mode !== 'smart_select' || !imageRef.current) return false;
+    const { working, imageScale } = getPointerPosition(event);
+    if (!working) return false;
+    suppressClickRef.current = true;
+    if (smartSelectTool === 'rect' || !smartSelection) {
+      smartSelectRunRef.current++;
+      setSmartSelectResult(null);
+      setSmartSelection({ rect: { x: working.x, y: working.y, width: 0, height: 0 }, strokes: [] });
+      smartSelectDragRef.current = { start: working };
+    } else {
+      const stroke = { foreground: smartSelectTool === 'foreground', radius: smartSelectBrush / imageScale, points: [working] };
+      setSmartSelection(prev => ({ ...prev, strokes: [...prev.strokes, stroke] }));
+      smartSelectDragRef.current = { stroke: true };
+    }
+    return true;
+  };
+
+  const moveSmartSelect = (point) => {
+    const drag = smartSelectDragRef.current;
+    if (drag.start) {
+      const rect = {
+        x: Math.min(drag.start.x, point.x),
+        y: Math.min(drag.start.y, point.y),
+        width: Math.abs(point.x - drag.start.x),
+        height: Math.abs(point.y - drag.start.y)
+      };
+      setSmartSelection(prev => ({ ...prev, rect }));
+    } else {
+      setSmartSelection(prev => {
+        const strokes = [...prev.strokes];
+        const last = strokes[strokes.length - 1];
+        strokes[strokes.length - 1] = { ...last, points: [...last.points, point] };
+        return { ...prev, strokes };
+      });
+    }
+  };
+
+  // Press on the canvas: a second finger starts a pinch, otherwise grab a vertex
+  // (edit mode) or get ready to pan. The middle button always pans.
+  const handleCanvasPointerDown = (event) => {
+    if (!imageRef.current) return;
+    suppressClickRef.current = false;
+    pointersRef.current.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    event.currentTarget.setPointerCapture(event.pointerId);
+    if (pointersRef.current.size > 1) {
+      panRef.current = null;
+      dragVertexRef.current = null;
+      dragDimensionRef.current = null;
+      smartSelectDragRef.current = null;
+      return;
+    }
+    if (event.button !== 1 && (handleVertexPointerDown(event) || handleDimensionPointerDown(event) || handleSmartSelectPointerDown(event))) return;
+    panRef.current = { x: event.clientX, y: event.clientY, moved: false };
+  };
+
+  const handleCanvasPointerMove = (event) => {
+    if (!imageRef.current) return;
+    const pointers = pointersRef.current;
+    const previous = pointers.get(event.pointerId);
+    const current = { x: event.clientX, y: event.clientY };
+    if (previous) pointers.set(event.pointerId, current);
+
+    // Pinch: zoom by the change in finger distance and pan with their midpoint
+    if (pointers.size === 2 && previous) {
+      const other = [...pointers.entries()].find(([id]) => id !== event.pointerId)[1];
+      const before = clientToCanvas((previous.x + other.x) / 2, (previous.y + other.y) / 2);
+      const after = clientToCanvas((current.x + other.x) / 2, (current.y + other.y) / 2);
+      const factor = Math.hypot(current.x - other.x, current.y - other.y) /
+        (Math.hypot(previous.x - other.x, previous.y - other.y) || 1);
+      const imageSize = getDisplayedImageSize();
+      setView(v => panBy(zoomAt(v, factor, after, imageSize), after.x - before.x, after.y - before.y, imageSize));
+      suppressClickRef.current = true;
+      return;
+    }
+
+    const pan = panRef.current;
+    if (pan && (pan.moved || Math.hypot(current.x - pan.x, current.y - pan.y) >= PAN_THRESHOLD_PX)) {
+      const from = clientToCanvas(pan.x, pan.y);
+      const to = clientToCanvas(current.x, current.y);
+      const imageSize = getDisplayedImageSize();
+      setView(v => panBy(v, to.x - from.x, to.y - from.y, imageSize));
+      panRef.current = { ...current, moved: true };
+      setLoupe(null);
+      return;
+    }
+
+    const pointer = getPointerPosition(event);
+    setLoupe(LOUPE_MODES.includes(mode) ? { canvas: pointer.canvas, display: pointer.display } : null);
+
+    const drag = dragVertexRef.current;
+    if (mode === 'edit_vertices' && drag) {
+      const obj = objects.find(o => o.id === drag.objectId);
+      if (!pointer.working || !obj) return;
+      const points = ringPoints(obj, drag.hole).map((p, i) => (i === drag.index ? pointer.working : p));
+      updateRingPoints(obj, drag.hole, points, `Move ${describeVertex(obj, drag.hole, drag.index)}`, { key: drag.key });
+    } else if (mode === 'ruler' && dragDimensionRef.current) {
+      if (pointer.working) moveDimension(dragDimensionRef.current, pointer.working);
+    } else if (mode === 'smart_select' && smartSelectDragRef.current) {
+      if (pointer.working) moveSmartSelect(pointer.working);
+    } else if (mode === 'create_object' || mode === 'measure_angle' || mode === 'ruler') {
+      setMousePosition(pointer.working);
+    } else {
+      setMousePosition(null);
+    }
+  };
+
+  const handleCanvasPointerUp = (event) => {
+    pointersRef.current.delete(event.pointerId);
+    if (panRef.current?.moved) suppressClickRef.current = true;
+    panRef.current = null;
+    dragVertexRef.current = null;
+    dragDimensionRef.current = null;
+    // A finished rectangle or stroke (re)runs GrabCut
+    if (smartSelectDragRef.current && smartSelection) {
+      smartSelectDragRef.current = null;
+      if (smartSelection.rect.width >= 3 && smartSelection.rect.height >= 3) runSmartSelect(smartSelection);
+      else clearSmartSelection();
+    }
+  };
+
+  // Zoom around the centre of the canvas (toolbar buttons)
+  const zoomBy = (factor) => {
+    const imageSize = getDisplayedImageSize();
+    const viewport = viewportSize(imageSize);
+    setView(v => zoomAt(v, factor, { x: viewport.width / 2, y: viewport.height / 2 }, imageSize));
+  };
+
+  // Start loading OpenCV straight away and follow its load state
+  useEffect(() => {
+    const unsubscribe = subscribeOpenCV(setVisionEngine);
+    loadOpenCV().catch(() => {}); // Shown by VisionEngineStatus
+    return unsubscribe;
+  }, []);
+
+  // Live eyedropper mask preview, on a scaled-down copy of the working image
+  useEffect(() => {
+    const img = imageRef.current;
+    const { colourClasses: classes, separateClasses: separate } = strategyParams('eyedropper', detectionParams);
+    if (detectionStrategy !== 'eyedropper' || !showColourMask || !classes.length || !img) {
+      setColourPreview(null);
+      return;
+    }
+    const scale = Math.min(1, COLOUR_PREVIEW_SIZE / Math.max(img.width, img.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.width * scale));
+    canvas.height = Math.max(1, Math.round(img.height * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    const preview = colourMaskPreview(ctx.getImageData(0, 0, canvas.width, canvas.height), classes, { separate });
+    ctx.putImageData(new ImageData(preview.data, preview.width, preview.height), 0, 0);
+    setColourPreview(canvas);
+  }, [imageSrc, detectionStrategy, detectionParams, showColourMask]);
+
+  // Magic wand region preview on a scaled-down copy of the working image, recomputed
+  // on every click and (debounced) tolerance change. Creating the object fills again
+  // at full resolution.
+  useEffect(() => {
+    const img = imageRef.current;
+    if (mode !== 'magic_wand' || !wandSeeds.length || !img) {
+      setWandArea(null);
+      setWandPreview(null);
+      return;
+    }
+    if (wandPixelsRef.current?.src !== imageSrc) {
+      const scale = Math.min(1, COLOUR_PREVIEW_SIZE / Math.max(img.width, img.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(img.width * scale));
+      canvas.height = Math.max(1, Math.round(img.height * scale));
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      wandPixelsRef.current = { src: imageSrc, image: ctx.getImageData(0, 0, canvas.width, canvas.height), scale };
+    }
+    const { image, scale } = wandPixelsRef.current;
+    const seeds = wandSeeds.map(seed => ({ ...seed, x: seed.x * scale, y: seed.y * scale }));
+    const region = wandRegion(image, seeds, wandPreviewTolerance);
+    const preview = regionPreview(region);
+    const canvas = document.createElement('canvas');
+    canvas.width = region.width;
+    canvas.height = region.height;
+    canvas.getContext('2d').putImageData(new ImageData(preview.data, preview.width, preview.height), 0, 0);
+    setWandArea(Math.round(region.area / (scale * scale)));
+    setWandPreview(canvas);
+  }, [imageSrc, mode, wandSeeds, wandPreviewTolerance]);
+
+  // Leaving magic wand mode drops a pending preview update; coming back previews the
+  // slider's tolerance
+  useEffect(() => {
+    if (mode === 'magic_wand') return;
+    clearTimeout(wandTimerRef.current);
+    setWandPreviewTolerance(wandTolerance);
+  }, [mode, wandTolerance]);
+
+  // Debounced re-detection and wand previews must not fire after the app unmounts
+  useEffect(() => () => {
+    clearTimeout(tuningTimerRef.current);
+    clearTimeout(wandTimerRef.current);
+  }, []);
+
+  // Show the whole image whenever a different image is displayed
+  useEffect(() => {
+    const img = showingOriginal ? originalImageRef.current?.img : imageRef.current;
+    if (img) setView(createFitView({ width: img.width, height: img.height }));
+  }, [imageSrc, showingOriginal]);
+
+  // Mouse wheel / trackpad pinch zoom around the cursor. Registered natively because
+  // React's wheel listener is passive and can't stop the page from scrolling.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const img = showingOriginal ? originalImageRef.current?.img : imageRef.current;
+      if (!img) return;
+      const rect = canvas.getBoundingClientRect();
+      const point = {
+        x: (event.clientX - rect.left) * canvas.width / rect.width,
+        y: (event.clientY - rect.top) * canvas.height / rect.height
+      };
+      const delta = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY; // lines -> px
+      // Trackpad pinches arrive as wheel events with ctrlKey and small deltas
+      const factor = Math.exp(-delta * (event.ctrlKey ? 0.01 : 0.0015));
+      setView(v => zoomAt(v, factor, point, { width: img.width, height: img.height }));
+    };
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, [imageSrc, showingOriginal]);
+
+  // Arrow keys nudge the active vertex (Shift: 10px), Delete removes it, Escape finishes
+  useEffect(() => {
+    if (mode !== 'edit_vertices') return;
+    const handleKeyDown = (event) => {
+      if (event.target.closest?.('input, textarea, select')) return;
+      if (event.key === 'Escape') {
+        setMode('select');
+        return;
+      }
+      const obj = objects.find(o => o.id === selectedObjectId);
+      const ring = obj && (editHoleIndex === null ? obj.points : obj.holes?.[editHoleIndex]?.points);
+      const vertex = ring?.[editVertexIndex];
+      if (!vertex) return;
+      const description = describeVertex(obj, editHoleIndex, editVertexIndex);
+
+      if (event.key === 'Delete' || event.key === 'Backspace') {
+        event.preventDefault();
+        if (ring.length <= 3) return; // Keep a polygon
+        updateRingPoints(obj, editHoleIndex, ring.filter((_, i) => i !== editVertexIndex), `Delete ${description}`);
+        setEditVertexIndex(null);
+        return;
+      }
+
+      const step = event.shiftKey ? 10 : 1;
+      const offsets = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+      const offset = offsets[event.key];
+      if (!offset) return;
+      event.preventDefault();
+      const points = ring.map((p, i) => (i === editVertexIndex ? { x: p.x + offset[0], y: p.y + offset[1] } : p));
+      updateRingPoints(obj, editHoleIndex, points, `Nudge ${description}`, { key: `nudge:${obj.id}:${editHoleIndex}:${editVertexIndex}` });
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // Smart select: Enter creates the object, Escape clears the selection (or leaves the mode)
+  useEffect(() => {
+    if (mode !== 'smart_select') return;
+    const handleKeyDown = (event) => {
+      if (event.target.closest?.('input, textarea, select')) return;
+      if (event.key === 'Enter') {
+        acceptSmartSelection();
+      } else if (event.key === 'Escape') {
+        if (smartSelection) clearSmartSelection();
+        else setMode('select');
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // Magic wand: Enter creates the object, Escape clears the region (or leaves the mode)
+  useEffect(() => {
+    if (mode !== 'magic_wand') return;
+    const handleKeyDown = (event) => {
+      if (event.target.closest?.('input, textarea, select')) return;
+      if (event.key === 'Enter') {
+        acceptWandSelection();
+      } else if (event.key === 'Escape') {
+        if (wandSeeds.length) setWandSeeds([]);
+        else setMode('select');
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // Ruler mode: Escape drops the point placed so far, Delete removes the selected dimension
+  useEffect(() => {
+    if (mode !== 'ruler') return;
+    const handleKeyDown = (event) => {
+      if (event.target.closest?.('input, textarea, select')) return;
+      if (event.key === 'Escape') {
+        setRulerStart(null);
+      } else if ((event.key === 'Delete' || event.key === 'Backspace') && selectedDimensionId) {
+        event.preventDefault();
+        handleDeleteDimension(selectedDimensionId);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
   // Update object name
   const handleNameChange = (id, newName) => {
+    recordChange(`Rename to "${newName}"`, { key: `name:${id}` });
     setObjects(prevObjects =>
       prevObjects.map(obj =>
         obj.id === id ? { ...obj, name: newName } : obj
@@ -341,6 +1591,8 @@ function App() {
 
   // Update object color
   const handleColorChange = (id, newColor) => {
+    const name = objects.find(obj => obj.id === id)?.name;
+    recordChange(`Recolour ${name}`, { key: `color:${id}` });
     setObjects(prevObjects =>
       prevObjects.map(obj =>
         obj.id === id ? { ...obj, color: newColor } : obj
@@ -348,24 +1600,98 @@ function App() {
     );
   };
 
-  // Delete object
-  const handleDeleteObject = (id) => {
-    if (window.confirm('Are you sure you want to delete this object?')) {
-      setObjects(prevObjects => prevObjects.filter(obj => obj.id !== id));
-      if (selectedObjectId === id) {
-        setSelectedObjectId(null);
-      }
-    }
+  // Delete object
+  const handleDeleteObject = (id) => {
+    if (window.confirm('Are you sure you want to delete this object?')) {
+      const name = objects.find(obj => obj.id === id)?.name;
+      recordChange(`Delete ${name}`);
+      setObjects(prevObjects => prevObjects.filter(obj => obj.id !== id));
+      if (selectedObjectId === id) {
+        setSelectedObjectId(null);
+        if (mode === 'edit_vertices') setMode('select');
+      }
+    }
+  };
+
+  // Apply PPM to all objects when the calibration changes
+  useEffect(() => {
+    if (calibration && objects.length > 0) {
+      setObjects(prevObjects => 
+        prevObjects.map(obj => applyPPMToObject(obj, calibration.ppm, calibration.ppmUncertainty))
+      );
+    }
+  }, [calibration]);
+
+  // Record every change to objects/calibration/dimensions in the undo history. Named
+  // changes (recordChange) add a step; anything else, such as measurements recalculated
+  // after a calibration change, updates the current step.
+  useEffect(() => {
+    const pending = pendingHistoryRef.current;
+    pendingHistoryRef.current = null;
+    const state = { objects, calibration, dimensions };
+    setHistory(prev => {
+      if (pending?.reset) return createHistory(pending.label, state);
+      if (pending) return recordHistory(prev, pending.label, state, pending);
+      const current = prev.entries[prev.index].state;
+      // Nothing to do when the change was a restore from the history itself
+      if (current.objects === objects && current.calibration === calibration && current.dimensions === dimensions) return prev;
+      return amendHistory(prev, state);
+    });
+  }, [objects, calibration, dimensions]);
+
+  // A named change is committed with the state updates made alongside it. When none
+  // of them touched objects/calibration/dimensions (e.g. setting the calibration it
+  // already had) the effect above didn't take it, so drop it here rather than let it
+  // name the next, unrelated change.
+  useEffect(() => {
+    pendingHistoryRef.current = null;
+  });
+
+  // Put objects, calibration and dimensions back as they were at history step `index`
+  const restoreHistory = (index) => {
+    const next = moveHistory(history, index);
+    if (next.index === history.index) return;
+    const {
+      objects: restoredObjects,
+      calibration: restoredCalibration,
+      dimensions: restoredDimensions
+    } = next.entries[next.index].state;
+    setHistory(next);
+    setObjects(restoredObjects);
+    setCalibration(restoredCalibration);
+    setDimensions(restoredDimensions);
+    if (!restoredDimensions.some(dim => dim.id === selectedDimensionId)) setSelectedDimensionId(null);
+    if (!restoredObjects.some(obj => obj.id === selectedObjectId)) {
+      setSelectedObjectId(null);
+      if (mode === 'edit_vertices') setMode('select');
+    }
+  };
+
+  const handleUndo = () => {
+    // While drawing a new object, undo removes the last vertex placed
+    if (mode === 'create_object' && newObjectPoints.length > 0) {
+      setNewObjectPoints(prev => prev.slice(0, -1));
+      return;
+    }
+    if (canUndo(history)) restoreHistory(history.index - 1);
+  };
+
+  const handleRedo = () => {
+    if (canRedo(history)) restoreHistory(history.index + 1);
   };
 
-  // Apply PPM to all objects when PPM changes
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
   useEffect(() => {
-    if (ppm && objects.length > 0) {
-      setObjects(prevObjects => 
-        prevObjects.map(obj => applyPPMToObject(obj, ppm))
-      );
-    }
-  }, [ppm]);
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+      if (event.target.closest?.('input, textarea, select')) return;
+      event.preventDefault();
+      if (event.shiftKey) handleRedo();
+      else handleUndo();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
 
   // Draw canvas with image and overlays
   useEffect(() => {
@@ -373,146 +1699,65 @@ function App() {
 
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
-    const img = imageRef.current;
-
-    // Calculate scale to fit canvas
-    const maxWidth = 1200;
-    const maxHeight = 800;
-    const scale = Math.min(maxWidth / img.width, maxHeight / img.height, 1);
-    setCanvasScale(scale);
+    const img = showingOriginal ? originalImageRef.current.img : imageRef.current;
 
-    canvas.width = img.width * scale;
-    canvas.height = img.height * scale;
+    // The canvas is the image fitted into the viewport; zoom and pan move the image inside it
+    const viewport = viewportSize({ width: img.width, height: img.height });
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
 
     // Clear canvas
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-    // Draw image
-    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-
-    // Draw objects with actual contours
-    objects.forEach(obj => {
-      const isSelected = obj.id === selectedObjectId;
-      
-      if (obj.points && obj.points.length > 0) {
-        // Draw actual contour shape
-        ctx.beginPath();
-        const firstPoint = obj.points[0];
-        ctx.moveTo(firstPoint.x * scale, firstPoint.y * scale);
-        
-        for (let i = 1; i < obj.points.length; i++) {
-          ctx.lineTo(obj.points[i].x * scale, obj.points[i].y * scale);
-        }
-        ctx.closePath();
-
-        // Fill with semi-transparent color
-        ctx.fillStyle = obj.color + '40';
-        ctx.fill();
+    // Draw image (crisp pixels when zoomed in past 200%)
+    const origin = imageToCanvas(view, { x: 0, y: 0 });
+    ctx.imageSmoothingEnabled = view.zoom < 2;
+    ctx.drawImage(img, origin.x, origin.y, img.width * view.zoom, img.height * view.zoom);
+    ctx.imageSmoothingEnabled = true;
 
-        // Draw border
-        ctx.strokeStyle = obj.color;
-        ctx.lineWidth = isSelected ? 3 : 2;
-        ctx.stroke();
+    // Eyedropper mask preview (it covers the working image, so not over the original photo)
+    if (colourPreview && !showingOriginal) {
+      ctx.globalAlpha = 0.55;
+      ctx.drawImage(colourPreview, origin.x, origin.y, img.width * view.zoom, img.height * view.zoom);
+      ctx.globalAlpha = 1;
+    }
 
-        // Draw vertices
-        obj.points.forEach((point, idx) => {
-          ctx.fillStyle = obj.color;
-          ctx.beginPath();
-          ctx.arc(point.x * scale, point.y * scale, isSelected ? 5 : 3, 0, 2 * Math.PI);
-          ctx.fill();
-        });
+    // Magic wand region (on the working image too)
+    if (wandPreview && mode === 'magic_wand' && !showingOriginal) {
+      ctx.globalAlpha = 0.5;
+      ctx.drawImage(wandPreview, origin.x, origin.y, img.width * view.zoom, img.height * view.zoom);
+      ctx.globalAlpha = 1;
+    }
 
-        // Draw edge measurements and labels
-        if (obj.edges) {
-          obj.edges.forEach((edge, idx) => {
-            const midX = ((edge.start.x + edge.end.x) / 2) * scale;
-            const midY = ((edge.start.y + edge.end.y) / 2) * scale;
-            
-            // Calculate angle for label positioning
-            const dx = edge.end.x - edge.start.x;
-            const dy = edge.end.y - edge.start.y;
-            const angle = Math.atan2(dy, dx);
-            
-            // Build text with mm preferred, px as fallback
-            let text;
-            if (ppm && edge.realLength !== null && edge.realLength !== undefined) {
-              text = `E${idx + 1}: ${edge.realLength.toFixed(1)}mm`;
-            } else {
-              text = `E${idx + 1}: ${edge.pixelLength.toFixed(1)}px`;
-            }
-            
-            ctx.font = 'bold 10px sans-serif';
-            const metrics = ctx.measureText(text);
-            const textWidth = metrics.width;
-            const textHeight = 12;
-            
-            // Offset label perpendicular to edge
-            const offset = 15;
-            const labelX = midX + Math.cos(angle + Math.PI / 2) * offset;
-            const labelY = midY + Math.sin(angle + Math.PI / 2) * offset;
-            
-            // Draw text background
-            ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-            ctx.fillRect(labelX - textWidth / 2 - 3, labelY - textHeight - 3, textWidth + 6, textHeight + 6);
-            
-            // Draw text
-            ctx.fillStyle = '#FFFFFF';
-            ctx.fillText(text, labelX - textWidth / 2, labelY - 2);
-          });
-        }
+    // Map a working-image point to canvas pixels (through the inverse homography
+    // when the overlays are drawn on the original photo)
+    const toCanvas = (point) => {
+      const p = showingOriginal ? (applyHomography(rectification.inverse, point) || point) : point;
+      return imageToCanvas(view, p);
+    };
 
-        // Highlight selected
-        if (isSelected) {
-          ctx.strokeStyle = '#FFFFFF';
-          ctx.lineWidth = 4;
-          ctx.stroke();
-        }
-      } else {
-        // Fallback to bounding box
-        const { x, y, width, height } = obj.contour;
-        ctx.fillStyle = obj.color + '40';
-        ctx.fillRect(x * scale, y * scale, width * scale, height * scale);
-        ctx.strokeStyle = obj.color;
-        ctx.lineWidth = isSelected ? 3 : 2;
-        ctx.strokeRect(x * scale, y * scale, width * scale, height * scale);
-      }
+    // Draw objects with actual contours
+    drawObjects(ctx, objects, { toCanvas, selectedObjectId, comparedObjectId: comparedObject?.id, ppm, unit, showAngles });
+    drawDimensions(ctx, dimensions, { toCanvas, selectedDimensionId, ppm, unit });
+    if (comparedObject) drawClearance(ctx, measureClearance(clearanceFrom, comparedObject, ppm), { toCanvas, ppm, unit });
 
-      // Draw label in center of object
-      let centerX, centerY;
-      if (obj.points && obj.points.length > 0) {
-        // Calculate centroid of polygon
-        let sumX = 0, sumY = 0;
-        obj.points.forEach(p => {
-          sumX += p.x;
-          sumY += p.y;
-        });
-        centerX = (sumX / obj.points.length) * scale;
-        centerY = (sumY / obj.points.length) * scale;
-      } else {
-        // Use center of bounding box
-        centerX = (obj.contour.x + obj.contour.width / 2) * scale;
-        centerY = (obj.contour.y + obj.contour.height / 2) * scale;
+    // Dimension being placed with the ruler: its first point and a preview to the pointer
+    if (mode === 'ruler' && rulerStart) {
+      if (mousePosition) {
+        const preview = { id: 'preview', name: '', start: rulerStart, end: mousePosition, offset: rulerStart.offset, pointUncertainty: 0 };
+        drawDimensions(ctx, [preview], { toCanvas, selectedDimensionId: 'preview', ppm, unit });
       }
-      
-      ctx.font = 'bold 14px sans-serif';
-      const nameMetrics = ctx.measureText(obj.name);
-      const nameWidth = nameMetrics.width;
-      const nameHeight = 16;
-      
-      // Draw text background
-      ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-      ctx.fillRect(centerX - nameWidth / 2 - 4, centerY - nameHeight / 2 - 2, nameWidth + 8, nameHeight + 4);
-      
-      // Draw text
-      ctx.fillStyle = obj.color;
-      ctx.fillText(obj.name, centerX - nameWidth / 2, centerY + 5);
-    });
+      const { x, y } = toCanvas(rulerStart);
+      ctx.fillStyle = '#FACC15';
+      ctx.beginPath();
+      ctx.arc(x, y, 5, 0, 2 * Math.PI);
+      ctx.fill();
+    }
 
     // Draw manual coin calibration line
     if (mode === 'manual_coin' && coinPoints.length > 0) {
       coinPoints.forEach((point, index) => {
-        const x = point.x * scale;
-        const y = point.y * scale;
+        const { x, y } = toCanvas(point);
         
         ctx.fillStyle = '#F59E0B';
         ctx.beginPath();
@@ -525,8 +1770,7 @@ function App() {
         
         if (coinPoints.length === 2 && index === 0) {
           const point2 = coinPoints[1];
-          const x2 = point2.x * scale;
-          const y2 = point2.y * scale;
+          const { x: x2, y: y2 } = toCanvas(point2);
           
           ctx.strokeStyle = '#F59E0B';
           ctx.lineWidth = 3;
@@ -555,30 +1799,32 @@ function App() {
         ctx.lineWidth = 2;
         ctx.setLineDash([]);
         ctx.beginPath();
-        ctx.moveTo(newObjectPoints[0].x * scale, newObjectPoints[0].y * scale);
+        const first = toCanvas(newObjectPoints[0]);
+        ctx.moveTo(first.x, first.y);
         for (let i = 1; i < newObjectPoints.length; i++) {
-          ctx.lineTo(newObjectPoints[i].x * scale, newObjectPoints[i].y * scale);
+          const p = toCanvas(newObjectPoints[i]);
+          ctx.lineTo(p.x, p.y);
         }
         ctx.stroke();
       }
       
       // Draw dotted line from last point to mouse position
       if (mousePosition) {
-        const lastPoint = newObjectPoints[newObjectPoints.length - 1];
+        const lastPoint = toCanvas(newObjectPoints[newObjectPoints.length - 1]);
+        const mousePoint = toCanvas(mousePosition);
         ctx.strokeStyle = '#00FF00';
         ctx.lineWidth = 2;
         ctx.setLineDash([5, 5]);
         ctx.beginPath();
-        ctx.moveTo(lastPoint.x * scale, lastPoint.y * scale);
-        ctx.lineTo(mousePosition.x * scale, mousePosition.y * scale);
+        ctx.moveTo(lastPoint.x, lastPoint.y);
+        ctx.lineTo(mousePoint.x, mousePoint.y);
         ctx.stroke();
         ctx.setLineDash([]);
       }
       
       // Draw all points
-      newObjectPoints.forEach((point, index) => {
-        const x = point.x * scale;
-        const y = point.y * scale;
+      newObjectPoints.forEach((point) => {
+        const { x, y } = toCanvas(point);
         
         // Draw point
         ctx.fillStyle = '#00FF00';
@@ -590,7 +1836,191 @@ function App() {
         ctx.stroke();
       });
     }
-  }, [imageSrc, objects, selectedObjectId, coinPoints, mode, canvasScale, newObjectPoints, ppm, mousePosition]);
+
+    // Draw the angle being measured: two arms from the vertex (second click) and an arc
+    if (mode === 'measure_angle' && anglePoints.length > 0) {
+      const arms = anglePoints.length < 3 && mousePosition ? [...anglePoints, mousePosition] : anglePoints;
+      const canvasPoints = arms.map(toCanvas);
+      ctx.strokeStyle = '#FDE68A';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      canvasPoints.forEach((point, index) => {
+        if (index === 0) ctx.moveTo(point.x, point.y);
+        else ctx.lineTo(point.x, point.y);
+      });
+      ctx.stroke();
+
+      if (canvasPoints.length === 3) {
+        const [a, b, c] = canvasPoints;
+        const start = Math.atan2(a.y - b.y, a.x - b.x);
+        const end = Math.atan2(c.y - b.y, c.x - b.x);
+        const sweep = ((end - start) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+        const radius = Math.min(30, Math.hypot(a.x - b.x, a.y - b.y), Math.hypot(c.x - b.x, c.y - b.y));
+        ctx.beginPath();
+        ctx.arc(b.x, b.y, radius, start, end, sweep > Math.PI); // Always the smaller angle
+        ctx.stroke();
+
+        const mid = start + (sweep > Math.PI ? sweep - 2 * Math.PI : sweep) / 2;
+        const text = formatAngle(angleAt(arms[0], arms[1], arms[2]));
+        ctx.font = 'bold 14px sans-serif';
+        const textWidth = ctx.measureText(text).width;
+        const labelX = b.x + Math.cos(mid) * (radius + 20);
+        const labelY = b.y + Math.sin(mid) * (radius + 20);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(labelX - textWidth / 2 - 4, labelY - 12, textWidth + 8, 20);
+        ctx.fillStyle = '#FDE68A';
+        ctx.fillText(text, labelX - textWidth / 2, labelY + 3);
+      }
+
+      anglePoints.forEach((point) => {
+        const { x, y } = toCanvas(point);
+        ctx.fillStyle = '#FDE68A';
+        ctx.beginPath();
+        ctx.arc(x, y, 5, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+      });
+    }
+
+    // Smart select: hint strokes, the rectangle and the GrabCut result
+    if (mode === 'smart_select' && smartSelection) {
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      smartSelection.strokes.forEach(({ foreground, radius, points }) => {
+        ctx.strokeStyle = foreground ? 'rgba(16, 185, 129, 0.6)' : 'rgba(239, 68, 68, 0.6)';
+        ctx.lineWidth = 2 * radius * view.zoom;
+        ctx.beginPath();
+        points.map(toCanvas).forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+        if (points.length === 1) ctx.lineTo(toCanvas(points[0]).x + 0.1, toCanvas(points[0]).y);
+        ctx.stroke();
+      });
+      ctx.lineCap = 'butt';
+      ctx.lineJoin = 'miter';
+
+      const { x, y, width, height } = smartSelection.rect;
+      const corners = [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }].map(toCanvas);
+      ctx.strokeStyle = '#22D3EE';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      corners.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+      ctx.closePath();
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      if (smartSelectResult) {
+        ctx.beginPath();
+        [smartSelectResult.points, ...(smartSelectResult.holes || []).map(hole => hole.points)].forEach(ring => {
+          ring.map(toCanvas).forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+          ctx.closePath();
+        });
+        ctx.fillStyle = 'rgba(34, 211, 238, 0.25)';
+        ctx.fill('evenodd');
+        ctx.strokeStyle = '#22D3EE';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      }
+    }
+
+    // Draw vertex handles of the object being edited
+    if (mode === 'edit_vertices') {
+      const editing = objects.find(obj => obj.id === selectedObjectId);
+      const rings = editing ? [editing.points || [], ...(editing.holes || []).map(hole => hole.points)] : [];
+      rings.forEach((points, ring) => points.forEach((point, index) => {
+        const { x, y } = toCanvas(point);
+        const isActive = index === editVertexIndex && ring === (editHoleIndex === null ? 0 : editHoleIndex + 1);
+        ctx.fillStyle = isActive ? '#FACC15' : '#FFFFFF';
+        ctx.strokeStyle = editing.color;
+        ctx.lineWidth = 2;
+        ctx.fillRect(x - 5, y - 5, 10, 10);
+        ctx.strokeRect(x - 5, y - 5, 10, 10);
+      }));
+    }
+
+    // Draw the CAD export datum as a crosshair
+    if (datum) {
+      const { x, y } = toCanvas(datum);
+      ctx.strokeStyle = '#F472B6';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x - 12, y);
+      ctx.lineTo(x + 12, y);
+      ctx.moveTo(x, y - 12);
+      ctx.lineTo(x, y + 12);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(x, y, 6, 0, 2 * Math.PI);
+      ctx.stroke();
+      ctx.fillStyle = '#F472B6';
+      ctx.font = 'bold 12px sans-serif';
+      ctx.fillText('Datum', x + 10, y - 10);
+    }
+
+    // Draw reference corners picked for perspective correction (original photo coordinates)
+    if (mode === 'rectify' && rectifyPoints.length > 0) {
+      ctx.strokeStyle = '#22D3EE';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([5, 5]);
+      ctx.beginPath();
+      const canvasPoints = rectifyPoints.map(point => imageToCanvas(view, point));
+      canvasPoints.forEach((point, index) => {
+        if (index === 0) ctx.moveTo(point.x, point.y);
+        else ctx.lineTo(point.x, point.y);
+      });
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      canvasPoints.forEach((point, index) => {
+        ctx.fillStyle = '#22D3EE';
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 6, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.font = 'bold 12px sans-serif';
+        ctx.fillText(`${index + 1}`, point.x + 8, point.y - 8);
+      });
+    }
+
+    // Magnifier loupe under the cursor while placing points
+    if (loupe && LOUPE_MODES.includes(mode)) {
+      const zoom = view.zoom * LOUPE_MAGNIFICATION;
+      const half = LOUPE_SIZE / 2 / zoom; // image px shown either side of the cursor
+      // Beside the cursor, flipped away from the canvas edges
+      const gap = 24;
+      const lx = loupe.canvas.x + gap + LOUPE_SIZE > canvas.width ? loupe.canvas.x - gap - LOUPE_SIZE : loupe.canvas.x + gap;
+      const ly = loupe.canvas.y + gap + LOUPE_SIZE > canvas.height ? loupe.canvas.y - gap - LOUPE_SIZE : loupe.canvas.y + gap;
+      const cx = lx + LOUPE_SIZE / 2;
+      const cy = ly + LOUPE_SIZE / 2;
+
+      ctx.save();
+      ctx.beginPath();
+      ctx.arc(cx, cy, LOUPE_SIZE / 2, 0, 2 * Math.PI);
+      ctx.clip();
+      ctx.fillStyle = '#111827';
+      ctx.fillRect(lx, ly, LOUPE_SIZE, LOUPE_SIZE);
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(img, loupe.display.x - half, loupe.display.y - half, half * 2, half * 2, lx, ly, LOUPE_SIZE, LOUPE_SIZE);
+      ctx.strokeStyle = '#FF0000';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(cx - 10, cy);
+      ctx.lineTo(cx + 10, cy);
+      ctx.moveTo(cx, cy - 10);
+      ctx.lineTo(cx, cy + 10);
+      ctx.stroke();
+      ctx.restore();
+
+      ctx.strokeStyle = '#FFFFFF';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(cx, cy, LOUPE_SIZE / 2, 0, 2 * Math.PI);
+      ctx.stroke();
+    }
+  }, [imageSrc, objects, selectedObjectId, clearanceFrom, comparedObject, coinPoints, mode, view, newObjectPoints, ppm, mousePosition, rectification, rectifyPoints, showingOriginal, unit, datum, editVertexIndex, editHoleIndex, loupe, showAngles, anglePoints, dimensions, selectedDimensionId, rulerStart, colourPreview, smartSelection, smartSelectResult, wandPreview]);
 
   const selectedObject = objects.find(obj => obj.id === selectedObjectId);
 
@@ -608,6 +2038,26 @@ function App() {
               onChange={handleImageUpload}
               className="hidden"
             />
+            <input
+              ref={projectInputRef}
+              type="file"
+              accept={`${PROJECT_FILE_EXTENSION},application/json`}
+              onChange={handleOpenProject}
+              className="hidden"
+            />
+            <button
+              onClick={() => projectInputRef.current?.click()}
+              className="px-5 py-2.5 bg-gray-700 hover:bg-gray-600 rounded-lg transition-colors font-medium"
+            >
+              Open Project
+            </button>
+            <button
+              onClick={handleSaveProject}
+              disabled={!imageSrc}
+              className="px-5 py-2.5 bg-gray-700 hover:bg-gray-600 rounded-lg transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Save Project
+            </button>
             <button
               onClick={() => fileInputRef.current?.click()}
               className="px-5 py-2.5 bg-blue-600 hover:bg-blue-700 rounded-lg transition-colors font-medium"
@@ -623,6 +2073,8 @@ function App() {
         {/* Left Panel - Image/Canvas */}
         <div className="flex-1 p-4 overflow-auto bg-gray-800">
           <div className="flex flex-col items-center">
+            <VisionEngineStatus state={visionEngine} onRetry={() => loadOpenCV().catch(() => {})} />
+
             {!imageSrc ? (
               <div className="flex items-center justify-center h-full text-gray-400">
                 <div className="text-center">
@@ -637,6 +2089,16 @@ function App() {
               </div>
             ) : (
               <>
+                <ReferenceSelector
+                  referenceId={referenceId}
+                  onReferenceIdChange={setReferenceId}
+                  customReference={customReference}
+                  onCustomReferenceChange={setCustomReference}
+                  referenceEdge={referenceEdge}
+                  onReferenceEdgeChange={setReferenceEdge}
+                  reference={reference}
+                />
+
                 {/* Mode Toggle Buttons */}
                 <div className="mb-4 flex gap-2 flex-wrap justify-center">
                   <button
@@ -655,14 +2117,14 @@ function App() {
                   </button>
                   <button
                     onClick={handleAutoCalibrate}
-                    disabled={isProcessing}
+                    disabled={isProcessing || visionEngine.status === 'failed'}
                     className={`px-4 py-2 rounded-lg transition ${
                       isProcessing
                         ? 'bg-green-600 text-white'
                         : 'bg-gray-700 hover:bg-gray-600'
-                    } ${isProcessing ? 'opacity-50 cursor-not-allowed' : ''}`}
+                    } ${isProcessing || visionEngine.status === 'failed' ? 'opacity-50 cursor-not-allowed' : ''}`}
                   >
-                    {isProcessing ? 'Processing...' : 'Auto Detect Coin'}
+                    {isProcessing ? 'Processing...' : 'Auto Detect Reference'}
                   </button>
                   <button
                     onClick={() => {
@@ -676,7 +2138,7 @@ function App() {
                         : 'bg-gray-700 hover:bg-gray-600'
                     }`}
                   >
-                    Manual Coin Calibration
+                    Manual Calibration
                   </button>
                   <button
                     onClick={() => {
@@ -692,6 +2154,81 @@ function App() {
                   >
                     Create Object
                   </button>
+                  <button
+                    onClick={() => {
+                      setMode('measure_angle');
+                      setAnglePoints([]);
+                      setNewObjectPoints([]);
+                      setCoinPoints([]);
+                    }}
+                    className={`px-4 py-2 rounded-lg transition ${
+                      mode === 'measure_angle'
+                        ? 'bg-amber-600 text-white'
+                        : 'bg-gray-700 hover:bg-gray-600'
+                    }`}
+                  >
+                    Measure Angle
+                  </button>
+                  <button
+                    onClick={() => {
+                      setMode('ruler');
+                      setRulerStart(null);
+                      setNewObjectPoints([]);
+                      setCoinPoints([]);
+                    }}
+                    className={`px-4 py-2 rounded-lg transition ${
+                      mode === 'ruler'
+                        ? 'bg-teal-600 text-white'
+                        : 'bg-gray-700 hover:bg-gray-600'
+                    }`}
+                  >
+                    Ruler
+                  </button>
+                  {mode === 'ruler' && (
+                    <select
+                      value={rulerChain}
+                      onChange={(e) => {
+                        setRulerChain(e.target.value);
+                        setRulerStart(null);
+                      }}
+                      className="px-2 py-2 bg-gray-700 rounded-lg border border-gray-600 text-white text-sm"
+                      title="How the next dimension starts"
+                    >
+                      <option value="off">Single dimensions</option>
+                      <option value="chain">Chained</option>
+                      <option value="baseline">Baseline (common origin)</option>
+                    </select>
+                  )}
+                  <button
+                    onClick={() => {
+                      clearSmartSelection();
+                      setMode('smart_select');
+                      setNewObjectPoints([]);
+                      setCoinPoints([]);
+                    }}
+                    className={`px-4 py-2 rounded-lg transition ${
+                      mode === 'smart_select'
+                        ? 'bg-cyan-600 text-white'
+                        : 'bg-gray-700 hover:bg-gray-600'
+                    }`}
+                  >
+                    Smart Select
+                  </button>
+                  <button
+                    onClick={() => {
+                      setWandSeeds([]);
+                      setMode('magic_wand');
+                      setNewObjectPoints([]);
+                      setCoinPoints([]);
+                    }}
+                    className={`px-4 py-2 rounded-lg transition ${
+                      mode === 'magic_wand'
+                        ? 'bg-fuchsia-600 text-white'
+                        : 'bg-gray-700 hover:bg-gray-600'
+                    }`}
+                  >
+                    Magic Wand
+                  </button>
                   {mode === 'create_object' && newObjectPoints.length > 0 && (
                     <button
                       onClick={() => finishCreatingObject(newObjectPoints)}
@@ -702,67 +2239,263 @@ function App() {
                   )}
                 </div>
 
+                {/* Detection strategy */}
+                <div className="mb-4 flex gap-2 flex-wrap justify-center items-center text-sm">
+                  <label className="flex items-center gap-2 text-gray-300">
+                    Detection:
+                    <select
+                      value={detectionStrategy}
+                      onChange={(e) => {
+                        setDetectionStrategy(e.target.value);
+                        setDetectionPreset(null);
+                      }}
+                      title={DETECTION_STRATEGIES[detectionStrategy].description}
+                      className="px-2 py-1 bg-gray-700 rounded border border-gray-600 text-white"
+                    >
+                      {Object.entries(DETECTION_STRATEGIES).map(([id, strategy]) => (
+                        <option key={id} value={id}>{strategy.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <button
+                    onClick={() => handleRedetect()}
+                    disabled={isProcessing || visionEngine.status === 'failed'}
+                    className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Detect Again
+                  </button>
+                  <span className="text-xs text-gray-400">{DETECTION_STRATEGIES[detectionStrategy].description}</span>
+                </div>
+
+                {/* Sub-pixel precision */}
+                <div className="mb-4 flex gap-4 flex-wrap justify-center items-center text-sm">
+                  <label className="flex items-center gap-2 text-gray-300">
+                    Refine detected vertices:
+                    <select
+                      value={vertexRefinement}
+                      onChange={(e) => { setVertexRefinement(e.target.value); setPrecisionError(null); }}
+                      className="px-2 py-1 bg-gray-700 rounded border border-gray-600 text-white"
+                    >
+                      <option value="off">Off</option>
+                      <option value="lines">{REFINEMENT_METHODS.lines}</option>
+                      <option value="corners">{REFINEMENT_METHODS.corners}</option>
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-2 text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={snapClicks}
+                      onChange={(e) => { setSnapClicks(e.target.checked); setPrecisionError(null); }}
+                    />
+                    Snap clicks to corners
+                  </label>
+                  {precisionError && <div className="w-full text-center text-xs text-red-400">{precisionError}</div>}
+                </div>
+
+                {/* Perspective Correction */}
+                <div className="mb-4 flex gap-2 flex-wrap justify-center items-center text-sm">
+                  <span className="text-gray-300">Perspective:</span>
+                  <button
+                    onClick={handleAutoRectify}
+                    disabled={isProcessing || reference?.shape !== 'rectangle'}
+                    title={reference?.shape !== 'rectangle' ? 'Choose a card, paper or custom rectangle reference' : 'Detect the reference corners and rectify'}
+                    className="px-3 py-2 rounded-lg transition bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Auto Rectify
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (!requireRectangleReference()) return;
+                      setMode('rectify');
+                      setRectifyPoints([]);
+                      setNewObjectPoints([]);
+                      setCoinPoints([]);
+                    }}
+                    disabled={isProcessing || reference?.shape !== 'rectangle'}
+                    className={`px-3 py-2 rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed ${
+                      mode === 'rectify'
+                        ? 'bg-cyan-600 text-white'
+                        : 'bg-gray-700 hover:bg-gray-600'
+                    }`}
+                  >
+                    Pick Corners
+                  </button>
+                  {rectification && (
+                    <>
+                      <button
+                        onClick={() => setViewOriginal(v => !v)}
+                        className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg transition"
+                      >
+                        {viewOriginal ? 'Show Rectified' : 'Show Original'}
+                      </button>
+                      <button
+                        onClick={handleResetRectification}
+                        disabled={isProcessing}
+                        className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg transition disabled:opacity-50"
+                      >
+                        Remove Correction
+                      </button>
+                    </>
+                  )}
+                </div>
+
+                {/* Zoom */}
+                <div className="mb-2 flex items-center justify-end gap-2 text-sm">
+                  <button
+                    onClick={() => zoomBy(1 / 1.5)}
+                    title="Zoom out (mouse wheel)"
+                    className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded transition"
+                  >
+                    −
+                  </button>
+                  <span className="w-14 text-center font-mono text-gray-300">{Math.round(view.zoom * 100)}%</span>
+                  <button
+                    onClick={() => zoomBy(1.5)}
+                    title="Zoom in (mouse wheel)"
+                    className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded transition"
+                  >
+                    +
+                  </button>
+                  <button
+                    onClick={() => setView(createFitView(getDisplayedImageSize()))}
+                    className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded transition"
+                  >
+                    Fit
+                  </button>
+                  <button
+                    onClick={() => setView(v => createActualSizeView(v, getDisplayedImageSize()))}
+                    className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded transition"
+                  >
+                    100%
+                  </button>
+                  <label className="ml-2 flex items-center gap-2 text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={showAngles}
+                      onChange={(e) => setShowAngles(e.target.checked)}
+                    />
+                    Show angles
+                  </label>
+                </div>
+
                 {/* Canvas */}
                 <div className="border-2 border-gray-600 rounded-lg overflow-hidden">
                   <canvas
                     ref={canvasRef}
                     onClick={handleCanvasClick}
-                    onMouseMove={(e) => {
-                      if (mode === 'create_object' && imageRef.current) {
-                        const canvas = canvasRef.current;
-                        const rect = canvas.getBoundingClientRect();
-                        const img = imageRef.current;
-                        const maxWidth = 1200;
-                        const maxHeight = 800;
-                        const imageScale = Math.min(maxWidth / img.width, maxHeight / img.height, 1);
-                        const scaleX = canvas.width / rect.width;
-                        const scaleY = canvas.height / rect.height;
-                        const canvasX = (e.clientX - rect.left) * scaleX;
-                        const canvasY = (e.clientY - rect.top) * scaleY;
-                        const x = canvasX / imageScale;
-                        const y = canvasY / imageScale;
-                        setMousePosition({ x, y });
-                      } else {
-                        setMousePosition(null);
-                      }
+                    onPointerDown={handleCanvasPointerDown}
+                    onPointerMove={handleCanvasPointerMove}
+                    onPointerUp={handleCanvasPointerUp}
+                    onPointerCancel={handleCanvasPointerUp}
+                    onPointerLeave={() => {
+                      setMousePosition(null);
+                      setLoupe(null);
                     }}
-                    onMouseLeave={() => setMousePosition(null)}
                     className={`bg-gray-900 ${
-                      mode === 'manual_coin' || mode === 'create_object' ? 'cursor-crosshair' : 
+                      mode === 'manual_coin' || mode === 'create_object' || mode === 'rectify' || mode === 'set_datum' || mode === 'measure_angle' || mode === 'ruler' || mode === 'eyedropper' || mode === 'smart_select' || mode === 'magic_wand' ? 'cursor-crosshair' : 
+                      mode === 'edit_vertices' ? 'cursor-move' : 
                       mode === 'select' ? 'cursor-pointer' : 
                       'cursor-default'
                     }`}
-                    style={{ maxWidth: '100%', height: 'auto' }}
+                    style={{ maxWidth: '100%', height: 'auto', touchAction: 'none' }}
                   />
                 </div>
 
                 {/* Mode Instructions */}
                 <div className="mt-4 text-sm text-gray-400 text-center">
-                  {mode === 'select' && 'Click on objects to select them'}
-                  {mode === 'auto_coin' && 'Click "Auto Detect Coin" to automatically calibrate'}
-                  {mode === 'manual_coin' && 'Click two points on the coin edge to measure its diameter'}
+                  {mode === 'select' && 'Click on objects to select them, Shift+click a second one to measure the clearance. Scroll or pinch to zoom, drag to pan.'}
+                  {mode === 'auto_coin' && 'Click "Auto Detect Reference" to automatically calibrate'}
+                  {mode === 'manual_coin' && (reference?.shape === 'rectangle'
+                    ? `Click the two ends of the ${reference.name} ${referenceEdge === 'height' ? 'short' : 'long'} side`
+                    : `Click two points across the ${reference?.name} to measure its diameter`)}
                   {mode === 'create_object' && 'Click vertices to create a new object. Click near the first point to finish.'}
+                  {mode === 'rectify' && `Click the four corners of the ${reference?.name} (${rectifyPoints.length}/4)`}
+                  {mode === 'set_datum' && 'Click the point to use as the CAD origin (0, 0)'}
+                  {mode === 'eyedropper' && `Click the image to sample ${eyedropperTarget === 'background' ? 'a background' : 'an object'} colour. Objects are detected on the coloured mask.`}
+                  {mode === 'ruler' && (rulerStart
+                    ? 'Click the second point of the dimension. Esc cancels.'
+                    : 'Click two points to place a dimension line. Drag a dimension\'s ends or line to adjust it; Delete removes the selected one.')}
+                  {mode === 'measure_angle' && (anglePoints.length < 3
+                    ? `Click a point on the first arm, the vertex, then a point on the second arm (${anglePoints.length}/3)`
+                    : 'Click to start a new angle measurement')}
+                  {mode === 'smart_select' && (smartSelection && smartSelectTool !== 'rect'
+                    ? `Brush over parts that are ${smartSelectTool === 'foreground' ? '' : 'not '}the object. Enter creates the object, Esc clears.`
+                    : 'Drag a rectangle around the object. Brush hints if GrabCut misses part of it or takes in its shadow.')}
+                  {mode === 'magic_wand' && 'Click a part to select it by colour. Shift+click adds to the region, Alt+click subtracts from it; Enter creates the object, Esc clears.'}
+                  {mode === 'edit_vertices' && 'Drag vertices (of the outline or a hole) to move them, click an edge to add one. Arrow keys nudge the active vertex (Shift: 10px), Delete removes it, Esc finishes.'}
                 </div>
 
+                {mode === 'smart_select' && (
+                  <SmartSelectPanel
+                    tool={smartSelectTool}
+                    brushSize={smartSelectBrush}
+                    hasSelection={Boolean(smartSelection)}
+                    result={smartSelectResult}
+                    isRunning={isSmartSelecting}
+                    onToolChange={setSmartSelectTool}
+                    onBrushSizeChange={setSmartSelectBrush}
+                    onAccept={acceptSmartSelection}
+                    onClear={clearSmartSelection}
+                  />
+                )}
+
+                {mode === 'magic_wand' && (
+                  <MagicWandPanel
+                    tolerance={wandTolerance}
+                    selectedArea={wandArea}
+                    isProcessing={isProcessing}
+                    onToleranceChange={handleWandToleranceChange}
+                    onAccept={acceptWandSelection}
+                    onClear={() => setWandSeeds([])}
+                  />
+                )}
+
+                {mode === 'measure_angle' && anglePoints.length === 3 && (
+                  <div className="mt-2 px-4 py-2 bg-amber-900/40 border border-amber-700 rounded-lg text-amber-300 font-mono">
+                    Angle: {formatWithUncertainty(
+                      angleAt(anglePoints[0], anglePoints[1], anglePoints[2]),
+                      angleSigma(Math.max(...anglePoints.map(p => p.sigma)), anglePoints[0], anglePoints[1], anglePoints[2]),
+                      ''
+                    )}°
+                  </div>
+                )}
+
                 {ppm && (
                   <div className="mt-2 px-4 py-2 bg-green-900/50 border border-green-700 rounded-lg text-green-400">
                     <div className="font-semibold">✓ Calibrated</div>
                     <div className="text-sm mt-1">
-                      {ppm.toFixed(2)} pixels/mm
+                      {formatWithUncertainty(ppm, calibration.ppmUncertainty, 'pixels/mm')}{rectification ? ' (perspective corrected)' : ''}
                     </div>
-                    {coinDiameter && (
+                    <div className="text-xs mt-1 text-green-300">
+                      Reference: {calibration.reference.name} ({describeReference(calibration.reference)})
+                    </div>
+                    {calibration.pixelDistance && (
+                      <div className="text-xs mt-1 text-green-300">
+                        {calibration.method === 'auto' ? 'Detected' : 'Measured'}: {calibration.pixelDistance.toFixed(1)}px = {getReferenceLengthMm(calibration.reference, calibration.edge)}mm
+                      </div>
+                    )}
+                    {calibration.snapShifts && (
                       <div className="text-xs mt-1 text-green-300">
-                        Coin: {coinDiameter.toFixed(1)}px = {COIN_DIAMETER_MM}mm
+                        Points snapped to corners: {calibration.snapShifts.map(shift => (shift === null ? 'not snapped' : `moved ${shift.toFixed(2)}px`)).join(', ')}
                       </div>
                     )}
                   </div>
                 )}
 
+                {appliedCameraProfile && (
+                  <div className="mt-2 text-xs text-gray-400">
+                    Lens corrected with "{appliedCameraProfile.name}" (reprojection error {appliedCameraProfile.reprojectionError.toFixed(2)}px)
+                  </div>
+                )}
+
                 {isProcessing && (
                   <div className="mt-2 px-4 py-2 bg-blue-900/50 border border-blue-700 rounded-lg text-blue-400">
                     <div className="flex items-center gap-2">
                       <div className="animate-spin h-4 w-4 border-2 border-blue-400 border-t-transparent rounded-full"></div>
-                      <span>Processing image...</span>
+                      <span>
+                        Processing image...
+                        {detectionStage && <span className="text-blue-300 ml-1">{DETECTION_STAGES[detectionStage]}</span>}
+                      </span>
                     </div>
                   </div>
                 )}
@@ -773,7 +2506,21 @@ function App() {
 
         {/* Right Panel - Controls/Data */}
         <div className="w-80 bg-gray-800 border-l border-gray-700 p-4 overflow-y-auto">
-          <h2 className="text-xl font-bold mb-4">Objects</h2>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-bold">Objects</h2>
+            <label className="text-sm text-gray-300 flex items-center gap-2">
+              Units
+              <select
+                value={unit}
+                onChange={(e) => setUnit(e.target.value)}
+                className="px-2 py-1 bg-gray-700 rounded border border-gray-600 focus:outline-none focus:border-blue-500"
+              >
+                {Object.values(UNITS).map(u => (
+                  <option key={u.id} value={u.id}>{u.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
 
           {objects.length === 0 ? (
             <p className="text-gray-400">No objects detected yet. Upload an image to begin.</p>
@@ -782,11 +2529,13 @@ function App() {
               {objects.map(obj => (
                 <div
                   key={obj.id}
-                  onClick={() => setSelectedObjectId(obj.id)}
+                  onClick={(e) => selectObject(obj.id, e.shiftKey)}
                   className={`p-3 rounded-lg border-2 cursor-pointer transition ${
                     obj.id === selectedObjectId
                       ? 'border-blue-500 bg-blue-900/30'
-                      : 'border-gray-700 hover:border-gray-600'
+                      : obj.id === comparedObject?.id
+                        ? 'border-dashed border-gray-300 bg-gray-700/40'
+                        : 'border-gray-700 hover:border-gray-600'
                   }`}
                 >
                   <div className="flex items-center justify-between gap-2 mb-2">
@@ -817,6 +2566,9 @@ function App() {
                     {obj.circularity && (
                       <span className="ml-2">• Circ: {obj.circularity.toFixed(2)}</span>
                     )}
+                    {obj.shape && obj.shape.type !== 'polygon' && (
+                      <span className="ml-2">• {SHAPE_TYPES[obj.shape.type]}</span>
+                    )}
                   </div>
                 </div>
               ))}
@@ -849,7 +2601,38 @@ function App() {
                   />
                 </div>
 
-                {selectedObject.edges && selectedObject.edges.length > 0 && (
+                {!selectedObject.isCoin && selectedObject.points?.length > 0 && (
+                  <button
+                    onClick={() => (mode === 'edit_vertices' ? setMode('select') : startVertexEditing())}
+                    className={`w-full px-4 py-2 rounded-lg transition font-medium ${
+                      mode === 'edit_vertices'
+                        ? 'bg-yellow-600 hover:bg-yellow-700 text-white'
+                        : 'bg-gray-600 hover:bg-gray-500'
+                    }`}
+                  >
+                    {mode === 'edit_vertices' ? 'Done Editing Vertices' : `Edit Vertices (${selectedObject.points.length})`}
+                  </button>
+                )}
+
+                {!selectedObject.isCoin && selectedObject.points?.length >= 3 && (
+                  <VertexRefinement
+                    object={selectedObject}
+                    methods={REFINEMENT_METHODS}
+                    onRefine={(method) => handleRefineObject(selectedObject.id, method)}
+                    disabled={isProcessing}
+                  />
+                )}
+
+                {!selectedObject.isCoin && selectedObject.shape && (
+                  <ShapeDimensions
+                    object={selectedObject}
+                    ppm={ppm}
+                    unit={unit}
+                    onTypeChange={(type) => handleShapeTypeChange(selectedObject.id, type)}
+                  />
+                )}
+
+                {selectedObject.edges && selectedObject.edges.length > 0 && (!selectedObject.shape || selectedObject.shape.type === 'polygon') && (
                   <div>
                     <label className="block text-sm font-medium mb-2">Edge Measurements</label>
                     <div className="space-y-1 max-h-40 overflow-y-auto">
@@ -860,7 +2643,7 @@ function App() {
                             <span className="font-mono text-right">
                               {ppm && edge.realLength !== null && edge.realLength !== undefined ? (
                                 <span>
-                                  <span className="text-green-400">{edge.realLength.toFixed(1)}mm</span>
+                                  <span className="text-green-400">{formatLength(edge.realLength, edge.realUncertainty, unit)}</span>
                                   <span className="text-gray-400 text-xs ml-1">({edge.pixelLength.toFixed(0)}px)</span>
                                 </span>
                               ) : (
@@ -874,11 +2657,53 @@ function App() {
                   </div>
                 )}
 
-                {selectedObject.measurements?.diameter && (
+                {ppm && selectedObject.measurements?.perimeter != null && (
+                  <div className="text-sm bg-gray-600 p-2 rounded space-y-1">
+                    <div className="flex justify-between">
+                      <span>Perimeter:</span>
+                      <span className="font-mono text-green-400">
+                        {formatLength(selectedObject.measurements.perimeter, selectedObject.measurements.perimeterUncertainty, unit)}
+                      </span>
+                    </div>
+                    {selectedObject.measurements.area != null && (
+                      <div className="flex justify-between">
+                        <span>Area:</span>
+                        <span className="font-mono text-green-400">
+                          {formatArea(selectedObject.measurements.area, selectedObject.measurements.areaUncertainty, unit)}
+                        </span>
+                      </div>
+                    )}
+                    {selectedObject.measurements.netArea != null && (
+                      <div className="flex justify-between">
+                        <span>Net area:</span>
+                        <span className="font-mono text-green-400">
+                          {formatArea(selectedObject.measurements.netArea, selectedObject.measurements.netAreaUncertainty, unit)}
+                        </span>
+                      </div>
+                    )}
+                    <div className="text-xs text-gray-400">± values are ≈95% (2σ) uncertainty</div>
+                  </div>
+                )}
+
+                {selectedObject.points?.length >= 3 && selectedObject.angles?.length === selectedObject.points.length && (
+                  <VertexAngles object={selectedObject} />
+                )}
+
+                {selectedObject.holes?.length > 0 && (
+                  <HoleList object={selectedObject} ppm={ppm} unit={unit} onDelete={(index) => deleteHole(selectedObject.id, index)} />
+                )}
+
+                {selectedObject.points?.length >= 3 && (
+                  <ObjectMetrics object={selectedObject} ppm={ppm} unit={unit} />
+                )}
+
+                {selectedObject.isCoin && (selectedObject.measurements?.diameter || selectedObject.measurements?.width) && (
                   <div className="mt-2 p-2 bg-yellow-900/30 border border-yellow-700 rounded text-sm">
-                    <div className="text-yellow-400 font-semibold">Reference Coin</div>
+                    <div className="text-yellow-400 font-semibold">Calibration Reference</div>
                     <div className="text-yellow-300 text-xs mt-1">
-                      Diameter: {selectedObject.measurements.diameter}mm
+                      {selectedObject.measurements.diameter
+                        ? `Diameter: ${selectedObject.measurements.diameter}mm`
+                        : `Size: ${selectedObject.measurements.width} × ${selectedObject.measurements.height}mm`}
                     </div>
                   </div>
                 )}
@@ -892,12 +2717,117 @@ function App() {
 
                 {!ppm && (
                   <div className="text-yellow-400 text-sm mt-2">
-                    Tip: Calibrate using the coin to enable real-world measurements
+                    Tip: Calibrate using a reference object to enable real-world measurements
                   </div>
                 )}
               </div>
             </div>
           )}
+
+          {clearance && (
+            <Clearance
+              clearance={clearance}
+              from={clearanceFrom}
+              to={comparedObject}
+              unit={unit}
+              onClear={() => setComparedObjectId(null)}
+            />
+          )}
+
+          {objects.length >= 2 && (
+            <div className="mt-6 p-4 bg-gray-700 rounded-lg text-sm">
+              <div className="flex items-center justify-between gap-2">
+                <h3 className="text-lg font-bold">Spacing</h3>
+                <button
+                  onClick={() => setShowClearanceMatrix(!showClearanceMatrix)}
+                  className="px-3 py-1 bg-gray-600 hover:bg-gray-500 rounded transition text-xs"
+                >
+                  {showClearanceMatrix ? 'Hide matrix' : 'Show matrix'}
+                </button>
+              </div>
+              {showClearanceMatrix && (
+                <ClearanceMatrix
+                  objects={objects}
+                  ppm={ppm}
+                  unit={unit}
+                  onSelectPair={(a, b) => {
+                    setSelectedObjectId(a);
+                    setComparedObjectId(b);
+                  }}
+                />
+              )}
+            </div>
+          )}
+
+          {dimensions.length > 0 && (
+            <DimensionList
+              dimensions={dimensions}
+              selectedId={selectedDimensionId}
+              onSelect={setSelectedDimensionId}
+              onRename={handleDimensionRename}
+              onDelete={handleDeleteDimension}
+              calibration={calibration}
+              unit={unit}
+            />
+          )}
+
+          {(objects.length > 0 || dimensions.length > 0) && (
+            <ExportPanel
+              objects={objects}
+              calibration={calibration}
+              unit={unit}
+              imageName={imageName}
+              imageSrc={imageSrc}
+              imageDimensions={imageDimensions}
+              selectedObjectId={selectedObjectId}
+              datum={datum}
+              onPickDatum={() => setMode('set_datum')}
+              onClearDatum={() => setDatum(null)}
+              showAngles={showAngles}
+              dimensions={dimensions}
+            />
+          )}
+
+          {imageSrc && (
+            <HistoryPanel
+              history={history}
+              onUndo={handleUndo}
+              onRedo={handleRedo}
+              onJump={restoreHistory}
+            />
+          )}
+
+          {detectionStrategy === 'eyedropper' && (
+            <ColourClassPanel
+              classes={colourClasses}
+              separate={separateClasses}
+              showMask={showColourMask}
+              pickTarget={mode === 'eyedropper' ? eyedropperTarget : null}
+              onChange={updateColourClasses}
+              onShowMaskChange={setShowColourMask}
+              onPick={(target) => {
+                if (target) setEyedropperTarget(target);
+                setMode(target ? 'eyedropper' : 'select');
+              }}
+            />
+          )}
+
+          <DetectionTuningPanel
+            strategy={detectionStrategy}
+            params={detectionParams}
+            preset={detectionPreset}
+            presets={detectionPresets}
+            onChange={handleTuningChange}
+            onPresetsChange={() => setDetectionPresets(loadDetectionPresets())}
+            isDetecting={Boolean(detectionStage)}
+          />
+
+          <CameraProfilePanel
+            profiles={cameraProfiles}
+            activeProfileId={activeCameraProfileId}
+            onActiveProfileChange={handleActiveCameraProfileChange}
+            onProfilesChange={() => setCameraProfiles(loadCameraProfiles())}
+          />
         </div>
       </div>
     </div>
@@ -0,0 +1,202 @@
+import { useState } from 'react';
+import { calibrateCameraFromCheckerboards } from '../opencvUtils';
+import {
+  saveCameraProfile,
+  deleteCameraProfile,
+  gradeReprojectionError
+} from '../utils/cameraProfiles';
+
+const GRADE_STYLES = {
+  good: { label: 'Good', className: 'text-green-400' },
+  acceptable: { label: 'Acceptable', className: 'text-yellow-400' },
+  poor: { label: 'Poor - retake the checkerboard photos', className: 'text-red-400' }
+};
+
+function ReprojectionError({ error }) {
+  const grade = GRADE_STYLES[gradeReprojectionError(error)];
+  return (
+    <span>
+      Reprojection error: <span className="font-mono">{error.toFixed(3)}px</span>{' '}
+      <span className={grade.className}>({grade.label})</span>
+    </span>
+  );
+}
+
+const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => resolve(e.target.result);
+  reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+  reader.readAsDataURL(file);
+});
+
+// Camera profile workflow: calibrate lens distortion from checkerboard photos,
+// save the result under a name and pick the profile applied to new uploads.
+export default function CameraProfilePanel({ profiles, activeProfileId, onActiveProfileChange, onProfilesChange }) {
+  const [pattern, setPattern] = useState({ columns: 9, rows: 6, squareSizeMm: 25 });
+  const [files, setFiles] = useState([]);
+  const [isCalibrating, setIsCalibrating] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [profileName, setProfileName] = useState('');
+
+  const activeProfile = profiles.find(p => p.id === activeProfileId);
+
+  const handleCalibrate = async () => {
+    setIsCalibrating(true);
+    setError(null);
+    setResult(null);
+    try {
+      const dataUrls = await Promise.all(files.map(readFileAsDataUrl));
+      const calibration = await calibrateCameraFromCheckerboards(dataUrls, {
+        columns: Number(pattern.columns),
+        rows: Number(pattern.rows),
+        squareSizeMm: Number(pattern.squareSizeMm)
+      });
+      setResult(calibration);
+    } catch (e) {
+      console.error('Camera calibration failed:', e);
+      setError(e.message || e.toString());
+    } finally {
+      setIsCalibrating(false);
+    }
+  };
+
+  const handleSave = () => {
+    const name = profileName.trim();
+    if (!name) return;
+    const profile = saveCameraProfile(name, result, {
+      columns: Number(pattern.columns),
+      rows: Number(pattern.rows),
+      squareSizeMm: Number(pattern.squareSizeMm)
+    });
+    onProfilesChange();
+    onActiveProfileChange(profile.id);
+    setResult(null);
+    setFiles([]);
+    setProfileName('');
+  };
+
+  const handleDelete = () => {
+    if (!activeProfile) return;
+    if (!window.confirm(`Delete camera profile "${activeProfile.name}"?`)) return;
+    deleteCameraProfile(activeProfile.id);
+    onProfilesChange();
+    onActiveProfileChange(null);
+  };
+
+  const updatePattern = (field, value) => setPattern(prev => ({ ...prev, [field]: value }));
+
+  return (
+    <div className="mt-6 p-4 bg-gray-700 rounded-lg text-sm">
+      <h3 className="text-lg font-bold mb-3">Camera Profile</h3>
+
+      <label className="block font-medium mb-1">Lens correction for new uploads</label>
+      <div className="flex gap-2">
+        <select
+          value={activeProfileId || ''}
+          onChange={(e) => onActiveProfileChange(e.target.value || null)}
+          className="flex-1 px-3 py-2 bg-gray-600 rounded border border-gray-500 focus:outline-none focus:border-blue-500"
+        >
+          <option value="">None</option>
+          {profiles.map(p => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+        </select>
+        {activeProfile && (
+          <button
+            onClick={handleDelete}
+            className="px-3 py-2 bg-red-600 hover:bg-red-700 rounded transition"
+            title="Delete profile"
+          >
+            ×
+          </button>
+        )}
+      </div>
+      {activeProfile && (
+        <div className="text-xs text-gray-300 mt-1">
+          <ReprojectionError error={activeProfile.reprojectionError} />
+          <div>{activeProfile.usedViews} views, {activeProfile.imageSize.width}×{activeProfile.imageSize.height}px</div>
+        </div>
+      )}
+
+      <details className="mt-3">
+        <summary className="cursor-pointer font-medium">New profile from checkerboard photos</summary>
+        <div className="mt-2 space-y-2">
+          <div className="flex gap-2 items-center">
+            <label className="text-gray-300">Inner corners</label>
+            <input
+              type="number"
+              min="2"
+              value={pattern.columns}
+              onChange={(e) => updatePattern('columns', e.target.value)}
+              className="w-14 px-2 py-1 bg-gray-600 rounded border border-gray-500"
+            />
+            ×
+            <input
+              type="number"
+              min="2"
+              value={pattern.rows}
+              onChange={(e) => updatePattern('rows', e.target.value)}
+              className="w-14 px-2 py-1 bg-gray-600 rounded border border-gray-500"
+            />
+          </div>
+          <div className="flex gap-2 items-center">
+            <label className="text-gray-300">Square size</label>
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={pattern.squareSizeMm}
+              onChange={(e) => updatePattern('squareSizeMm', e.target.value)}
+              className="w-20 px-2 py-1 bg-gray-600 rounded border border-gray-500"
+            />
+            mm
+          </div>
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            onChange={(e) => setFiles(Array.from(e.target.files))}
+            className="block w-full text-xs"
+          />
+          <button
+            onClick={handleCalibrate}
+            disabled={isCalibrating || files.length < 3}
+            className="w-full px-3 py-2 bg-blue-600 hover:bg-blue-700 rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isCalibrating ? 'Calibrating...' : `Calibrate from ${files.length} photo${files.length !== 1 ? 's' : ''}`}
+          </button>
+          {files.length > 0 && files.length < 3 && (
+            <div className="text-yellow-400 text-xs">Use at least 3 photos (10-20 from different angles is better)</div>
+          )}
+          {error && <div className="text-red-400 text-xs">{error}</div>}
+          {result && (
+            <div className="p-2 bg-gray-600 rounded space-y-2">
+              <div className="text-xs">
+                <ReprojectionError error={result.reprojectionError} />
+                <div>
+                  Used {result.usedViews} of {result.usedViews + result.rejectedViews.length} photos
+                  {result.rejectedViews.length > 0 && ` (no board found in #${result.rejectedViews.map(i => i + 1).join(', #')})`}
+                </div>
+              </div>
+              <input
+                type="text"
+                placeholder="Profile name, e.g. Pixel 8 main camera"
+                value={profileName}
+                onChange={(e) => setProfileName(e.target.value)}
+                className="w-full px-2 py-1 bg-gray-700 rounded border border-gray-500 text-white"
+              />
+              <button
+                onClick={handleSave}
+                disabled={!profileName.trim()}
+                className="w-full px-3 py-2 bg-green-600 hover:bg-green-700 rounded transition disabled:opacity-50"
+              >
+                Save Profile
+              </button>
+            </div>
+          )}
+        </div>
+      </details>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import { formatLength } from '../utils/units';
+
+function Row({ label, px, real, unit }) {
+  return (
+    <div className="flex justify-between gap-2">
+      <span>{label}:</span>
+      <span className="font-mono text-right">
+        {real ? (
+          <>
+            <span className="text-green-400">{formatLength(real.value, real.uncertainty, unit)}</span>
+            <span className="text-gray-400 ml-1">({px.toFixed(0)}px)</span>
+          </>
+        ) : (
+          `${px.toFixed(1)}px`
+        )}
+      </span>
+    </div>
+  );
+}
+
+// Spacing between the selected object and the one Shift+clicked after it
+export default function Clearance({ clearance, from, to, unit, onClear }) {
+  const { pixel, real } = clearance;
+
+  return (
+    <div className="mt-6 p-4 bg-gray-700 rounded-lg text-sm">
+      <div className="flex items-center justify-between gap-2 mb-3">
+        <h3 className="text-lg font-bold">Clearance</h3>
+        <button
+          onClick={onClear}
+          className="text-gray-400 hover:text-gray-200 text-lg px-2 py-0 leading-none"
+          title="Stop comparing"
+        >
+          ×
+        </button>
+      </div>
+      <div className="mb-2">
+        <span style={{ color: from.color }} className="font-semibold">{from.name}</span>
+        <span className="text-gray-400"> → </span>
+        <span style={{ color: to.color }} className="font-semibold">{to.name}</span>
+      </div>
+      <div className="bg-gray-600 p-2 rounded space-y-1">
+        {pixel.minimum > 0 ? (
+          <Row label="Minimum gap" px={pixel.minimum} real={real?.minimum} unit={unit} />
+        ) : (
+          <div className="text-yellow-400">Outlines touch or overlap</div>
+        )}
+        {pixel.parallel !== null && (
+          <Row label="Parallel edge gap" px={pixel.parallel} real={real?.parallel} unit={unit} />
+        )}
+        <Row label="Centroid distance" px={pixel.centroid} real={real?.centroid} unit={unit} />
+        <Row label="Δx" px={pixel.dx} real={real?.dx} unit={unit} />
+        <Row label="Δy" px={pixel.dy} real={real?.dy} unit={unit} />
+      </div>
+      <div className="text-xs text-gray-400 mt-2">
+        Δx/Δy from the first centroid to the second, y pointing down. ± values are ≈95% (2σ) uncertainty
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import { minimumGap } from '../utils/clearance';
+import { UNITS, convertLength } from '../utils/units';
+
+// Pairwise minimum gaps between all objects; click a cell to compare that pair
+export default function ClearanceMatrix({ objects, ppm, unit, onSelectPair }) {
+  const format = (px) => {
+    if (px === 0) return '0';
+    return ppm ? convertLength(px / ppm, unit).toFixed(unit === 'in' ? 3 : 1) : px.toFixed(0);
+  };
+  const gaps = objects.map((a, i) => objects.map((b, j) => (j > i ? minimumGap(a, b) : null)));
+
+  return (
+    <div className="mt-2 overflow-x-auto">
+      <table className="text-xs font-mono border-collapse">
+        <thead>
+          <tr>
+            <th className="px-2 py-1 text-gray-400 font-normal">{ppm ? UNITS[unit].label : 'px'}</th>
+            {objects.map((obj, j) => (
+              <th key={obj.id} className="px-2 py-1" style={{ color: obj.color }} title={obj.name}>{j + 1}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {objects.map((a, i) => (
+            <tr key={a.id}>
+              <th className="px-2 py-1 text-left whitespace-nowrap" style={{ color: a.color }}>
+                {i + 1}. {a.name}
+              </th>
+              {objects.map((b, j) => {
+                const gap = gaps[Math.min(i, j)][Math.max(i, j)];
+                return i === j ? (
+                  <td key={b.id} className="px-2 py-1 text-center text-gray-600">–</td>
+                ) : (
+                  <td
+                    key={b.id}
+                    onClick={() => onSelectPair(a.id, b.id)}
+                    className={`px-2 py-1 text-right cursor-pointer hover:bg-gray-600 ${gap === 0 ? 'text-yellow-400' : ''}`}
+                    title={`${a.name} ↔ ${b.name}`}
+                  >
+                    {format(gap)}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="text-xs text-gray-400 mt-2">Minimum outline-to-outline gap for every pair; 0 where outlines touch or overlap</div>
+    </div>
+  );
+}
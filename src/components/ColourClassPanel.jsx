@@ -0,0 +1,112 @@
+const TOLERANCES = [
+  { key: 'h', label: 'Hue ±', max: 90 },
+  { key: 's', label: 'Saturation ±', max: 255 },
+  { key: 'v', label: 'Value ±', max: 255 }
+];
+
+// Colour classes for the eyedropper detection strategy: pick object or background
+// colours on the image, tune each one's HSV tolerances against the live mask preview,
+// and choose whether object colours are detected as separate classes.
+export default function ColourClassPanel({
+  classes,
+  separate,
+  showMask,
+  pickTarget,
+  onChange,
+  onShowMaskChange,
+  onPick
+}) {
+  const updateClass = (id, changes) => onChange(classes.map(c => (c.id === id ? { ...c, ...changes } : c)), separate);
+
+  const pickButton = (target, label) => (
+    <button
+      onClick={() => onPick(pickTarget === target ? null : target)}
+      className={`flex-1 px-3 py-2 rounded transition ${
+        pickTarget === target ? 'bg-pink-600 text-white' : 'bg-gray-600 hover:bg-gray-500'
+      }`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="mt-6 p-4 bg-gray-700 rounded-lg text-sm">
+      <h3 className="text-lg font-bold mb-3">Eyedropper Colours</h3>
+
+      <div className="flex gap-2">
+        {pickButton('object', 'Pick Object Colour')}
+        {pickButton('background', 'Pick Background Colour')}
+      </div>
+      {pickTarget && (
+        <div className="text-xs text-pink-300 mt-1">Click the image to sample a {pickTarget} colour</div>
+      )}
+
+      {classes.length === 0 ? (
+        <div className="text-xs text-gray-400 mt-3">
+          No colours yet. Pick the colour of the objects, or of the background around them.
+        </div>
+      ) : (
+        <div className="mt-3 space-y-3">
+          {classes.map(c => (
+            <div key={c.id} className="p-2 bg-gray-600 rounded space-y-1">
+              <div className="flex gap-2 items-center">
+                <span className="w-5 h-5 rounded border border-gray-400 shrink-0" style={{ backgroundColor: c.color }} />
+                <input
+                  type="text"
+                  value={c.name}
+                  onChange={(e) => updateClass(c.id, { name: e.target.value })}
+                  className="flex-1 min-w-0 px-2 py-1 bg-gray-700 rounded border border-gray-500 text-white"
+                />
+                <span className="text-xs text-gray-300">{c.background ? 'background' : 'object'}</span>
+                <button
+                  onClick={() => onChange(classes.filter(other => other.id !== c.id), separate)}
+                  className="px-2 bg-red-600 hover:bg-red-700 rounded transition"
+                  title="Remove colour"
+                >
+                  ×
+                </button>
+              </div>
+              <div className="text-xs text-gray-400 font-mono">
+                H {c.hsv.h} S {c.hsv.s} V {c.hsv.v}
+              </div>
+              {TOLERANCES.map(({ key, label, max }) => (
+                <label key={key} className="block">
+                  <div className="flex justify-between text-xs">
+                    <span className="text-gray-300">{label}</span>
+                    <span className="font-mono">{c.tolerance[key]}</span>
+                  </div>
+                  <input
+                    type="range"
+                    min={0}
+                    max={max}
+                    step={1}
+                    value={c.tolerance[key]}
+                    onChange={(e) => updateClass(c.id, { tolerance: { ...c.tolerance, [key]: Number(e.target.value) } })}
+                    className="w-full"
+                  />
+                </label>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <label className="flex items-center gap-2 mt-3">
+        <input
+          type="checkbox"
+          checked={separate}
+          onChange={(e) => onChange(classes, e.target.checked)}
+        />
+        Label each object colour separately
+      </label>
+      <label className="flex items-center gap-2 mt-1">
+        <input
+          type="checkbox"
+          checked={showMask}
+          onChange={(e) => onShowMaskChange(e.target.checked)}
+        />
+        Show mask preview
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+import { useState } from 'react';
+import { DETECTION_STRATEGIES, CONTOUR_FILTER_PARAMS, strategyParams } from '../detectionPipeline';
+import {
+  TUNING_PARAMETERS,
+  formatTuningValue,
+  saveDetectionPreset,
+  deleteDetectionPreset
+} from '../utils/detectionPresets';
+
+function ParameterSlider({ name, value, onChange }) {
+  const { label, min, max, step } = TUNING_PARAMETERS[name];
+  return (
+    <label className="block">
+      <div className="flex justify-between text-xs">
+        <span className="text-gray-300">{label}</span>
+        <span className="font-mono">{formatTuningValue(name, value)}</span>
+      </div>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(name, Number(e.target.value))}
+        className="w-full"
+      />
+    </label>
+  );
+}
+
+// Detection parameters as sliders, and named presets of them. Every change goes to
+// onChange({ strategy, params, preset }) - params are overrides of the strategy
+// defaults, preset the name of the preset they match (null once a slider moves).
+export default function DetectionTuningPanel({ strategy, params, preset, presets, onChange, onPresetsChange, isDetecting }) {
+  const [presetName, setPresetName] = useState('');
+
+  const values = strategyParams(strategy, params);
+  const activePreset = presets.find(p => p.name === preset);
+  const strategyKeys = Object.keys(DETECTION_STRATEGIES[strategy].params).filter(name => TUNING_PARAMETERS[name]);
+  const filterKeys = Object.keys(CONTOUR_FILTER_PARAMS);
+
+  const handleParamChange = (name, value) => onChange({ strategy, params: { ...params, [name]: value }, preset: null });
+
+  // Back to the defaults for every slider; other parameters (such as eyedropper colours) stay
+  const handleReset = () => onChange({
+    strategy,
+    params: Object.fromEntries(Object.entries(params).filter(([name]) => !TUNING_PARAMETERS[name])),
+    preset: null
+  });
+
+  const handlePresetSelect = (id) => {
+    const selected = presets.find(p => p.id === id);
+    if (selected) onChange({ strategy: selected.strategy, params: selected.params, preset: selected.name });
+  };
+
+  const handleSave = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    try {
+      saveDetectionPreset(name, strategy, values);
+    } catch (e) {
+      alert(e.message);
+      return;
+    }
+    onPresetsChange();
+    onChange({ strategy, params, preset: name });
+    setPresetName('');
+  };
+
+  const handleDelete = () => {
+    if (!activePreset || activePreset.builtIn) return;
+    if (!window.confirm(`Delete detection preset "${activePreset.name}"?`)) return;
+    deleteDetectionPreset(activePreset.id);
+    onPresetsChange();
+    onChange({ strategy, params, preset: null });
+  };
+
+  return (
+    <div className="mt-6 p-4 bg-gray-700 rounded-lg text-sm">
+      <h3 className="text-lg font-bold mb-3">Detection Tuning</h3>
+
+      <label className="block font-medium mb-1">Preset</label>
+      <div className="flex gap-2">
+        <select
+          value={activePreset?.id || ''}
+          onChange={(e) => handlePresetSelect(e.target.value)}
+          className="flex-1 px-3 py-2 bg-gray-600 rounded border border-gray-500 focus:outline-none focus:border-blue-500"
+        >
+          <option value="" disabled>Custom</option>
+          {presets.map(p => (
+            <option key={p.id} value={p.id}>{p.name}{p.builtIn ? '' : ' (saved)'}</option>
+          ))}
+        </select>
+        {activePreset && !activePreset.builtIn && (
+          <button
+            onClick={handleDelete}
+            className="px-3 py-2 bg-red-600 hover:bg-red-700 rounded transition"
+            title="Delete preset"
+          >
+            ×
+          </button>
+        )}
+      </div>
+      <div className="text-xs text-gray-300 mt-1">
+        {DETECTION_STRATEGIES[strategy].label} strategy
+        {isDetecting && <span className="text-blue-300"> - detecting...</span>}
+      </div>
+
+      <details className="mt-3">
+        <summary className="cursor-pointer font-medium">Parameters</summary>
+        <div className="mt-2 space-y-2">
+          <div className="text-xs text-gray-400">Moving a slider re-runs detection on the current image.</div>
+          {strategyKeys.map(name => (
+            <ParameterSlider key={name} name={name} value={values[name]} onChange={handleParamChange} />
+          ))}
+          <div className="pt-2 font-medium">Contour filters</div>
+          {filterKeys.map(name => (
+            <ParameterSlider key={name} name={name} value={values[name]} onChange={handleParamChange} />
+          ))}
+          <button
+            onClick={handleReset}
+            className="w-full px-3 py-1 bg-gray-600 hover:bg-gray-500 rounded transition"
+          >
+            Reset to Defaults
+          </button>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              placeholder="Preset name, e.g. Blue bench"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              className="flex-1 min-w-0 px-2 py-1 bg-gray-600 rounded border border-gray-500 text-white"
+            />
+            <button
+              onClick={handleSave}
+              disabled={!presetName.trim()}
+              className="px-3 py-1 bg-green-600 hover:bg-green-700 rounded transition disabled:opacity-50"
+            >
+              Save Preset
+            </button>
+          </div>
+        </div>
+      </details>
+    </div>
+  );
+}
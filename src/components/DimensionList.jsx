@@ -0,0 +1,60 @@
+import { measureDimension } from '../utils/dimensions';
+import { formatLength } from '../utils/units';
+
+// Ruler dimension lines: click one to select it, rename the selected one, × deletes
+export default function DimensionList({ dimensions, selectedId, onSelect, onRename, onDelete, calibration, unit }) {
+  return (
+    <div className="mt-6 p-4 bg-gray-700 rounded-lg text-sm">
+      <h3 className="text-lg font-bold mb-3">Dimensions</h3>
+      <div className="space-y-2 max-h-64 overflow-y-auto">
+        {dimensions.map(dim => {
+          const { pixelLength, length, uncertainty } = measureDimension(dim, calibration?.ppm, calibration?.ppmUncertainty);
+          const isSelected = dim.id === selectedId;
+          return (
+            <div
+              key={dim.id}
+              onClick={() => onSelect(dim.id)}
+              className={`p-2 rounded border-2 cursor-pointer transition ${
+                isSelected ? 'border-yellow-500 bg-yellow-900/20' : 'border-gray-600 hover:border-gray-500'
+              }`}
+            >
+              <div className="flex items-center justify-between gap-2">
+                {isSelected ? (
+                  <input
+                    type="text"
+                    value={dim.name}
+                    onChange={(e) => onRename(dim.id, e.target.value)}
+                    onClick={(e) => e.stopPropagation()}
+                    className="flex-1 min-w-0 px-2 py-1 bg-gray-600 rounded border border-gray-500 focus:outline-none focus:border-blue-500 text-white"
+                  />
+                ) : (
+                  <span className="font-semibold">{dim.name}</span>
+                )}
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onDelete(dim.id);
+                  }}
+                  className="text-red-400 hover:text-red-300 text-lg px-2 py-0 leading-none"
+                  title="Delete dimension"
+                >
+                  ×
+                </button>
+              </div>
+              <div className="mt-1 font-mono text-xs">
+                {length !== null ? (
+                  <span>
+                    <span className="text-green-400">{formatLength(length, uncertainty, unit)}</span>
+                    <span className="text-gray-400 ml-1">({pixelLength.toFixed(0)}px)</span>
+                  </span>
+                ) : (
+                  <span>{pixelLength.toFixed(1)}px</span>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
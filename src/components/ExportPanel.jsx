@@ -0,0 +1,198 @@
+import { useState } from 'react';
+import {
+  buildObjectsCsv,
+  buildEdgesCsv,
+  buildMeasurementsJson,
+  selectExportObjects
+} from '../utils/exportMeasurements';
+import { renderAnnotatedPng } from '../utils/overlayRenderer';
+import { buildAnnotatedSvg } from '../utils/exportSvg';
+import { buildDxf } from '../utils/exportDxf';
+import { downloadFile, baseFileName } from '../utils/download';
+import { UNITS } from '../utils/units';
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Failed to load image'));
+  img.src = src;
+});
+
+// Export measurements of every object as CSV (wide, plus optional per-edge file) or JSON,
+// the annotated image as a full-resolution PNG or a layered SVG, and outlines as DXF for CAD
+export default function ExportPanel({
+  objects, calibration, unit, imageName, imageSrc, imageDimensions,
+  selectedObjectId, datum, onPickDatum, onClearDatum, showAngles, dimensions
+}) {
+  const [includeReference, setIncludeReference] = useState(true);
+  const [includeEdgesCsv, setIncludeEdgesCsv] = useState(false);
+  const [isRendering, setIsRendering] = useState(false);
+  const [dxfSelectedOnly, setDxfSelectedOnly] = useState(false);
+  const [dxfCircles, setDxfCircles] = useState(true);
+
+  const base = baseFileName(imageName);
+  const options = { calibration, unit, includeReference, imageName, dimensions };
+
+  const handleExportCsv = () => {
+    downloadFile(`${base}-objects.csv`, buildObjectsCsv(objects, options), 'text/csv;charset=utf-8');
+    if (includeEdgesCsv) {
+      downloadFile(`${base}-edges.csv`, buildEdgesCsv(objects, options), 'text/csv;charset=utf-8');
+    }
+  };
+
+  const handleExportJson = () => {
+    downloadFile(`${base}-measurements.json`, buildMeasurementsJson(objects, options), 'application/json');
+  };
+
+  const handleExportPng = async () => {
+    setIsRendering(true);
+    try {
+      const img = await loadImage(imageSrc);
+      const blob = await renderAnnotatedPng(img, objects, { ppm: calibration?.ppm, unit, showAngles, dimensions });
+      downloadFile(`${base}-annotated.png`, blob);
+    } catch (error) {
+      console.error('PNG export failed:', error);
+      alert(`Could not export PNG: ${error.message}`);
+    } finally {
+      setIsRendering(false);
+    }
+  };
+
+  const handleExportSvg = () => {
+    const svg = buildAnnotatedSvg(objects, {
+      imageSrc,
+      width: imageDimensions.width,
+      height: imageDimensions.height,
+      ppm: calibration?.ppm,
+      unit,
+      showAngles,
+      dimensions
+    });
+    downloadFile(`${base}-annotated.svg`, svg, 'image/svg+xml');
+  };
+
+  const dxfObjects = dxfSelectedOnly
+    ? objects.filter(obj => obj.id === selectedObjectId)
+    : selectExportObjects(objects, { includeReference });
+
+  const handleExportDxf = () => {
+    const dxf = buildDxf(dxfObjects, {
+      ppm: calibration.ppm,
+      datum,
+      circles: dxfCircles,
+      dimensions: dxfSelectedOnly ? [] : dimensions
+    });
+    downloadFile(`${base}.dxf`, dxf, 'application/dxf');
+  };
+
+  return (
+    <div className="mt-6 p-4 bg-gray-700 rounded-lg text-sm">
+      <h3 className="text-lg font-bold mb-3">Export Measurements</h3>
+      <div className="space-y-2">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={includeReference}
+            onChange={(e) => setIncludeReference(e.target.checked)}
+          />
+          Include reference object
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={includeEdgesCsv}
+            onChange={(e) => setIncludeEdgesCsv(e.target.checked)}
+          />
+          Also export one row per edge (CSV)
+        </label>
+        <div className="flex gap-2">
+          <button
+            onClick={handleExportCsv}
+            disabled={objects.length === 0}
+            className="flex-1 px-3 py-2 bg-blue-600 hover:bg-blue-700 rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Export CSV
+          </button>
+          <button
+            onClick={handleExportJson}
+            disabled={objects.length === 0}
+            className="flex-1 px-3 py-2 bg-blue-600 hover:bg-blue-700 rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Export JSON
+          </button>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={handleExportPng}
+            disabled={!imageSrc || isRendering}
+            className="flex-1 px-3 py-2 bg-gray-600 hover:bg-gray-500 rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isRendering ? 'Rendering...' : 'Export PNG'}
+          </button>
+          <button
+            onClick={handleExportSvg}
+            disabled={!imageSrc}
+            className="flex-1 px-3 py-2 bg-gray-600 hover:bg-gray-500 rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Export SVG
+          </button>
+        </div>
+        <div className="text-xs text-gray-400">
+          Lengths in {UNITS[unit].label}{calibration ? '' : ' (not calibrated - pixel values only)'}; ± values are 2σ.
+          PNG is full resolution; SVG is layered{calibration ? ' and scaled in mm' : ''}
+        </div>
+
+        <div className="pt-3 mt-1 border-t border-gray-600 space-y-2">
+          <div className="font-semibold">CAD (DXF)</div>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={dxfSelectedOnly}
+              onChange={(e) => setDxfSelectedOnly(e.target.checked)}
+            />
+            Selected object only
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={dxfCircles}
+              onChange={(e) => setDxfCircles(e.target.checked)}
+            />
+            Export circle-shaped objects as true circles
+          </label>
+          <div className="flex items-center gap-2">
+            <span className="flex-1 text-gray-300">
+              Origin: {datum ? `datum (${datum.x.toFixed(0)}, ${datum.y.toFixed(0)} px)` : 'image top-left'}
+            </span>
+            <button
+              onClick={onPickDatum}
+              className="px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded transition"
+            >
+              Set Datum
+            </button>
+            {datum && (
+              <button
+                onClick={onClearDatum}
+                className="px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded transition"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+          <button
+            onClick={handleExportDxf}
+            disabled={!calibration || dxfObjects.length === 0}
+            className="w-full px-3 py-2 bg-blue-600 hover:bg-blue-700 rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Export DXF
+          </button>
+          <div className="text-xs text-gray-400">
+            {calibration
+              ? `Closed polylines in mm, one layer per object${dimensions.length && !dxfSelectedOnly ? ', dimensions on a DIMENSIONS layer' : ''}, Y axis up`
+              : 'Calibrate first - DXF is written in true millimetres'}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import { canUndo, canRedo } from '../utils/history';
+
+// Undo/redo buttons and the list of recorded steps; click a step to jump back (or forward) to it
+export default function HistoryPanel({ history, onUndo, onRedo, onJump }) {
+  return (
+    <div className="mt-6 p-4 bg-gray-700 rounded-lg text-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-bold">History</h3>
+        <div className="flex gap-2">
+          <button
+            onClick={onUndo}
+            disabled={!canUndo(history)}
+            title="Undo (Ctrl+Z)"
+            className="px-3 py-1 bg-gray-600 hover:bg-gray-500 rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Undo
+          </button>
+          <button
+            onClick={onRedo}
+            disabled={!canRedo(history)}
+            title="Redo (Ctrl+Shift+Z)"
+            className="px-3 py-1 bg-gray-600 hover:bg-gray-500 rounded transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Redo
+          </button>
+        </div>
+      </div>
+      <ol className="max-h-48 overflow-y-auto space-y-1">
+        {history.entries.map((entry, index) => (
+          <li key={entry.id}>
+            <button
+              onClick={() => onJump(index)}
+              className={`w-full text-left px-2 py-1 rounded transition ${
+                index === history.index
+                  ? 'bg-blue-600 text-white'
+                  : index > history.index
+                    ? 'text-gray-500 hover:bg-gray-600'
+                    : 'text-gray-300 hover:bg-gray-600'
+              }`}
+            >
+              {entry.label}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import { formatLength, formatArea } from '../utils/units';
+import { holeDiameter, holeCenter } from '../utils/holes';
+
+// Holes of the selected object: diameter, centre (from the image's top-left corner)
+// and area in the active unit once calibrated, in px before. A hole found by mistake
+// (a shadow, a printed mark) can be deleted.
+export default function HoleList({ object, ppm, unit, onDelete }) {
+  const measured = ppm ? object.measurements?.holes : null;
+
+  return (
+    <div>
+      <label className="block text-sm font-medium mb-2">Holes ({object.holes.length})</label>
+      <div className="space-y-1 max-h-40 overflow-y-auto">
+        {object.holes.map((hole, idx) => {
+          const m = measured?.[idx];
+          const center = holeCenter(hole);
+          return (
+            <div key={idx} className="text-sm bg-gray-600 p-2 rounded">
+              <div className="flex justify-between items-center gap-2">
+                <span>H{idx + 1}{hole.circle ? '' : ' (not round)'}:</span>
+                <span className="font-mono text-right text-green-400">
+                  ⌀ {m ? formatLength(m.diameter.value, m.diameter.uncertainty, unit) : `${holeDiameter(hole).toFixed(1)}px`}
+                </span>
+                <button
+                  onClick={() => onDelete(idx)}
+                  className="px-2 bg-red-600 hover:bg-red-700 rounded transition"
+                  title="Delete hole"
+                >
+                  ×
+                </button>
+              </div>
+              <div className="text-xs text-gray-300 font-mono">
+                {m ? (
+                  <>
+                    at {formatLength(m.center.x.value, m.center.x.uncertainty, unit)}, {formatLength(m.center.y.value, m.center.y.uncertainty, unit)}
+                    {' · '}{formatArea(m.area.value, m.area.uncertainty, unit)}
+                  </>
+                ) : (
+                  <>at {center.x.toFixed(0)}, {center.y.toFixed(0)}px · {hole.area.toFixed(0)}px²</>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+// Magic wand controls under the canvas: the fill tolerance (the preview follows once
+// the slider settles), and creating the object from the selected region.
+// `selectedArea` is measured on the scaled-down preview, so it's approximate.
+export default function MagicWandPanel({ tolerance, selectedArea, isProcessing, onToleranceChange, onAccept, onClear }) {
+  const hasSelection = selectedArea !== null;
+
+  return (
+    <div className="mt-2 px-4 py-2 bg-fuchsia-900/40 border border-fuchsia-700 rounded-lg text-sm">
+      <div className="flex gap-2 flex-wrap items-center justify-center">
+        <label className="flex items-center gap-2 text-gray-300">
+          Tolerance
+          <input
+            type="range"
+            min={0}
+            max={128}
+            step={1}
+            value={tolerance}
+            onChange={(e) => onToleranceChange(Number(e.target.value))}
+          />
+          <span className="font-mono w-8">{tolerance}</span>
+        </label>
+        <span className="text-fuchsia-200">
+          {hasSelection ? `~${selectedArea.toLocaleString()} px selected` : 'Click the part to select it'}
+        </span>
+        <button
+          onClick={onAccept}
+          disabled={!selectedArea || isProcessing}
+          className="px-3 py-1 bg-green-600 hover:bg-green-700 rounded transition disabled:opacity-50"
+        >
+          Create Object
+        </button>
+        <button
+          onClick={onClear}
+          disabled={!hasSelection}
+          className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded transition disabled:opacity-50"
+        >
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+}
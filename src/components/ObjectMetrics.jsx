@@ -0,0 +1,83 @@
+import { polygonMetrics } from '../utils/geometry';
+import { formatLength, formatArea } from '../utils/units';
+
+function Row({ label, children }) {
+  return (
+    <div className="flex justify-between gap-2">
+      <span>{label}:</span>
+      <span className="font-mono text-right">{children}</span>
+    </div>
+  );
+}
+
+const degrees = (angle) => `${angle.toFixed(1)}°`;
+
+// Derived geometry of the selected object: in the active unit once calibrated
+// (measurements.metrics), in px before
+export default function ObjectMetrics({ object, ppm, unit }) {
+  const measured = ppm ? object.measurements?.metrics : null;
+  const px = measured ? null : polygonMetrics(object.points);
+  if (!measured && !px) return null;
+
+  const length = (m) => <span className="text-green-400">{formatLength(m.value, m.uncertainty, unit)}</span>;
+  const area = (m) => <span className="text-green-400">{formatArea(m.value, m.uncertainty, unit)}</span>;
+
+  return (
+    <div>
+      <label className="block text-sm font-medium mb-2">Geometry</label>
+      <div className="text-sm bg-gray-600 p-2 rounded space-y-1">
+        {measured ? (
+          <>
+            {measured.centroid && (
+              <Row label="Centroid">
+                {length(measured.centroid.x)}, {length(measured.centroid.y)}
+              </Row>
+            )}
+            {measured.minAreaRect && (
+              <Row label="Min. bounding box">
+                {length(measured.minAreaRect.length)} × {length(measured.minAreaRect.width)} @ {degrees(measured.minAreaRect.angle)}
+              </Row>
+            )}
+            <Row label="Convex hull area">{area(measured.convexHullArea)}</Row>
+            <Row label="Solidity">{measured.solidity?.toFixed(3)}</Row>
+            <Row label="Equiv. circle diameter">{length(measured.equivalentDiameter)}</Row>
+            {measured.feretMax && (
+              <Row label="Feret max">
+                {length(measured.feretMax)} @ {degrees(measured.feretMax.angle)}
+              </Row>
+            )}
+            {measured.feretMin && (
+              <Row label="Feret min">
+                {length(measured.feretMin)} @ {degrees(measured.feretMin.angle)}
+              </Row>
+            )}
+          </>
+        ) : (
+          <>
+            <Row label="Area">{px.area.toFixed(0)}px²</Row>
+            {px.centroid && (
+              <Row label="Centroid">{px.centroid.x.toFixed(1)}, {px.centroid.y.toFixed(1)}px</Row>
+            )}
+            {px.minAreaRect && (
+              <Row label="Min. bounding box">
+                {px.minAreaRect.length.toFixed(1)} × {px.minAreaRect.width.toFixed(1)}px @ {degrees(px.minAreaRect.angle)}
+              </Row>
+            )}
+            <Row label="Convex hull area">{px.convexHullArea.toFixed(0)}px²</Row>
+            <Row label="Solidity">{px.solidity?.toFixed(3)}</Row>
+            <Row label="Equiv. circle diameter">{px.equivalentDiameter.toFixed(1)}px</Row>
+            {px.feret && (
+              <>
+                <Row label="Feret max">{px.feret.max.toFixed(1)}px @ {degrees(px.feret.maxAngle)}</Row>
+                <Row label="Feret min">{px.feret.min.toFixed(1)}px @ {degrees(px.feret.minAngle)}</Row>
+              </>
+            )}
+          </>
+        )}
+        <div className="text-xs text-gray-400">
+          Centroid from the image top-left; angles clockwise from the x axis
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import {
+  REFERENCE_CATEGORIES,
+  REFERENCE_OBJECTS,
+  describeReference
+} from '../utils/referenceObjects';
+
+// Picker for the calibration reference: library entries grouped by category,
+// plus a user-defined circle or rectangle.
+export default function ReferenceSelector({
+  referenceId,
+  onReferenceIdChange,
+  customReference,
+  onCustomReferenceChange,
+  referenceEdge,
+  onReferenceEdgeChange,
+  reference
+}) {
+  const updateCustom = (field, value) => {
+    onCustomReferenceChange({ ...customReference, [field]: value });
+  };
+
+  return (
+    <div className="mb-4 flex gap-2 flex-wrap items-center justify-center text-sm">
+      <label className="text-gray-300">Reference:</label>
+      <select
+        value={referenceId}
+        onChange={(e) => onReferenceIdChange(e.target.value)}
+        className="px-3 py-2 bg-gray-700 rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+      >
+        {REFERENCE_CATEGORIES.filter(cat => cat.id !== 'custom').map(cat => (
+          <optgroup key={cat.id} label={cat.label}>
+            {REFERENCE_OBJECTS.filter(ref => ref.category === cat.id).map(ref => (
+              <option key={ref.id} value={ref.id}>
+                {ref.name} — {describeReference(ref)}
+              </option>
+            ))}
+          </optgroup>
+        ))}
+        <optgroup label="Custom">
+          <option value="custom">Custom circle / rectangle…</option>
+        </optgroup>
+      </select>
+
+      {referenceId === 'custom' && (
+        <>
+          <select
+            value={customReference.shape}
+            onChange={(e) => updateCustom('shape', e.target.value)}
+            className="px-3 py-2 bg-gray-700 rounded-lg border border-gray-600"
+          >
+            <option value="circle">Circle</option>
+            <option value="rectangle">Rectangle</option>
+          </select>
+          {customReference.shape === 'circle' ? (
+            <label className="flex items-center gap-1 text-gray-300">
+              ⌀
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={customReference.diameterMm}
+                onChange={(e) => updateCustom('diameterMm', e.target.value)}
+                className="w-20 px-2 py-2 bg-gray-700 rounded-lg border border-gray-600 text-white"
+              />
+              mm
+            </label>
+          ) : (
+            <label className="flex items-center gap-1 text-gray-300">
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={customReference.widthMm}
+                onChange={(e) => updateCustom('widthMm', e.target.value)}
+                className="w-20 px-2 py-2 bg-gray-700 rounded-lg border border-gray-600 text-white"
+              />
+              ×
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={customReference.heightMm}
+                onChange={(e) => updateCustom('heightMm', e.target.value)}
+                className="w-20 px-2 py-2 bg-gray-700 rounded-lg border border-gray-600 text-white"
+              />
+              mm
+            </label>
+          )}
+        </>
+      )}
+
+      {reference?.shape === 'rectangle' && (
+        <select
+          value={referenceEdge}
+          onChange={(e) => onReferenceEdgeChange(e.target.value)}
+          title="Side measured during manual calibration"
+          className="px-3 py-2 bg-gray-700 rounded-lg border border-gray-600"
+        >
+          <option value="width">Manual: long side ({reference.widthMm} mm)</option>
+          <option value="height">Manual: short side ({reference.heightMm} mm)</option>
+        </select>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import { SHAPE_TYPES, SHAPE_DIMENSIONS } from '../utils/shapeFit';
+import { formatLength } from '../utils/units';
+
+const DIMENSION_LABELS = {
+  diameter: 'Diameter',
+  majorAxis: 'Major axis',
+  minorAxis: 'Minor axis',
+  length: 'Length',
+  width: 'Width'
+};
+
+// Shape classification of the selected object (with a manual override) and the
+// dimensions of the fitted circle, ellipse or rectangle
+export default function ShapeDimensions({ object, ppm, unit, onTypeChange }) {
+  const { shape } = object;
+  const fit = shape.type !== 'polygon' ? shape[shape.type] : null;
+  const measured = ppm ? object.measurements?.shape?.[shape.type] : null;
+  const isOverridden = shape.type !== shape.autoType;
+
+  return (
+    <div>
+      <label className="block text-sm font-medium mb-1">Shape</label>
+      <select
+        value={isOverridden ? shape.type : 'auto'}
+        onChange={(e) => onTypeChange(e.target.value)}
+        className="w-full px-2 py-1.5 bg-gray-600 rounded border border-gray-500 text-white text-sm"
+      >
+        <option value="auto">Auto ({SHAPE_TYPES[shape.autoType]})</option>
+        {Object.entries(SHAPE_TYPES)
+          .filter(([type]) => type === 'polygon' || shape[type])
+          .map(([type, label]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+      </select>
+
+      {fit && (
+        <div className="mt-2 text-sm bg-gray-600 p-2 rounded space-y-1">
+          {SHAPE_DIMENSIONS[shape.type].map(key => (
+            <div key={key} className="flex justify-between">
+              <span>{DIMENSION_LABELS[key]}:</span>
+              <span className="font-mono">
+                {measured ? (
+                  <span>
+                    <span className="text-green-400">{formatLength(measured[key].value, measured[key].uncertainty, unit)}</span>
+                    <span className="text-gray-400 text-xs ml-1">({fit[key].toFixed(0)}px)</span>
+                  </span>
+                ) : (
+                  <span>{fit[key].toFixed(1)}px</span>
+                )}
+              </span>
+            </div>
+          ))}
+          {shape.type !== 'circle' && (
+            <div className="flex justify-between">
+              <span>Rotation:</span>
+              <span className="font-mono">{fit.angle.toFixed(1)}°</span>
+            </div>
+          )}
+          <div className="flex justify-between text-xs text-gray-400">
+            <span>Fit residual (RMS):</span>
+            <span className="font-mono">{fit.residual.toFixed(2)}px</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+const TOOLS = [
+  { id: 'rect', label: 'Rectangle', active: 'bg-cyan-600' },
+  { id: 'foreground', label: 'Object Brush', active: 'bg-green-600' },
+  { id: 'background', label: 'Background Brush', active: 'bg-red-600' }
+];
+
+// Smart select controls under the canvas: the rectangle and the hint brushes, the
+// brush size, and creating the object from the GrabCut result.
+export default function SmartSelectPanel({
+  tool,
+  brushSize,
+  hasSelection,
+  result,
+  isRunning,
+  onToolChange,
+  onBrushSizeChange,
+  onAccept,
+  onClear
+}) {
+  return (
+    <div className="mt-2 px-4 py-2 bg-cyan-900/40 border border-cyan-700 rounded-lg text-sm">
+      <div className="flex gap-2 flex-wrap items-center justify-center">
+        {TOOLS.map(({ id, label, active }) => (
+          <button
+            key={id}
+            onClick={() => onToolChange(id)}
+            disabled={id !== 'rect' && !hasSelection}
+            className={`px-3 py-1 rounded transition disabled:opacity-50 ${
+              tool === id ? `${active} text-white` : 'bg-gray-700 hover:bg-gray-600'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+        <label className="flex items-center gap-2 text-gray-300">
+          Brush
+          <input
+            type="range"
+            min={2}
+            max={40}
+            step={1}
+            value={brushSize}
+            onChange={(e) => onBrushSizeChange(Number(e.target.value))}
+          />
+          <span className="font-mono w-10">{brushSize}px</span>
+        </label>
+      </div>
+      <div className="flex gap-2 items-center justify-center mt-2">
+        <span className="text-cyan-200">
+          {isRunning
+            ? 'Running GrabCut...'
+            : result
+              ? `Selected ${result.points.length} vertices${result.holes?.length ? `, ${result.holes.length} hole${result.holes.length !== 1 ? 's' : ''}` : ''}`
+              : hasSelection ? 'Nothing selected - brush over the object' : 'Drag a rectangle around the object'}
+        </span>
+        <button
+          onClick={onAccept}
+          disabled={!result || isRunning}
+          className="px-3 py-1 bg-green-600 hover:bg-green-700 rounded transition disabled:opacity-50"
+        >
+          Create Object
+        </button>
+        <button
+          onClick={onClear}
+          disabled={!hasSelection}
+          className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded transition disabled:opacity-50"
+        >
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+import { angleSigma, COVERAGE_FACTOR, EDGE_LOCALISATION_PX } from '../utils/uncertainty';
+
+// Interior angle at each vertex of the selected object, with its ≈95% uncertainty
+export default function VertexAngles({ object }) {
+  const { points, angles } = object;
+  const sigma = object.vertexUncertainty ?? EDGE_LOCALISATION_PX;
+  const n = points.length;
+
+  return (
+    <div>
+      <label className="block text-sm font-medium mb-2">Vertex Angles</label>
+      <div className="grid grid-cols-2 gap-1 text-xs font-mono max-h-32 overflow-y-auto">
+        {angles.map((angle, idx) => {
+          const expanded = COVERAGE_FACTOR * angleSigma(sigma, points[(idx - 1 + n) % n], points[idx], points[(idx + 1) % n]);
+          return (
+            <span key={idx} className="bg-gray-600 px-2 py-1 rounded">
+              V{idx + 1}: {angle.toFixed(1)}° <span className="text-gray-400">± {expanded.toFixed(1)}°</span>
+            </span>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import { useState } from 'react';
+
+// Sub-pixel refinement of the selected object's vertices, and how far the last
+// refinement (or corner snapping) moved each vertex
+export default function VertexRefinement({ object, methods, onRefine, disabled }) {
+  const [method, setMethod] = useState('lines');
+  const { refinement } = object;
+  const moved = (refinement?.shifts || []).filter(shift => shift !== null && shift !== undefined);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium mb-1">Vertex Refinement</label>
+      <div className="flex gap-2">
+        <select
+          value={method}
+          onChange={(e) => setMethod(e.target.value)}
+          className="flex-1 px-2 py-1.5 bg-gray-600 rounded border border-gray-500 text-white text-sm"
+        >
+          <option value="lines">{methods.lines}</option>
+          <option value="corners">{methods.corners}</option>
+        </select>
+        <button
+          onClick={() => onRefine(method)}
+          disabled={disabled}
+          className="px-3 py-1.5 bg-gray-600 hover:bg-gray-500 rounded transition text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Refine
+        </button>
+      </div>
+
+      {refinement && (
+        <div className="mt-2 text-xs text-gray-300">
+          <div>
+            {methods[refinement.method] || refinement.method}
+            {moved.length > 0 && (
+              <span>
+                {' '}- max {Math.max(...moved).toFixed(2)}px, mean {(moved.reduce((s, v) => s + v, 0) / moved.length).toFixed(2)}px
+              </span>
+            )}
+          </div>
+          <div className="mt-1 grid grid-cols-3 gap-1 font-mono max-h-24 overflow-y-auto">
+            {refinement.shifts.map((shift, idx) => (
+              <span key={idx} className="bg-gray-600 px-1 rounded">
+                V{idx + 1}: {shift === null || shift === undefined ? '-' : `${shift.toFixed(2)}px`}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
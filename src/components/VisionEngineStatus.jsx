@@ -0,0 +1,36 @@
+import { OPENCV_SOURCES } from '../utils/opencvLoader';
+
+const sourceLabel = (id) => OPENCV_SOURCES.find(s => s.id === id)?.label || id;
+
+// OpenCV load state (utils/opencvLoader): a note while it loads, and an explanation
+// with a retry button when no source could be loaded
+export default function VisionEngineStatus({ state, onRetry }) {
+  if (state.status === 'loading') {
+    return (
+      <div className="mb-4 px-4 py-2 bg-gray-700 rounded-lg text-sm text-gray-300 flex items-center gap-2">
+        <div className="animate-spin h-3 w-3 border-2 border-gray-300 border-t-transparent rounded-full"></div>
+        <span>Loading vision engine ({sourceLabel(state.source)})...</span>
+      </div>
+    );
+  }
+  if (state.status !== 'failed') return null;
+
+  return (
+    <div className="mb-4 w-full max-w-3xl p-4 bg-red-900/40 border border-red-700 rounded-lg text-sm">
+      <div className="flex items-center justify-between gap-3">
+        <div className="text-red-300 font-semibold">Vision engine unavailable</div>
+        <button
+          onClick={onRetry}
+          className="px-3 py-1 bg-red-700 hover:bg-red-600 rounded transition text-white"
+        >
+          Retry
+        </button>
+      </div>
+      <p className="mt-2 text-red-200">
+        OpenCV.js could not be loaded, so automatic detection, calibration and corner snapping are off.
+        Manual calibration, drawing objects by hand and measuring still work.
+      </p>
+      <p className="mt-2 text-xs text-red-300 font-mono break-words">{state.reason}</p>
+    </div>
+  );
+}
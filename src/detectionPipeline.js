@@ -0,0 +1,740 @@
+// OpenCV detection pipeline on raw RGBA pixels ({ data, width, height }). Nothing here
+// touches the DOM, so it runs in the detection worker (see detectionWorker.js).
+// `onProgress(stage)` is called as each stage in DETECTION_STAGES starts.
+//
+// Objects are found by one of several named strategies (DETECTION_STRATEGIES). Each
+// builds a binary mask of the objects its own way; the contours of that mask then
+// become objects through the same filtering (CONTOUR_FILTER_PARAMS), approximation and
+// object model, and every object records { strategy, preset, params } as `detection`.
+import { polygonFitResidual, interiorAngles } from './utils/geometry';
+import { EDGE_LOCALISATION_PX, combineUncertainties } from './utils/uncertainty';
+import { fitShape } from './utils/shapeFit';
+import { colourClassMasks } from './utils/colourSegmentation';
+import { holeGeometry } from './utils/holes';
+
+// Stage ids reported while detecting, with the text shown for them
+export const DETECTION_STAGES = {
+  loading: 'Loading vision engine',
+  grayscale: 'Converting to grayscale',
+  threshold: 'Thresholding',
+  circles: 'Finding circles',
+  morphology: 'Cleaning up the mask',
+  contours: 'Finding contours',
+  approximation: 'Approximating outlines',
+  grabcut: 'Separating the selection (GrabCut)'
+};
+
+const COLORS = ['#3B82F6', '#EF4444', '#10B981', '#F59E0B', '#8B5CF6', '#EC4899', '#06B6D4', '#F97316'];
+
+// 🔧 DETECTION STRATEGIES: the parameters below are each strategy's defaults
+export const DETECTION_STRATEGIES = {
+  threshold: {
+    label: 'Threshold',
+    description: 'Adaptive + Otsu threshold. Best on plain, contrasting backgrounds.',
+    params: { blurSize: 7, blockSize: 11, thresholdC: 2, kernelSize: 5 }
+  },
+  edge: {
+    label: 'Edges',
+    description: 'CLAHE + Canny edges. For low contrast or uneven lighting.',
+    params: { claheClipLimit: 3, blurSize: 5, cannyLow: 30, cannyHigh: 120, closeSize: 7, kernelSize: 5 }
+  },
+  colour: {
+    label: 'Colour range',
+    description: 'Pixels within an HSV colour range (red by default). For coloured parts on busy backgrounds.',
+    params: { hueFrom: 160, hueTo: 10, saturationMin: 100, valueMin: 40, kernelSize: 5 }
+  },
+  hough: {
+    label: 'Hough coin',
+    description: 'Finds the coin with a Hough circle transform and masks it out of the threshold result.',
+    params: { blurSize: 7, blockSize: 11, thresholdC: 2, kernelSize: 5, minRadius: 10, minDistance: 50, cannyHigh: 100, accumulator: 30 }
+  },
+  eyedropper: {
+    label: 'Eyedropper colours',
+    description: 'Colours picked on the image (objects or background). For busy or patterned backgrounds; each colour can be its own class.',
+    // colourClasses: see utils/colourSegmentation; separateClasses: one mask and label per object colour
+    params: { colourClasses: [], separateClasses: true, kernelSize: 5 }
+  }
+};
+
+export const DEFAULT_DETECTION_STRATEGY = 'threshold';
+
+// 🔧 TUNING PARAMETER defaults for turning mask contours into objects, shared by every
+// strategy (see objectsFromMask for what each one does)
+export const CONTOUR_FILTER_PARAMS = {
+  minArea: 2000,
+  maxAreaFraction: 0.6,
+  borderMargin: 10,
+  minSize: 30,
+  epsilonFactor: 0.015,
+  coinCircularity: 0.6,
+  minHoleArea: 50
+};
+
+// 🔧 SELECTION TUNING: contour filters for the mask of a selection (smart select,
+// magic wand). A selection is one object, so nothing is dropped for its size or for
+// touching the image border, and it is never taken for the coin.
+export const SELECTION_FILTER_PARAMS = {
+  kernelSize: 3,
+  minArea: 0,
+  maxAreaFraction: 1,
+  borderMargin: -1,
+  minSize: 0,
+  epsilonFactor: 0.01,
+  coinCircularity: 1,
+  minHoleArea: 50
+};
+
+// 🔧 SMART SELECT TUNING: GrabCut iterations, and the margin of background around the
+// dragged rectangle GrabCut learns from (px)
+export const SMART_SELECT_PARAMS = {
+  iterations: 5,
+  contextMargin: 30,
+  ...SELECTION_FILTER_PARAMS
+};
+
+// Every parameter `strategy` runs with: its defaults and the contour filters, with
+// `overrides` applied (overrides the strategy doesn't use are dropped)
+export function strategyParams(strategy, overrides = {}) {
+  const defaults = { ...CONTOUR_FILTER_PARAMS, ...DETECTION_STRATEGIES[strategy].params };
+  return Object.fromEntries(Object.keys(defaults).map(key => [key, overrides[key] ?? defaults[key]]));
+}
+
+const MASKS = {
+  threshold: thresholdMask,
+  edge: edgeMask,
+  colour: colourMask,
+  hough: thresholdMask
+};
+
+// Detect objects with a named strategy. `params` override the strategy's defaults;
+// `preset` is the name of the tuning preset they came from, if any, and is only recorded.
+// Returns the detected objects in px.
+export function findObjects(cv, image, { strategy = DEFAULT_DETECTION_STRATEGY, params = {}, preset = null } = {}, onProgress = () => {}) {
+  if (!DETECTION_STRATEGIES[strategy]) throw new Error(`Unknown detection strategy "${strategy}"`);
+  const detection = { strategy, preset, params: strategyParams(strategy, params) };
+  if (strategy === 'eyedropper') return colourClassObjects(cv, image, detection, onProgress);
+  const src = cv.matFromImageData(image);
+  let mask = null;
+  try {
+    mask = MASKS[strategy](cv, src, detection.params, onProgress);
+    // Hough: mask the coin out so it isn't found a second time as a contour
+    const coin = strategy === 'hough' ? findHoughCircle(cv, src, detection.params, onProgress) : null;
+    if (coin) {
+      cv.circle(mask, new cv.Point(Math.round(coin.x), Math.round(coin.y)), Math.round(coin.r * 1.2), new cv.Scalar(0), -1);
+    }
+    const objects = objectsFromMask(cv, mask, image, detection, onProgress);
+    return coin ? [circleObject(coin, detection), ...objects] : objects;
+  } finally {
+    src.delete();
+    mask?.delete();
+  }
+}
+
+// Smart select: GrabCut inside `rect` ({ x, y, width, height } px). Brush `strokes`
+// ([{ foreground, radius, points }], px) mark pixels that surely are - or are not - the
+// object. The largest region of the result becomes an object the same way detected
+// ones do, or null when nothing is left. `params` override SMART_SELECT_PARAMS.
+export function grabCutObject(cv, image, { rect, strokes = [], params = {} }, onProgress = () => {}) {
+  const detection = { strategy: 'grabcut', preset: null, params: { ...SMART_SELECT_PARAMS, ...params } };
+  const { iterations, contextMargin } = detection.params;
+
+  // GrabCut runs on the rectangle and the margin around it, not the whole photo
+  const x0 = Math.max(0, Math.floor(rect.x - contextMargin));
+  const y0 = Math.max(0, Math.floor(rect.y - contextMargin));
+  const x1 = Math.min(image.width, Math.ceil(rect.x + rect.width + contextMargin));
+  const y1 = Math.min(image.height, Math.ceil(rect.y + rect.height + contextMargin));
+  if (x1 - x0 < 3 || y1 - y0 < 3 || rect.width < 2 || rect.height < 2) return null;
+
+  const src = cv.matFromImageData(image);
+  const rgb = new cv.Mat();
+  const labels = new cv.Mat(y1 - y0, x1 - x0, cv.CV_8UC1, new cv.Scalar(cv.GC_BGD));
+  const backgroundModel = new cv.Mat();
+  const foregroundModel = new cv.Mat();
+  const mask = cv.Mat.zeros(image.height, image.width, cv.CV_8UC1);
+  let roi = null;
+  try {
+    cv.cvtColor(src, rgb, cv.COLOR_RGBA2RGB);
+    roi = rgb.roi(new cv.Rect(x0, y0, x1 - x0, y1 - y0));
+
+    // Inside the rectangle: probably the object. The frame of the region is always
+    // background, so GrabCut has some even when the rectangle reaches the image edge.
+    const point = (x, y) => new cv.Point(Math.round(x - x0), Math.round(y - y0));
+    cv.rectangle(labels, point(rect.x, rect.y), point(rect.x + rect.width - 1, rect.y + rect.height - 1), new cv.Scalar(cv.GC_PR_FGD), -1);
+    cv.rectangle(labels, new cv.Point(0, 0), new cv.Point(labels.cols - 1, labels.rows - 1), new cv.Scalar(cv.GC_BGD), 1);
+    strokes.forEach(({ foreground, radius, points }) => {
+      const value = new cv.Scalar(foreground ? cv.GC_FGD : cv.GC_BGD);
+      const thickness = Math.max(1, Math.round(2 * radius));
+      points.forEach((p, i) => {
+        const from = point(p.x, p.y);
+        if (i === 0) cv.circle(labels, from, Math.round(radius), value, -1);
+        else cv.line(labels, point(points[i - 1].x, points[i - 1].y), from, value, thickness);
+      });
+    });
+
+    onProgress('grabcut');
+    cv.grabCut(roi, labels, new cv.Rect(0, 0, 1, 1), backgroundModel, foregroundModel, iterations, cv.GC_INIT_WITH_MASK);
+
+    // GC_FGD (1) and GC_PR_FGD (3) are the object
+    for (let y = 0; y < labels.rows; y++) {
+      for (let x = 0; x < labels.cols; x++) {
+        if (labels.data[y * labels.cols + x] & 1) mask.data[(y + y0) * image.width + x + x0] = 255;
+      }
+    }
+    return selectionObject(cv, mask, image, detection, onProgress);
+  } finally {
+    roi?.delete();
+    src.delete(); rgb.delete(); labels.delete();
+    backgroundModel.delete(); foregroundModel.delete(); mask.delete();
+  }
+}
+
+// Magic wand: the region selected by flood fill ({ data, width, height }, non-zero =
+// selected) as an object the same way detected ones are, or null when it is empty.
+// `params` (the wand's tolerance, or overrides of SELECTION_FILTER_PARAMS) are
+// recorded with the object.
+export function regionObject(cv, region, params = {}) {
+  const detection = { strategy: 'magicwand', preset: null, params: { ...SELECTION_FILTER_PARAMS, ...params } };
+  const mask = new cv.Mat(region.height, region.width, cv.CV_8UC1);
+  try {
+    mask.data.set(region.data);
+    return selectionObject(cv, mask, region, detection);
+  } finally {
+    mask.delete();
+  }
+}
+
+// The largest region of a selection mask (cleaned in place) as an object, or null
+function selectionObject(cv, mask, image, detection, onProgress = () => {}) {
+  onProgress('morphology');
+  cleanMask(cv, mask, detection.params.kernelSize);
+  const [largest] = objectsFromMask(cv, mask, image, detection, onProgress).sort((a, b) => b.area - a.area);
+  return largest || null;
+}
+
+// Adaptive + Otsu threshold of the blurred grayscale image: plain, contrasting backgrounds
+function thresholdMask(cv, src, params, onProgress) {
+  const gray = new cv.Mat();
+  const blurred = new cv.Mat();
+  const thresh = new cv.Mat();
+  
+  // Convert to grayscale
+  onProgress('grayscale');
+  cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+  
+  // 🔧 TUNING PARAMETER: Blur strength
+  // Current: (7, 7) - Larger = more blur, less noise, but loses fine details
+  // Try: (5, 5) for more detail, (9, 9) for cleaner detection
+  cv.GaussianBlur(gray, blurred, new cv.Size(params.blurSize, params.blurSize), 0);
+  
+  onProgress('threshold');
+  // Try multiple thresholding approaches and combine results
+  const thresh1 = new cv.Mat();
+  const thresh2 = new cv.Mat();
+  
+  // 🔧 TUNING PARAMETER: Adaptive threshold block size and C value
+  // Current: block=11, C=2
+  // Block size (must be odd): Larger = considers more neighbors (try 7, 9, 11, 13, 15)
+  // C value: Subtracted from mean (try 1, 2, 3, 4, 5)
+  // Increase C to detect fewer/cleaner objects, decrease for more sensitivity
+  cv.adaptiveThreshold(blurred, thresh1, 255, cv.ADAPTIVE_THRESH_GAUSSIAN_C, cv.THRESH_BINARY_INV, params.blockSize, params.thresholdC);
+  
+  // Approach 2: Otsu's thresholding (good for solid backgrounds)
+  cv.threshold(blurred, thresh2, 0, 255, cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
+  
+  // Combine both approaches with bitwise OR
+  cv.bitwise_or(thresh1, thresh2, thresh);
+  thresh1.delete();
+  thresh2.delete();
+  
+  onProgress('morphology');
+  // 🔧 TUNING PARAMETER: Morphological kernel size
+  // Current: ELLIPSE (5, 5)
+  // Larger = more aggressive cleanup, may merge close objects (try 3x3, 5x5, 7x7)
+  // RECT vs ELLIPSE: ELLIPSE better for rounded shapes, RECT better for angular
+  const kernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(params.kernelSize, params.kernelSize));
+  cv.morphologyEx(thresh, thresh, cv.MORPH_CLOSE, kernel);
+  cv.morphologyEx(thresh, thresh, cv.MORPH_OPEN, kernel);
+  kernel.delete();
+  
+  gray.delete(); blurred.delete();
+  return thresh;
+}
+
+// CLAHE-equalised Canny edges, closed into outlines: low contrast or uneven lighting
+function edgeMask(cv, src, params, onProgress) {
+  onProgress('grayscale');
+  const gray = new cv.Mat();
+  cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+  // 🔧 EDGE TUNING: CLAHE clip limit - INCREASE to pull out faint edges (and noise)
+  const clahe = new cv.CLAHE(params.claheClipLimit, new cv.Size(8, 8));
+  const equalised = new cv.Mat();
+  clahe.apply(gray, equalised);
+  clahe.delete(); gray.delete();
+  const blurred = new cv.Mat();
+  cv.GaussianBlur(equalised, blurred, new cv.Size(params.blurSize, params.blurSize), 0);
+  equalised.delete();
+
+  onProgress('threshold');
+  // 🔧 EDGE TUNING: Canny thresholds - DECREASE for low-contrast outlines
+  const edges = new cv.Mat();
+  cv.Canny(blurred, edges, params.cannyLow, params.cannyHigh);
+  blurred.delete();
+
+  onProgress('morphology');
+  // 🔧 EDGE TUNING: Gap closing - INCREASE when outlines come out broken
+  const close = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(params.closeSize, params.closeSize));
+  cv.morphologyEx(edges, edges, cv.MORPH_CLOSE, close);
+  close.delete();
+  // Fill the closed outlines so the clean-up below doesn't erode thin edges away
+  const outlines = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+  cv.findContours(edges, outlines, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+  const mask = cv.Mat.zeros(edges.rows, edges.cols, cv.CV_8UC1);
+  cv.drawContours(mask, outlines, -1, new cv.Scalar(255), -1);
+  outlines.delete(); hierarchy.delete(); edges.delete();
+  cleanMask(cv, mask, params.kernelSize);
+  return mask;
+}
+
+// Pixels inside an HSV range (OpenCV hue 0-179): objects of one colour on any background.
+// A range with hueFrom > hueTo wraps around red (e.g. 160 → 10).
+function colourMask(cv, src, params, onProgress) {
+  onProgress('grayscale');
+  const hsv = new cv.Mat();
+  cv.cvtColor(src, hsv, cv.COLOR_RGBA2RGB);
+  cv.cvtColor(hsv, hsv, cv.COLOR_RGB2HSV);
+
+  onProgress('threshold');
+  // 🔧 COLOUR TUNING: hue range and the minimum saturation/value counted as "coloured"
+  const inRange = (hueFrom, hueTo) => {
+    const low = new cv.Mat(hsv.rows, hsv.cols, hsv.type(), [hueFrom, params.saturationMin, params.valueMin, 0]);
+    const high = new cv.Mat(hsv.rows, hsv.cols, hsv.type(), [hueTo, 255, 255, 255]);
+    const out = new cv.Mat();
+    cv.inRange(hsv, low, high, out);
+    low.delete(); high.delete();
+    return out;
+  };
+  let mask;
+  if (params.hueFrom <= params.hueTo) {
+    mask = inRange(params.hueFrom, params.hueTo);
+  } else {
+    mask = inRange(params.hueFrom, 179);
+    const wrapped = inRange(0, params.hueTo);
+    cv.bitwise_or(mask, wrapped, mask);
+    wrapped.delete();
+  }
+  hsv.delete();
+
+  onProgress('morphology');
+  cleanMask(cv, mask, params.kernelSize);
+  return mask;
+}
+
+// Open then close a mask in place: drops specks, fills pinholes
+function cleanMask(cv, mask, kernelSize) {
+  const kernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(kernelSize, kernelSize));
+  cv.morphologyEx(mask, mask, cv.MORPH_OPEN, kernel);
+  cv.morphologyEx(mask, mask, cv.MORPH_CLOSE, kernel);
+  kernel.delete();
+}
+
+// Eyedropper strategy: objects from the colour class masks. With separate classes each
+// object class gets its own mask, and its objects are named and coloured after it
+// ("Red 1", "Blue 1") and record it as `colourClass`.
+function colourClassObjects(cv, image, detection, onProgress) {
+  const { colourClasses, separateClasses, kernelSize } = detection.params;
+  onProgress('threshold');
+  // No colours picked yet: nothing to detect
+  const groups = colourClassMasks(image, colourClasses, { separate: separateClasses });
+
+  const objects = [];
+  groups.forEach(({ colourClass, mask }, g) => {
+    onProgress('morphology');
+    const mat = new cv.Mat(image.height, image.width, cv.CV_8UC1);
+    try {
+      mat.data.set(mask);
+      cleanMask(cv, mat, kernelSize);
+      let count = 0;
+      objectsFromMask(cv, mat, image, detection, onProgress).forEach(obj => {
+        if (!colourClass) {
+          objects.push({ ...obj, id: `${obj.id}_${g}` });
+          return;
+        }
+        objects.push({
+          ...obj,
+          id: `${obj.id}_${g}`,
+          name: obj.isCoin ? obj.name : `${colourClass.name} ${++count}`,
+          color: colourClass.color,
+          colourClass: colourClass.name
+        });
+      });
+    } finally {
+      mat.delete();
+    }
+  });
+  return objects;
+}
+
+// Largest circle HoughCircles finds, or null: { x, y, r } in px
+function findHoughCircle(cv, src, params, onProgress) {
+  onProgress('circles');
+  const gray = new cv.Mat();
+  cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+  const blurred = new cv.Mat();
+  cv.GaussianBlur(gray, blurred, new cv.Size(7, 7), 1.5);
+  gray.delete();
+  const circles = new cv.Mat();
+  try {
+    // 🔧 HOUGH TUNING: accumulator threshold - DECREASE to find faint coins, INCREASE
+    // if other round things are picked; minRadius in px
+    cv.HoughCircles(blurred, circles, cv.HOUGH_GRADIENT, 1.2, params.minDistance, params.cannyHigh,
+      params.accumulator, params.minRadius, Math.max(src.cols, src.rows));
+    let best = null;
+    for (let i = 0; i < circles.cols; i++) {
+      const r = circles.data32F[i * 3 + 2];
+      if (!best || r > best.r) best = { x: circles.data32F[i * 3], y: circles.data32F[i * 3 + 1], r };
+    }
+    return best;
+  } finally {
+    blurred.delete(); circles.delete();
+  }
+}
+
+// A circle as an object (a 36-gon outline), the way detected objects look
+function circleObject(circle, detection) {
+  const points = [];
+  for (let k = 0; k < 36; k++) {
+    const a = (k / 36) * 2 * Math.PI;
+    points.push({ x: circle.x + circle.r * Math.cos(a), y: circle.y + circle.r * Math.sin(a) });
+  }
+  const edges = points.map((p1, j) => {
+    const p2 = points[(j + 1) % points.length];
+    return { start: p1, end: p2, pixelLength: Math.hypot(p2.x - p1.x, p2.y - p1.y), realLength: null };
+  });
+  return {
+    id: `obj_${Date.now()}_coin`,
+    name: 'Coin',
+    color: COLORS[3],
+    contour: { x: circle.x - circle.r, y: circle.y - circle.r, width: 2 * circle.r, height: 2 * circle.r },
+    points,
+    center: { x: circle.x, y: circle.y },
+    edges,
+    angles: interiorAngles(points),
+    area: Math.PI * circle.r ** 2,
+    perimeter: 2 * Math.PI * circle.r,
+    isCoin: true,
+    circularity: 1,
+    shape: null,
+    vertexUncertainty: EDGE_LOCALISATION_PX,
+    pixelDistance: 2 * circle.r,
+    detection,
+    measurements: { edges: edges.map(e => ({ pixelLength: e.pixelLength, realLength: null })), perimeter: null }
+  };
+}
+
+// Polygon approximating a contour, epsilon = epsilonFactor × its perimeter
+function approximateContour(cv, contour, epsilonFactor) {
+  const approx = new cv.Mat();
+  cv.approxPolyDP(contour, approx, epsilonFactor * cv.arcLength(contour, true), true);
+  const points = [];
+  for (let j = 0; j < approx.rows; j++) {
+    points.push({ x: approx.data32S[j * 2], y: approx.data32S[j * 2 + 1] });
+  }
+  approx.delete();
+  return points;
+}
+
+// Objects from the outer contours of a binary mask, each with the inner contours
+// inside it as `holes`
+function objectsFromMask(cv, mask, image, detection, onProgress) {
+  onProgress('contours');
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+  // Two levels: outer boundaries, and the boundaries of the holes in them
+  cv.findContours(mask, contours, hierarchy, cv.RETR_CCOMP, cv.CHAIN_APPROX_SIMPLE);
+  // Per contour: [next, previous, first child, parent]
+  const links = hierarchy.data32S;
+  
+  const objects = [];
+  const imageArea = image.width * image.height;
+  
+  const params = detection.params;
+  
+  // 🔧 TUNING PARAMETER: Image boundary buffer (borderMargin)
+  // Default: 10 pixels - Objects touching this border are ignored
+  // Decrease to capture edge objects, increase to be more strict
+  const imageBoundary = {
+    left: params.borderMargin,
+    right: image.width - params.borderMargin,
+    top: params.borderMargin,
+    bottom: image.height - params.borderMargin
+  };
+  
+  console.log(`Found ${contours.size()} raw contours`);
+  onProgress('approximation');
+  
+  for (let i = 0; i < contours.size(); i++) {
+    // Holes are read with their parent
+    if (links[i * 4 + 3] !== -1) continue;
+    const contour = contours.get(i);
+    const area = cv.contourArea(contour);
+    
+    // 🔧 TUNING PARAMETER: Area filtering (minArea, maxAreaFraction)
+    // Default: min=2000px², max=60% of image
+    // DECREASE min to catch smaller objects (try 1000, 1500)
+    // INCREASE min to ignore small noise (try 3000, 5000)
+    // Adjust max % if objects are being rejected as "too large"
+    if (area < params.minArea || area > imageArea * params.maxAreaFraction) { 
+      contour.delete(); 
+      continue; 
+    }
+    
+    // Get bounding box
+    const rect = cv.boundingRect(contour);
+    
+    // Skip contours that touch the image border
+    if (rect.x <= imageBoundary.left || 
+        rect.y <= imageBoundary.top ||
+        rect.x + rect.width >= imageBoundary.right ||
+        rect.y + rect.height >= imageBoundary.bottom) {
+      contour.delete();
+      continue;
+    }
+    
+    // 🔧 TUNING PARAMETER: Minimum object dimensions (minSize)
+    // Default: 30x30 pixels
+    // DECREASE to detect smaller objects (try 20, 25)
+    // INCREASE to filter out small noise (try 40, 50)
+    if (rect.width < params.minSize || rect.height < params.minSize) {
+      contour.delete();
+      continue;
+    }
+    
+    // 🔧 TUNING PARAMETER: Polygon approximation accuracy (epsilonFactor)
+    // Default: epsilon = 0.015 * perimeter
+    // DECREASE for more precise/detailed shapes (try 0.01)
+    // INCREASE for simpler shapes with fewer points (try 0.02, 0.03)
+    const epsilon = params.epsilonFactor * cv.arcLength(contour, true);
+    const approx = new cv.Mat();
+    cv.approxPolyDP(contour, approx, epsilon, true);
+    const points = [];
+    for (let j = 0; j < approx.rows; j++) {
+      points.push({x: approx.data32S[j * 2], y: approx.data32S[j * 2 + 1]});
+    }
+    
+    // Vertex uncertainty: localisation floor plus how far the raw contour
+    // strays from the approximated polygon (the cost of the epsilon above)
+    const rawPoints = [];
+    for (let j = 0; j < contour.rows; j++) {
+      rawPoints.push({x: contour.data32S[j * 2], y: contour.data32S[j * 2 + 1]});
+    }
+    const vertexUncertainty = combineUncertainties(EDGE_LOCALISATION_PX, polygonFitResidual(rawPoints, points));
+    
+    // Holes: the contour's children
+    const holes = [];
+    for (let child = links[i * 4 + 2]; child !== -1; child = links[child * 4]) {
+      const inner = contours.get(child);
+      // 🔧 TUNING PARAMETER: Smallest hole kept (minHoleArea)
+      // Default: 50px² - smaller inner contours are specks left in the mask
+      if (cv.contourArea(inner) >= params.minHoleArea) {
+        const holePoints = approximateContour(cv, inner, params.epsilonFactor);
+        if (holePoints.length >= 3) holes.push(holeGeometry(holePoints));
+      }
+      inner.delete();
+    }
+    
+    // Calculate circularity
+    const perimeter = cv.arcLength(contour, true);
+    const circularity = (4 * Math.PI * area) / (perimeter * perimeter);
+    
+    // 🔧 TUNING PARAMETER: Coin detection thresholds (coinCircularity)
+    // Default: circularity > 0.60, aspect 0.65-1.35
+    // DECREASE circularity to catch imperfect circles (try 0.50, 0.55)
+    // NARROW aspect ratio for stricter circles (try 0.75-1.25)
+    // WIDEN aspect ratio for irregular coins (try 0.6-1.4)
+    const aspectRatio = rect.width / rect.height;
+    const isCoin = !holes.length &&  // Washers are round too
+                  circularity > params.coinCircularity &&  // Lowered for non-perfect circles
+                  area > 2500 && 
+                  area < imageArea * 0.4 &&
+                  aspectRatio > 0.65 &&  // More tolerance for aspect ratio
+                  aspectRatio < 1.35;
+    
+    // Build edges
+    const edgesList = [];
+    for (let j = 0; j < points.length; j++) {
+      const p1 = points[j], p2 = points[(j + 1) % points.length];
+      const length = Math.sqrt((p2.x-p1.x)**2 + (p2.y-p1.y)**2);
+      edgesList.push({start: p1, end: p2, pixelLength: length, realLength: null});
+    }
+    
+    objects.push({
+      id: `obj_${Date.now()}_${i}`, // Unique ID using timestamp + index
+      name: isCoin ? 'Coin' : `Object ${objects.filter(o => !o.isCoin).length + 1}`,
+      color: COLORS[objects.length % COLORS.length],
+      contour: {x: rect.x, y: rect.y, width: rect.width, height: rect.height},
+      points,
+      edges: edgesList,
+      angles: interiorAngles(points),
+      area,
+      perimeter,
+      holes,
+      isCoin,
+      circularity,
+      shape: isCoin ? null : fitShape(points, { circularity }),
+      vertexUncertainty,
+      pixelDistance: null,
+      detection,
+      measurements: {edges: edgesList.map(e=>({pixelLength:e.pixelLength,realLength:null})), perimeter:null}
+    });
+    
+    console.log(`Object ${objects.length}: area=${area.toFixed(0)}, circ=${circularity.toFixed(3)}, aspect=${aspectRatio.toFixed(3)}, holes=${holes.length}, isCoin=${isCoin}`);
+    
+    approx.delete();
+    contour.delete();
+  }
+  
+  contours.delete(); hierarchy.delete();
+  console.log(`Detected ${objects.length} valid objects`);
+  return objects;
+}
+
+// Find the most circular coin-sized contour. Returns { pixelDistance, center } - the
+// coin diameter in px and its centre. `options` override the coin tuning values below
+// (used to run detection variants)
+export function findCoin(cv, image, options = {}, onProgress = () => {}) {
+  const { blurSize = 9, blockSize = 15, kernelSize = 7 } = options;
+  const src = cv.matFromImageData(image);
+  const gray = new cv.Mat();
+  const blurred = new cv.Mat();
+  const thresh = new cv.Mat();
+  
+  // Convert to grayscale
+  onProgress('grayscale');
+  cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+  
+  // 🔧 COIN TUNING: Blur strength for coin detection
+  // Current: (9, 9) with sigma=2
+  // INCREASE for noisier images: (11, 11) or sigma=3
+  // DECREASE for clearer images: (7, 7) or sigma=1
+  cv.GaussianBlur(gray, blurred, new cv.Size(blurSize, blurSize), 2);
+  
+  onProgress('threshold');
+  // Try multiple thresholding approaches for better coin detection
+  const thresh1 = new cv.Mat();
+  const thresh2 = new cv.Mat();
+  
+  // 🔧 COIN TUNING: Adaptive threshold for shadows
+  // Current: block=15, C=2
+  // INCREASE block size for larger coins: 17, 19, 21
+  // INCREASE C for cleaner detection: 3, 4, 5
+  cv.adaptiveThreshold(blurred, thresh1, 255, cv.ADAPTIVE_THRESH_GAUSSIAN_C, cv.THRESH_BINARY_INV, blockSize, 2);
+  
+  // Approach 2: Otsu's thresholding (excellent for solid backgrounds)
+  cv.threshold(blurred, thresh2, 0, 255, cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
+  
+  // Combine both approaches
+  cv.bitwise_or(thresh1, thresh2, thresh);
+  thresh1.delete();
+  thresh2.delete();
+  
+  onProgress('morphology');
+  // 🔧 COIN TUNING: Morphological kernel for circular cleanup
+  // Current: ELLIPSE (7, 7)
+  // INCREASE for rounder coins: (9, 9) or (11, 11)
+  // DECREASE if coin edges are lost: (5, 5)
+  const kernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(kernelSize, kernelSize));
+  cv.morphologyEx(thresh, thresh, cv.MORPH_CLOSE, kernel);
+  cv.morphologyEx(thresh, thresh, cv.MORPH_OPEN, kernel);
+  kernel.delete();
+  
+  onProgress('contours');
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+  cv.findContours(thresh, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+  
+  let coinDiameter = null;
+  let coinCenter = null;
+  let bestCircularity = 0;
+  const imageArea = image.width * image.height;
+  
+  // 🔧 COIN TUNING: Image boundary for coin detection
+  // Current: 10 pixels
+  // DECREASE if coin is near edges: 5
+  // INCREASE for stricter center detection: 15, 20
+  const imageBoundary = {
+    left: 10,
+    right: image.width - 10,
+    top: 10,
+    bottom: image.height - 10
+  };
+  
+  console.log(`Coin detection: found ${contours.size()} contours`);
+  
+  for (let i = 0; i < contours.size(); i++) {
+    const contour = contours.get(i);
+    const area = cv.contourArea(contour);
+    
+    // 🔧 COIN TUNING: Coin area filtering
+    // Current: min=3000px², max=40% of image
+    // DECREASE min for smaller coins in photo: 2000, 2500
+    // INCREASE min for larger coins only: 4000, 5000
+    // Adjust max % based on how much of frame coin occupies
+    if (area < 500 || area > imageArea * 0.3) { 
+      contour.delete(); 
+      continue; 
+    }
+    
+    const rect = cv.boundingRect(contour);
+    
+    // 🔧 COIN TUNING: Minimum coin dimensions
+    // Current: 40x40 pixels
+    // DECREASE for smaller coins: 30, 35
+    // INCREASE for larger coins: 50, 60
+    if (rect.width < 40 || rect.height < 40) {
+      contour.delete();
+      continue;
+    }
+    
+    // Skip contours touching image border
+    if (rect.x <= imageBoundary.left || 
+        rect.y <= imageBoundary.top ||
+        rect.x + rect.width >= imageBoundary.right ||
+        rect.y + rect.height >= imageBoundary.bottom) {
+      contour.delete();
+      continue;
+    }
+    
+    // Calculate circularity and aspect ratio
+    const perimeter = cv.arcLength(contour, true);
+    const circularity = (4 * Math.PI * area) / (perimeter * perimeter);
+    const aspectRatio = rect.width / rect.height;
+    
+    console.log(`Coin candidate ${i}: area=${area.toFixed(0)}, circ=${circularity.toFixed(3)}, aspect=${aspectRatio.toFixed(3)}, width=${rect.width}, height=${rect.height}`);
+    
+    // 🔧 COIN TUNING: Circularity and aspect ratio thresholds
+    // Current: circularity > 0.55, aspect 0.65-1.35
+    // For PERFECT CIRCLES: increase circularity to 0.70, narrow aspect to 0.8-1.2
+    // For IRREGULAR COINS: decrease circularity to 0.45-0.50, widen aspect to 0.6-1.4
+    // For WORN COINS: decrease circularity to 0.50
+    if (circularity > 0.40 && aspectRatio > 0.40 && aspectRatio < 1.40) {
+      if (circularity > bestCircularity) {
+        bestCircularity = circularity;
+        coinDiameter = Math.max(rect.width, rect.height);
+        coinCenter = { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+        console.log(`  ✓ New best coin candidate! diameter=${coinDiameter}px, circularity=${circularity.toFixed(3)}`);
+      }
+    }
+    contour.delete();
+  }
+  
+  src.delete(); gray.delete(); blurred.delete(); thresh.delete(); contours.delete(); hierarchy.delete();
+  
+  if (coinDiameter) {
+    console.log(`✓ Final coin detected: ${coinDiameter}px`);
+    return { pixelDistance: coinDiameter, center: coinCenter };
+  } else {
+    console.log('✗ No coin detected');
+    throw new Error('No coin detected. Try: 1) Better lighting, 2) Plain background, 3) Manual calibration');
+  }
+}
@@ -0,0 +1,28 @@
+// Detection worker: loads its own copy of OpenCV.js and runs the detection pipeline
+// off the main thread, so large photos don't freeze the UI.
+// In:  { id, task: 'objects' | 'coin' | 'grabcut', image: { data, width, height }, options }
+//      (options: { strategy, params, preset } for objects, coin tuning overrides for coin,
+//      { rect, strokes, params } for grabcut)
+// Out: { id, type: 'progress', stage }, then { id, type: 'result', result }
+//      or { id, type: 'error', message }
+import { findObjects, findCoin, grabCutObject } from './detectionPipeline';
+import { loadOpenCV } from './utils/opencvLoader';
+
+const TASKS = {
+  objects: (cv, image, options, onProgress) => findObjects(cv, image, options, onProgress),
+  coin: (cv, image, options, onProgress) => findCoin(cv, image, options, onProgress),
+  grabcut: (cv, image, options, onProgress) => grabCutObject(cv, image, options, onProgress)
+};
+
+self.onmessage = async ({ data: { id, task, image, options } }) => {
+  const onProgress = (stage) => self.postMessage({ id, type: 'progress', stage });
+  try {
+    onProgress('loading');
+    const cv = await loadOpenCV().catch((e) => {
+      throw new Error(`Vision engine unavailable - ${e.message}`);
+    });
+    self.postMessage({ id, type: 'result', result: TASKS[task](cv, image, options, onProgress) });
+  } catch (e) {
+    self.postMessage({ id, type: 'error', message: e.message || String(e) });
+  }
+};
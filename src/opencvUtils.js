@@ -1,43 +1,148 @@
-// Clean OpenCV.js loader for global-script usage
-// No import of opencv-js -- loaded via <script> in index.html!
-
-// $1 coin diameter in millimeters (Canadian Loonie)
-// Note: Toonie is 28mm, Loonie is 26.5mm - adjust if using Toonie
-export const COIN_DIAMETER_MM = 26.5;
-
-let cvReady = false;
-let cvInitPromise = null;
-
-// Await until OpenCV global is ready (handles Promise and API global)
-export async function initOpenCV() {
-  // If OpenCV is already patched and ready, return it
-  if (window.cv && window.cv.Mat) return window.cv;
-
-  // If window.cv is a Promise (some script/CDN mistakes), await it,
-  // then patch it back to window.cv = result (so others get correct cv)
-  if (window.cv && typeof window.cv.then === "function") {
-    window.cv = await window.cv;
-    if (window.cv.Mat) return window.cv;
+// OpenCV.js helpers for the page. OpenCV itself comes from utils/opencvLoader; object
+// and coin detection run in detectionWorker.js, which loads its own copy.
+
+// Reference dimensions (coins, cards, paper, custom) live in ./utils/referenceObjects
+import { getReferenceLengthMm } from './utils/referenceObjects';
+import {
+  distancePointToSegment,
+  fitLine,
+  intersectLines
+} from './utils/geometry';
+import {
+  EDGE_LOCALISATION_PX,
+  combineUncertainties,
+  standardDeviation,
+  propagateLength,
+  propagateArea,
+  edgePixelSigma,
+  perimeterPixelSigma,
+  areaPixelSigma
+} from './utils/uncertainty';
+import { measureShape } from './utils/shapeFit';
+import { measureMetrics } from './utils/objectMetrics';
+import { measureHoles, measureNetArea } from './utils/holes';
+import { loadOpenCV } from './utils/opencvLoader';
+import { regionObject } from './detectionPipeline';
+import { findCheckerboardCorners } from './utils/checkerboard';
+import { cornerSubPix } from './utils/subpixel';
+
+// Object and coin detection run in a worker (detectionWorker.js), one job at a time.
+// Each job's image is decoded here and its pixel buffer transferred to the worker.
+let detectionWorker = null;
+let nextJobId = 1;
+let runningJob = null;
+const queuedJobs = [];
+
+function getDetectionWorker() {
+  if (!detectionWorker) {
+    detectionWorker = new Worker(new URL('./detectionWorker.js', import.meta.url), { type: 'module' });
+    detectionWorker.onmessage = ({ data }) => {
+      const job = runningJob;
+      if (!job || data.id !== job.id) return;
+      if (data.type === 'progress') {
+        job.onProgress?.(data.stage);
+        return;
+      }
+      finishJob(job);
+      if (data.type === 'result') job.resolve(data.result);
+      else job.reject(new Error(data.message));
+    };
+    detectionWorker.onerror = (event) => {
+      const job = runningJob;
+      stopDetectionWorker();
+      if (job) {
+        finishJob(job);
+        job.reject(new Error('Detection worker failed: ' + (event.message || 'unknown error')));
+      }
+    };
   }
+  return detectionWorker;
+}
+
+function stopDetectionWorker() {
+  detectionWorker?.terminate();
+  detectionWorker = null;
+}
+
+function startNextJob() {
+  if (runningJob || queuedJobs.length === 0) return;
+  runningJob = queuedJobs.shift();
+  const { id, task, image, options } = runningJob;
+  getDetectionWorker().postMessage({ id, task, image, options }, [image.data.buffer]);
+}
+
+function finishJob(job) {
+  job.signal?.removeEventListener('abort', job.cancel);
+  if (runningJob === job) runningJob = null;
+  else queuedJobs.splice(queuedJobs.indexOf(job), 1);
+  startNextJob();
+}
+
+// Queue a detection task. `onProgress(stage)` reports DETECTION_STAGES ids; aborting
+// `signal` rejects with an AbortError and, if the job is already running, terminates
+// the worker (the OpenCV calls can't be interrupted) - the next job starts a fresh one.
+async function runDetectionTask(task, imageDataUrl, options, { onProgress, signal } = {}) {
+  signal?.throwIfAborted();
+  const imageData = await loadImageData(imageDataUrl);
+  signal?.throwIfAborted();
 
-  // Wait for script to load and initialize
   return new Promise((resolve, reject) => {
-    const start = Date.now();
-    function tryReady() {
-      // If OpenCV is available, done!
-      if (window.cv && window.cv.Mat) return resolve(window.cv);
-      // Timeout after 30 seconds
-      if (Date.now() - start > 30000) return reject(new Error("OpenCV.js failed to load in 30s"));
-      setTimeout(tryReady, 100);
-    }
-    tryReady();
+    const job = {
+      id: nextJobId++,
+      task,
+      image: { data: imageData.data, width: imageData.width, height: imageData.height },
+      options,
+      onProgress,
+      signal,
+      resolve,
+      reject
+    };
+    job.cancel = () => {
+      if (runningJob === job) stopDetectionWorker();
+      finishJob(job);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', job.cancel);
+    queuedJobs.push(job);
+    startNextJob();
   });
 }
 
-// All other OpenCV utility functions (contour etc) must call await initOpenCV() before using window.cv!
+// Detect objects in an image with a named strategy - detection is { strategy, params },
+// see DETECTION_STRATEGIES. Resolves the objects in px (see detectionPipeline.findObjects).
+export function detectContours(imageDataUrl, detection = {}, run = {}) {
+  return runDetectionTask('objects', imageDataUrl, detection, run);
+}
+
+// Resolves { pixelDistance, center } - the coin diameter in px and its centre.
+// `options` override the coin tuning values (used to run detection variants);
+// `run` takes the same { onProgress, signal } as detectContours.
+export function detectCoin(imageDataUrl, options = {}, run = {}) {
+  return runDetectionTask('coin', imageDataUrl, options, run);
+}
+
+// Smart select: GrabCut in the worker. `selection` is { rect, strokes, params } (see
+// detectionPipeline.grabCutObject); resolves the selected object in px, or null.
+// `run` takes the same { onProgress, signal } as detectContours.
+export function smartSelectObject(imageDataUrl, selection, run = {}) {
+  return runDetectionTask('grabcut', imageDataUrl, selection, run);
+}
+
+// Magic wand: a flood-filled region ({ data, width, height }, see utils/magicWand) as a
+// polygon object in px, or null when it is empty. Tracing one mask is quick, so it
+// runs here rather than in the worker. `params` are recorded with the object.
+export async function regionToObject(region, params = {}) {
+  const cv = await loadOpenCV();
+  return regionObject(cv, region, params);
+}
 
-export async function detectContours(imageDataUrl) {
-  const cv = await initOpenCV();
+// Find a rectangular reference (card, sheet of paper) in the image.
+// Resolves { pixelWidth, pixelHeight, points } where pixelWidth is the long side in px
+// and points are the four detected corners.
+// `options` override the rectangle tuning values below (used to run detection variants)
+export async function detectRectangleReference(imageDataUrl, reference, options = {}) {
+  const { cannyLow = 50, cannyHigh = 150, epsilonFactor = 0.02 } = options;
+  const cv = await loadOpenCV();
   return new Promise((resolve, reject) => {
     try {
       const img = new window.Image();
@@ -52,168 +157,87 @@ export async function detectContours(imageDataUrl) {
           const src = cv.matFromImageData(imageData);
           const gray = new cv.Mat();
           const blurred = new cv.Mat();
-          const thresh = new cv.Mat();
-          
-          // Convert to grayscale
+          const edges = new cv.Mat();
+
           cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
-          
-          // 🔧 TUNING PARAMETER: Blur strength
-          // Current: (7, 7) - Larger = more blur, less noise, but loses fine details
-          // Try: (5, 5) for more detail, (9, 9) for cleaner detection
-          cv.GaussianBlur(gray, blurred, new cv.Size(7, 7), 0);
-          
-          // Try multiple thresholding approaches and combine results
-          const thresh1 = new cv.Mat();
-          const thresh2 = new cv.Mat();
-          
-          // 🔧 TUNING PARAMETER: Adaptive threshold block size and C value
-          // Current: block=11, C=2
-          // Block size (must be odd): Larger = considers more neighbors (try 7, 9, 11, 13, 15)
-          // C value: Subtracted from mean (try 1, 2, 3, 4, 5)
-          // Increase C to detect fewer/cleaner objects, decrease for more sensitivity
-          cv.adaptiveThreshold(blurred, thresh1, 255, cv.ADAPTIVE_THRESH_GAUSSIAN_C, cv.THRESH_BINARY_INV, 11, 2);
-          
-          // Approach 2: Otsu's thresholding (good for solid backgrounds)
-          cv.threshold(blurred, thresh2, 0, 255, cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
-          
-          // Combine both approaches with bitwise OR
-          cv.bitwise_or(thresh1, thresh2, thresh);
-          thresh1.delete();
-          thresh2.delete();
-          
-          // 🔧 TUNING PARAMETER: Morphological kernel size
-          // Current: ELLIPSE (5, 5)
-          // Larger = more aggressive cleanup, may merge close objects (try 3x3, 5x5, 7x7)
-          // RECT vs ELLIPSE: ELLIPSE better for rounded shapes, RECT better for angular
-          const kernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(5, 5));
-          cv.morphologyEx(thresh, thresh, cv.MORPH_CLOSE, kernel);
-          cv.morphologyEx(thresh, thresh, cv.MORPH_OPEN, kernel);
+          cv.GaussianBlur(gray, blurred, new cv.Size(5, 5), 0);
+
+          // 🔧 RECTANGLE TUNING: Canny thresholds for card/paper outlines
+          // Current: 50 / 150 - DECREASE for low-contrast edges (white card on white table)
+          cv.Canny(blurred, edges, cannyLow, cannyHigh);
+          const kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(5, 5));
+          cv.morphologyEx(edges, edges, cv.MORPH_CLOSE, kernel);
           kernel.delete();
-          
+
           const contours = new cv.MatVector();
           const hierarchy = new cv.Mat();
-          cv.findContours(thresh, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
-          
-          const objects = [];
+          cv.findContours(edges, contours, hierarchy, cv.RETR_LIST, cv.CHAIN_APPROX_SIMPLE);
+
           const imageArea = canvas.width * canvas.height;
-          
-          // 🔧 TUNING PARAMETER: Image boundary buffer
-          // Current: 10 pixels - Objects touching this border are ignored
-          // Decrease to capture edge objects, increase to be more strict
-          const imageBoundary = {
-            left: 10,
-            right: canvas.width - 10,
-            top: 10,
-            bottom: canvas.height - 10
-          };
-          
-          console.log(`Found ${contours.size()} raw contours`);
-          
+          const targetAspect = reference.widthMm / reference.heightMm;
+          let best = null;
+
+          console.log(`Rectangle reference detection: found ${contours.size()} contours`);
+
           for (let i = 0; i < contours.size(); i++) {
             const contour = contours.get(i);
             const area = cv.contourArea(contour);
-            
-            // 🔧 TUNING PARAMETER: Area filtering
-            // Current: min=2000px², max=60% of image
-            // DECREASE min to catch smaller objects (try 1000, 1500)
-            // INCREASE min to ignore small noise (try 3000, 5000)
-            // Adjust max % if objects are being rejected as "too large"
-            if (area < 2000 || area > imageArea * 0.6) { 
-              contour.delete(); 
-              continue; 
-            }
-            
-            // Get bounding box
-            const rect = cv.boundingRect(contour);
-            
-            // Skip contours that touch the image border
-            if (rect.x <= imageBoundary.left || 
-                rect.y <= imageBoundary.top ||
-                rect.x + rect.width >= imageBoundary.right ||
-                rect.y + rect.height >= imageBoundary.bottom) {
+
+            // 🔧 RECTANGLE TUNING: Area filtering (min=2000px², max=95% of image)
+            if (area < 2000 || area > imageArea * 0.95) {
               contour.delete();
               continue;
             }
-            
-            // 🔧 TUNING PARAMETER: Minimum object dimensions
-            // Current: 30x30 pixels
-            // DECREASE to detect smaller objects (try 20, 25)
-            // INCREASE to filter out small noise (try 40, 50)
-            if (rect.width < 30 || rect.height < 30) {
+
+            const approx = new cv.Mat();
+            cv.approxPolyDP(contour, approx, epsilonFactor * cv.arcLength(contour, true), true);
+            if (approx.rows !== 4 || !cv.isContourConvex(approx)) {
+              approx.delete();
               contour.delete();
               continue;
             }
-            
-            // 🔧 TUNING PARAMETER: Polygon approximation accuracy
-            // Current: epsilon = 0.015 * perimeter
-            // DECREASE for more precise/detailed shapes (try 0.01)
-            // INCREASE for simpler shapes with fewer points (try 0.02, 0.03)
-            const epsilon = 0.015 * cv.arcLength(contour, true);
-            const approx = new cv.Mat();
-            cv.approxPolyDP(contour, approx, epsilon, true);
+
             const points = [];
-            for (let j = 0; j < approx.rows; j++) {
-              points.push({x: approx.data32S[j * 2], y: approx.data32S[j * 2 + 1]});
+            for (let j = 0; j < 4; j++) {
+              points.push({ x: approx.data32S[j * 2], y: approx.data32S[j * 2 + 1] });
             }
-            
-            // Calculate circularity
-            const perimeter = cv.arcLength(contour, true);
-            const circularity = (4 * Math.PI * area) / (perimeter * perimeter);
-            
-            // 🔧 TUNING PARAMETER: Coin detection thresholds
-            // Current: circularity > 0.60, aspect 0.65-1.35
-            // DECREASE circularity to catch imperfect circles (try 0.50, 0.55)
-            // NARROW aspect ratio for stricter circles (try 0.75-1.25)
-            // WIDEN aspect ratio for irregular coins (try 0.6-1.4)
-            const aspectRatio = rect.width / rect.height;
-            const isCoin = circularity > 0.60 &&  // Lowered for non-perfect circles
-                          area > 2500 && 
-                          area < imageArea * 0.4 &&
-                          aspectRatio > 0.65 &&  // More tolerance for aspect ratio
-                          aspectRatio < 1.35;
-            
-            // Build edges
-            const edgesList = [];
-            for (let j = 0; j < points.length; j++) {
-              const p1 = points[j], p2 = points[(j + 1) % points.length];
-              const length = Math.sqrt((p2.x-p1.x)**2 + (p2.y-p1.y)**2);
-              edgesList.push({start: p1, end: p2, pixelLength: length, realLength: null});
+            const sideA = (calculatePixelDistance(points[0], points[1]) + calculatePixelDistance(points[2], points[3])) / 2;
+            const sideB = (calculatePixelDistance(points[1], points[2]) + calculatePixelDistance(points[3], points[0])) / 2;
+            const pixelWidth = Math.max(sideA, sideB);
+            const pixelHeight = Math.min(sideA, sideB);
+            const aspectRatio = pixelWidth / pixelHeight;
+
+            // 🔧 RECTANGLE TUNING: Aspect ratio tolerance vs. the reference (15%)
+            // INCREASE for photos taken at an angle, DECREASE to avoid picking other boxes
+            const aspectError = Math.abs(aspectRatio - targetAspect) / targetAspect;
+            console.log(`Rectangle candidate ${i}: area=${area.toFixed(0)}, aspect=${aspectRatio.toFixed(3)}, error=${aspectError.toFixed(3)}`);
+            if (aspectError < 0.15 && (!best || area > best.area)) {
+              best = { area, points, pixelWidth, pixelHeight };
             }
-            
-            objects.push({
-              id: `obj_${Date.now()}_${i}`, // Unique ID using timestamp + index
-              name: isCoin ? 'Coin' : `Object ${objects.filter(o => !o.isCoin).length + 1}`,
-              color: ['#3B82F6','#EF4444','#10B981','#F59E0B','#8B5CF6','#EC4899','#06B6D4', '#F97316'][objects.length % 8],
-              contour: {x: rect.x, y: rect.y, width: rect.width, height: rect.height},
-              points,
-              edges: edgesList,
-              area,
-              perimeter,
-              isCoin,
-              circularity,
-              pixelDistance: null,
-              measurements: {edges: edgesList.map(e=>({pixelLength:e.pixelLength,realLength:null})), perimeter:null}
-            });
-            
-            console.log(`Object ${objects.length}: area=${area.toFixed(0)}, circ=${circularity.toFixed(3)}, aspect=${aspectRatio.toFixed(3)}, isCoin=${isCoin}`);
-            
             approx.delete();
             contour.delete();
           }
-          
-          src.delete(); gray.delete(); blurred.delete(); thresh.delete(); contours.delete(); hierarchy.delete();
-          console.log(`Detected ${objects.length} valid objects`);
-          resolve(objects);
-        } catch (e) { reject(new Error('detectContours error: ' + e.message)); }
+
+          src.delete(); gray.delete(); blurred.delete(); edges.delete(); contours.delete(); hierarchy.delete();
+
+          if (best) {
+            console.log(`✓ Rectangle reference detected: ${best.pixelWidth.toFixed(1)} × ${best.pixelHeight.toFixed(1)}px`);
+            resolve({ pixelWidth: best.pixelWidth, pixelHeight: best.pixelHeight, points: best.points });
+          } else {
+            reject(new Error(`No ${reference.name} detected. Try: 1) Contrasting background, 2) Whole reference in frame, 3) Manual calibration`));
+          }
+        } catch (e) { reject(new Error('detectRectangleReference error: ' + e.message)); }
       };
-      img.onerror = (e) => reject(new Error('detectContours failed to load image'));
+      img.onerror = () => reject(new Error('detectRectangleReference failed to load image'));
       img.src = imageDataUrl;
-    } catch (e) { reject(new Error('detectContours outer error: ' + e.message)); }
+    } catch (e) { reject(new Error('detectRectangleReference outer error: ' + e.message)); }
   });
 }
 
-export async function detectCoin(imageDataUrl) {
-  const cv = await initOpenCV();
+// Warp an image through a homography (row-major array of 9 numbers) into a
+// width × height canvas. Resolves a PNG data URL of the rectified image.
+export async function warpPerspectiveImage(imageDataUrl, homography, width, height) {
+  const cv = await loadOpenCV();
   return new Promise((resolve, reject) => {
     try {
       const img = new window.Image();
@@ -224,165 +248,473 @@ export async function detectCoin(imageDataUrl) {
           canvas.height = img.height;
           const ctx = canvas.getContext('2d');
           ctx.drawImage(img, 0, 0);
-          const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-          const src = cv.matFromImageData(imageData);
-          const gray = new cv.Mat();
-          const blurred = new cv.Mat();
-          const thresh = new cv.Mat();
-          
-          // Convert to grayscale
-          cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
-          
-          // 🔧 COIN TUNING: Blur strength for coin detection
-          // Current: (9, 9) with sigma=2
-          // INCREASE for noisier images: (11, 11) or sigma=3
-          // DECREASE for clearer images: (7, 7) or sigma=1
-          cv.GaussianBlur(gray, blurred, new cv.Size(9, 9), 2);
-          
-          // Try multiple thresholding approaches for better coin detection
-          const thresh1 = new cv.Mat();
-          const thresh2 = new cv.Mat();
-          
-          // 🔧 COIN TUNING: Adaptive threshold for shadows
-          // Current: block=15, C=2
-          // INCREASE block size for larger coins: 17, 19, 21
-          // INCREASE C for cleaner detection: 3, 4, 5
-          cv.adaptiveThreshold(blurred, thresh1, 255, cv.ADAPTIVE_THRESH_GAUSSIAN_C, cv.THRESH_BINARY_INV, 15, 2);
-          
-          // Approach 2: Otsu's thresholding (excellent for solid backgrounds)
-          cv.threshold(blurred, thresh2, 0, 255, cv.THRESH_BINARY_INV + cv.THRESH_OTSU);
-          
-          // Combine both approaches
-          cv.bitwise_or(thresh1, thresh2, thresh);
-          thresh1.delete();
-          thresh2.delete();
-          
-          // 🔧 COIN TUNING: Morphological kernel for circular cleanup
-          // Current: ELLIPSE (7, 7)
-          // INCREASE for rounder coins: (9, 9) or (11, 11)
-          // DECREASE if coin edges are lost: (5, 5)
-          const kernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(7, 7));
-          cv.morphologyEx(thresh, thresh, cv.MORPH_CLOSE, kernel);
-          cv.morphologyEx(thresh, thresh, cv.MORPH_OPEN, kernel);
-          kernel.delete();
-          
-          const contours = new cv.MatVector();
-          const hierarchy = new cv.Mat();
-          cv.findContours(thresh, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
-          
-          let coinDiameter = null;
-          let bestCircularity = 0;
-          const imageArea = canvas.width * canvas.height;
-          
-          // 🔧 COIN TUNING: Image boundary for coin detection
-          // Current: 10 pixels
-          // DECREASE if coin is near edges: 5
-          // INCREASE for stricter center detection: 15, 20
-          const imageBoundary = {
-            left: 10,
-            right: canvas.width - 10,
-            top: 10,
-            bottom: canvas.height - 10
-          };
-          
-          console.log(`Coin detection: found ${contours.size()} contours`);
-          
-          for (let i = 0; i < contours.size(); i++) {
-            const contour = contours.get(i);
-            const area = cv.contourArea(contour);
-            
-            // 🔧 COIN TUNING: Coin area filtering
-            // Current: min=3000px², max=40% of image
-            // DECREASE min for smaller coins in photo: 2000, 2500
-            // INCREASE min for larger coins only: 4000, 5000
-            // Adjust max % based on how much of frame coin occupies
-            if (area < 500 || area > imageArea * 0.3) { 
-              contour.delete(); 
-              continue; 
-            }
-            
-            const rect = cv.boundingRect(contour);
-            
-            // 🔧 COIN TUNING: Minimum coin dimensions
-            // Current: 40x40 pixels
-            // DECREASE for smaller coins: 30, 35
-            // INCREASE for larger coins: 50, 60
-            if (rect.width < 40 || rect.height < 40) {
-              contour.delete();
-              continue;
-            }
-            
-            // Skip contours touching image border
-            if (rect.x <= imageBoundary.left || 
-                rect.y <= imageBoundary.top ||
-                rect.x + rect.width >= imageBoundary.right ||
-                rect.y + rect.height >= imageBoundary.bottom) {
-              contour.delete();
-              continue;
-            }
-            
-            // Calculate circularity and aspect ratio
-            const perimeter = cv.arcLength(contour, true);
-            const circularity = (4 * Math.PI * area) / (perimeter * perimeter);
-            const aspectRatio = rect.width / rect.height;
-            
-            console.log(`Coin candidate ${i}: area=${area.toFixed(0)}, circ=${circularity.toFixed(3)}, aspect=${aspectRatio.toFixed(3)}, width=${rect.width}, height=${rect.height}`);
-            
-            // 🔧 COIN TUNING: Circularity and aspect ratio thresholds
-            // Current: circularity > 0.55, aspect 0.65-1.35
-            // For PERFECT CIRCLES: increase circularity to 0.70, narrow aspect to 0.8-1.2
-            // For IRREGULAR COINS: decrease circularity to 0.45-0.50, widen aspect to 0.6-1.4
-            // For WORN COINS: decrease circularity to 0.50
-            if (circularity > 0.40 && aspectRatio > 0.40 && aspectRatio < 1.40) {
-              if (circularity > bestCircularity) {
-                bestCircularity = circularity;
-                coinDiameter = Math.max(rect.width, rect.height);
-                console.log(`  ✓ New best coin candidate! diameter=${coinDiameter}px, circularity=${circularity.toFixed(3)}`);
-              }
-            }
-            contour.delete();
-          }
-          
-          src.delete(); gray.delete(); blurred.delete(); thresh.delete(); contours.delete(); hierarchy.delete();
-          
-          if (coinDiameter) {
-            console.log(`✓ Final coin detected: ${coinDiameter}px`);
-            resolve(coinDiameter);
-          } else {
-            console.log('✗ No coin detected');
-            reject(new Error('No coin detected. Try: 1) Better lighting, 2) Plain background, 3) Manual calibration'));
-          }
-        } catch (e) { reject(new Error('detectCoin error: ' + e.message)); }
+          const src = cv.matFromImageData(ctx.getImageData(0, 0, canvas.width, canvas.height));
+          const dst = new cv.Mat();
+          const M = cv.matFromArray(3, 3, cv.CV_64F, homography);
+          cv.warpPerspective(src, dst, M, new cv.Size(width, height), cv.INTER_LINEAR, cv.BORDER_CONSTANT, new cv.Scalar(0, 0, 0, 255));
+
+          const out = document.createElement('canvas');
+          cv.imshow(out, dst);
+          src.delete(); dst.delete(); M.delete();
+          resolve(out.toDataURL('image/png'));
+        } catch (e) { reject(new Error('warpPerspectiveImage error: ' + e.message)); }
       };
-      img.onerror = (e) => reject(new Error('detectCoin failed to load image'));
+      img.onerror = () => reject(new Error('warpPerspectiveImage failed to load image'));
       img.src = imageDataUrl;
-    } catch (e) { reject(new Error('detectCoin outer error: ' + e.message)); }
+    } catch (e) { reject(new Error('warpPerspectiveImage outer error: ' + e.message)); }
+  });
+}
+
+// Decode an image data URL into ImageData (RGBA pixels)
+function loadImageData(imageDataUrl) {
+  return new Promise((resolve, reject) => {
+    const img = new window.Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = img.width;
+      canvas.height = img.height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0);
+      resolve(ctx.getImageData(0, 0, canvas.width, canvas.height));
+    };
+    img.onerror = () => reject(new Error('Failed to load image'));
+    img.src = imageDataUrl;
+  });
+}
+
+// Inner corners of a columns × rows checkerboard, row by row, or null when not found.
+// The bundled OpenCV.js has no findChessboardCorners, so the board is picked out of
+// goodFeaturesToTrack corners by utils/checkerboard.
+function findCheckerboard(cv, gray, columns, rows) {
+  const candidates = new cv.Mat();
+  try {
+    // 🔧 CHECKERBOARD TUNING: candidate spacing (minDistance 5px) - DECREASE for boards with tiny squares
+    cv.goodFeaturesToTrack(gray, candidates, columns * rows * 4 + 200, 0.01, 5);
+    const points = [];
+    for (let i = 0; i < candidates.rows; i++) {
+      points.push({ x: candidates.data32F[i * 2], y: candidates.data32F[i * 2 + 1] });
+    }
+    return findCheckerboardCorners({ data: gray.data, width: gray.cols, height: gray.rows }, points, columns, rows);
+  } finally {
+    candidates.delete();
+  }
+}
+
+// Solve the camera matrix and distortion coefficients from several photos of a
+// printed checkerboard. `columns` × `rows` counts INNER corners (a 10×7 board of
+// squares has 9×6 inner corners).
+// Resolves { cameraMatrix, distCoeffs, reprojectionError, imageSize, usedViews, rejectedViews }
+export async function calibrateCameraFromCheckerboards(imageDataUrls, { columns, rows, squareSizeMm }) {
+  const cv = await loadOpenCV();
+  if (typeof cv.calibrateCameraExtended !== 'function') {
+    throw new Error('This OpenCV.js build does not include camera calibration (calibrateCameraExtended)');
+  }
+
+  const objectPoints = new cv.MatVector();
+  const imagePoints = new cv.MatVector();
+  const rejectedViews = [];
+  let imageSize = null;
+
+  // Board corners in board coordinates (mm), identical for every view
+  const boardCorners = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < columns; c++) boardCorners.push(c * squareSizeMm, r * squareSizeMm, 0);
+  }
+
+  try {
+    for (let i = 0; i < imageDataUrls.length; i++) {
+      const imageData = await loadImageData(imageDataUrls[i]);
+      if (!imageSize) {
+        imageSize = { width: imageData.width, height: imageData.height };
+      } else if (imageData.width !== imageSize.width || imageData.height !== imageSize.height) {
+        console.log(`Checkerboard view ${i + 1}: size ${imageData.width}×${imageData.height} differs from first view, skipped`);
+        rejectedViews.push(i);
+        continue;
+      }
+
+      const src = cv.matFromImageData(imageData);
+      const gray = new cv.Mat();
+      cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+      src.delete();
+
+      const found = findCheckerboard(cv, gray, columns, rows);
+      gray.delete();
+      if (!found) {
+        console.log(`Checkerboard view ${i + 1}: corners not found`);
+        rejectedViews.push(i);
+        continue;
+      }
+
+      const corners = cv.matFromArray(found.length, 1, cv.CV_32FC2, found.flatMap(p => [p.x, p.y]));
+      imagePoints.push_back(corners);
+      const boardMat = cv.matFromArray(columns * rows, 1, cv.CV_32FC3, boardCorners);
+      objectPoints.push_back(boardMat);
+      corners.delete(); boardMat.delete();
+      console.log(`Checkerboard view ${i + 1}: ✓ ${columns * rows} corners`);
+    }
+
+    if (imagePoints.size() < 3) {
+      throw new Error(`Checkerboard found in only ${imagePoints.size()} of ${imageDataUrls.length} photos - at least 3 are needed`);
+    }
+
+    const cameraMatrix = new cv.Mat();
+    const distCoeffs = new cv.Mat();
+    const rvecs = new cv.MatVector();
+    const tvecs = new cv.MatVector();
+    const stdIntrinsics = new cv.Mat();
+    const stdExtrinsics = new cv.Mat();
+    const perViewErrors = new cv.Mat();
+    const criteria = new cv.TermCriteria(cv.TermCriteria_COUNT + cv.TermCriteria_EPS, 30, Number.EPSILON);
+    const reprojectionError = cv.calibrateCameraExtended(
+      objectPoints, imagePoints, new cv.Size(imageSize.width, imageSize.height),
+      cameraMatrix, distCoeffs, rvecs, tvecs, stdIntrinsics, stdExtrinsics, perViewErrors, 0, criteria
+    );
+
+    const result = {
+      cameraMatrix: Array.from(cameraMatrix.data64F),
+      distCoeffs: Array.from(distCoeffs.data64F),
+      reprojectionError,
+      imageSize,
+      usedViews: imagePoints.size(),
+      rejectedViews
+    };
+    cameraMatrix.delete(); distCoeffs.delete(); rvecs.delete(); tvecs.delete();
+    stdIntrinsics.delete(); stdExtrinsics.delete(); perViewErrors.delete();
+    console.log(`✓ Camera calibrated from ${result.usedViews} views, RMS reprojection error ${reprojectionError.toFixed(3)}px`);
+    return result;
+  } finally {
+    objectPoints.delete();
+    imagePoints.delete();
+  }
+}
+
+// Remove lens distortion from an image with a saved camera profile.
+// Images with the profile's aspect ratio but another resolution use a rescaled camera matrix.
+// Resolves a PNG data URL.
+export async function undistortImage(imageDataUrl, profile) {
+  const cv = await loadOpenCV();
+  const imageData = await loadImageData(imageDataUrl);
+  const { width, height } = profile.imageSize;
+  const sx = imageData.width / width;
+  const sy = imageData.height / height;
+  if (Math.abs(sx - sy) > 0.01) {
+    throw new Error(`Camera profile "${profile.name}" was made for ${width}×${height} photos; this photo is ${imageData.width}×${imageData.height}`);
+  }
+
+  const [fx, , cx, , fy, cy] = profile.cameraMatrix;
+  const src = cv.matFromImageData(imageData);
+  const dst = new cv.Mat();
+  const cameraMatrix = cv.matFromArray(3, 3, cv.CV_64F, [fx * sx, 0, cx * sx, 0, fy * sy, cy * sy, 0, 0, 1]);
+  const distCoeffs = cv.matFromArray(1, profile.distCoeffs.length, cv.CV_64F, profile.distCoeffs);
+  try {
+    cv.undistort(src, dst, cameraMatrix, distCoeffs);
+    const out = document.createElement('canvas');
+    cv.imshow(out, dst);
+    return out.toDataURL('image/png');
+  } finally {
+    src.delete(); dst.delete(); cameraMatrix.delete(); distCoeffs.delete();
+  }
+}
+
+// 🔧 REFINEMENT TUNING: sub-pixel vertex refinement
+// REFINE_WINDOW: cornerSubPix half window (px) - INCREASE for blurry photos, DECREASE for small objects
+// REFINE_EDGE_BAND: how far (px) either side of a polygon side edge pixels are fitted - the
+//   vertices must already be this close to the real outline; INCREASE for rough outlines,
+//   DECREASE when another edge runs close alongside
+// REFINE_EDGE_ALIGNMENT: an edge pixel's gradient must point across the side (cosine of
+//   the angle to the side's normal at least this) - rejects texture and crossing edges
+// REFINE_CANNY_LOW / REFINE_CANNY_HIGH: Canny thresholds for line fits when the caller
+//   passes none (the app passes the Edges strategy's tuned ones)
+// REFINE_MAX_SHIFT: refined positions further than this (px) from the original are rejected
+const REFINE_WINDOW = 5;
+const REFINE_EDGE_BAND = 3;
+const REFINE_EDGE_ALIGNMENT = 0.9;
+const REFINE_CANNY_LOW = 50;
+const REFINE_CANNY_HIGH = 150;
+const REFINE_MAX_SHIFT = 6;
+
+// Grayscale copy of the last image refined or snapped on, so repeated clicks don't
+// decode the whole photo again
+let grayCache = { src: null, mat: null };
+
+async function loadGrayMat(cv, imageDataUrl) {
+  if (grayCache.src !== imageDataUrl) {
+    const imageData = await loadImageData(imageDataUrl);
+    const rgba = cv.matFromImageData(imageData);
+    const gray = new cv.Mat();
+    cv.cvtColor(rgba, gray, cv.COLOR_RGBA2GRAY);
+    rgba.delete();
+    if (grayCache.mat) grayCache.mat.delete();
+    grayCache = { src: imageDataUrl, mat: gray };
+  }
+  return grayCache.mat;
+}
+
+// Sub-pixel corner positions near `points` (utils/subpixel - the bundled OpenCV.js has
+// no cornerSubPix); points that drift too far stay put
+function refineCorners(gray, points, winSize) {
+  const pixels = { data: gray.data, width: gray.cols, height: gray.rows };
+  return points.map(p => {
+    const refined = cornerSubPix(pixels, p, { winSize });
+    return Math.hypot(refined.x - p.x, refined.y - p.y) <= REFINE_MAX_SHIFT ? refined : p;
   });
 }
 
-export function calculatePPM(pixelDistance) { return pixelDistance / COIN_DIAMETER_MM; }
+// Fit a line to the edge pixels along every side of the polygon and move each vertex
+// to the intersection of its two sides. An edge pixel counts for the nearest side only,
+// when it lies within REFINE_EDGE_BAND of it and its gradient points across it, so
+// the fit follows the object's own outline. Sides with too few edge pixels keep their vertices.
+function refineByLineFits(cv, gray, points, { cannyLow, cannyHigh }) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const margin = REFINE_EDGE_BAND + 2;
+  const x0 = Math.max(0, Math.floor(Math.min(...xs) - margin));
+  const y0 = Math.max(0, Math.floor(Math.min(...ys) - margin));
+  const x1 = Math.min(gray.cols, Math.ceil(Math.max(...xs) + margin));
+  const y1 = Math.min(gray.rows, Math.ceil(Math.max(...ys) + margin));
+  if (x1 - x0 < 3 || y1 - y0 < 3) return points;
+
+  const roi = gray.roi(new cv.Rect(x0, y0, x1 - x0, y1 - y0));
+  const blurred = new cv.Mat();
+  const edges = new cv.Mat();
+  const gradX = new cv.Mat();
+  const gradY = new cv.Mat();
+  try {
+    cv.GaussianBlur(roi, blurred, new cv.Size(3, 3), 0);
+    cv.Canny(blurred, edges, cannyLow, cannyHigh);
+    cv.Sobel(blurred, gradX, cv.CV_32F, 1, 0);
+    cv.Sobel(blurred, gradY, cv.CV_32F, 0, 1);
+
+    // Unit normals of the sides (null for zero-length sides)
+    const normals = points.map((a, i) => {
+      const b = points[(i + 1) % points.length];
+      const length = Math.hypot(b.x - a.x, b.y - a.y);
+      return length ? { x: (a.y - b.y) / length, y: (b.x - a.x) / length } : null;
+    });
+
+    // Edge pixels in the middle 80% of each side, within the band around it
+    const sides = points.map(() => []);
+    for (let y = 0; y < edges.rows; y++) {
+      for (let x = 0; x < edges.cols; x++) {
+        if (!edges.ucharAt(y, x)) continue;
+        const p = { x: x + x0, y: y + y0 };
+        let nearest = -1;
+        let nearestDistance = REFINE_EDGE_BAND;
+        points.forEach((a, i) => {
+          if (!normals[i]) return;
+          const b = points[(i + 1) % points.length];
+          const t = ((p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y)) / ((b.x - a.x) ** 2 + (b.y - a.y) ** 2);
+          if (t < 0.1 || t > 0.9) return;
+          const distance = distancePointToSegment(p, a, b);
+          if (distance <= nearestDistance) { nearest = i; nearestDistance = distance; }
+        });
+        if (nearest < 0) continue;
+        const gx = gradX.floatAt(y, x);
+        const gy = gradY.floatAt(y, x);
+        const magnitude = Math.hypot(gx, gy);
+        const across = Math.abs(gx * normals[nearest].x + gy * normals[nearest].y);
+        if (magnitude && across >= REFINE_EDGE_ALIGNMENT * magnitude) sides[nearest].push(p);
+      }
+    }
+
+    const lines = sides.map(side => (side.length >= 5 ? fitLine(side) : null));
+    return points.map((p, i) => {
+      const before = lines[(i - 1 + points.length) % points.length];
+      const after = lines[i];
+      if (!before || !after) return p;
+      const corner = intersectLines(before, after);
+      return corner && Math.hypot(corner.x - p.x, corner.y - p.y) <= REFINE_MAX_SHIFT ? corner : p;
+    });
+  } finally {
+    roi.delete(); blurred.delete(); edges.delete(); gradX.delete(); gradY.delete();
+  }
+}
+
+// Refine polygon vertices to sub-pixel positions.
+// `method` is 'corners' (sub-pixel corner at each vertex) or 'lines' (intersections of
+// lines fitted to the edges between vertices, found with `cannyLow`/`cannyHigh`).
+// Resolves one { points, shifts } per polygon, `shifts` being how far (px) each vertex moved.
+export async function refineVertices(imageDataUrl, polygons, {
+  method = 'corners',
+  winSize = REFINE_WINDOW,
+  cannyLow = REFINE_CANNY_LOW,
+  cannyHigh = REFINE_CANNY_HIGH
+} = {}) {
+  const cv = await loadOpenCV();
+  const gray = await loadGrayMat(cv, imageDataUrl);
+  return polygons.map(points => {
+    if (!points || points.length < 3) return { points, shifts: (points || []).map(() => 0) };
+    const refined = method === 'lines'
+      ? refineByLineFits(cv, gray, points, { cannyLow, cannyHigh })
+      : refineCorners(gray, points, winSize);
+    return {
+      points: refined,
+      shifts: refined.map((p, i) => Math.hypot(p.x - points[i].x, p.y - points[i].y))
+    };
+  });
+}
+
+// Snap a clicked point to the strongest nearby corner, refined to sub-pixel accuracy.
+// Resolves { point, shift } or null when there is no clear corner within `radius` px.
+export async function snapToCorner(imageDataUrl, point, { radius = 10 } = {}) {
+  const cv = await loadOpenCV();
+  const gray = await loadGrayMat(cv, imageDataUrl);
+  const r = Math.max(REFINE_WINDOW + 2, Math.round(radius));
+  const x0 = Math.max(0, Math.round(point.x) - r);
+  const y0 = Math.max(0, Math.round(point.y) - r);
+  const x1 = Math.min(gray.cols, Math.round(point.x) + r + 1);
+  const y1 = Math.min(gray.rows, Math.round(point.y) + r + 1);
+  if (x1 - x0 < 3 || y1 - y0 < 3) return null;
+
+  const roi = gray.roi(new cv.Rect(x0, y0, x1 - x0, y1 - y0));
+  const found = new cv.Mat();
+  try {
+    // 🔧 REFINEMENT TUNING: corner strength (qualityLevel 0.1) - DECREASE to snap to weaker corners
+    cv.goodFeaturesToTrack(roi, found, 5, 0.1, 3);
+    let best = null;
+    for (let i = 0; i < found.rows; i++) {
+      const candidate = { x: found.data32F[i * 2] + x0, y: found.data32F[i * 2 + 1] + y0 };
+      const distance = Math.hypot(candidate.x - point.x, candidate.y - point.y);
+      if (distance <= radius && (!best || distance < best.distance)) best = { ...candidate, distance };
+    }
+    if (!best) return null;
+    const [refined] = refineCorners(gray, [{ x: best.x, y: best.y }], REFINE_WINDOW);
+    return { point: refined, shift: Math.hypot(refined.x - point.x, refined.y - point.y) };
+  } finally {
+    roi.delete(); found.delete();
+  }
+}
+
+// 🔧 UNCERTAINTY: detection variants re-run with slightly different tuning.
+// Their spread estimates how repeatable the reference measurement is.
+const COIN_VARIANTS = [
+  { blurSize: 7 },
+  { blurSize: 11 },
+  { blockSize: 11 },
+  { blockSize: 19 },
+  { kernelSize: 5 },
+  { kernelSize: 9 }
+];
+const RECTANGLE_VARIANTS = [
+  { cannyLow: 30, cannyHigh: 100 },
+  { cannyLow: 75, cannyHigh: 200 },
+  { epsilonFactor: 0.03 },
+  { epsilonFactor: 0.04 }
+];
+
+// Auto-detect the chosen reference object.
+// Resolves { pixelDistance } for circles and { pixelWidth, pixelHeight, points } for rectangles,
+// plus `variants`: the same measurement repeated with the variant tuning values.
+// `run` ({ onProgress, signal }) is passed on to coin detection.
+export async function detectReference(imageDataUrl, reference, run = {}) {
+  const runVariants = async (detect, variants) => {
+    const results = [];
+    for (const options of variants) {
+      try {
+        results.push(await detect(options));
+      } catch (e) {
+        if (e.name === 'AbortError') throw e;
+        console.log('Reference variant found nothing:', options, e.message);
+      }
+    }
+    return results;
+  };
+
+  if (reference.shape === 'rectangle') {
+    const detect = (options) => detectRectangleReference(imageDataUrl, reference, options);
+    const primary = await detect();
+    return { ...primary, variants: await runVariants(detect, RECTANGLE_VARIANTS) };
+  }
+  const detect = (options) => detectCoin(imageDataUrl, options, run);
+  const primary = await detect();
+  return { ...primary, variants: await runVariants(detect, COIN_VARIANTS) };
+}
+
+// Pixels per mm from a measured pixel length and the known length of the reference (mm)
+export function calculatePPM(pixelDistance, referenceLengthMm) {
+  if (!pixelDistance || !referenceLengthMm || referenceLengthMm <= 0) return null;
+  return pixelDistance / referenceLengthMm;
+}
+
+// PPM for an auto-detected reference: circles use the diameter, rectangles
+// average the scale measured along both sides.
+export function calculateReferencePPM(detection, reference) {
+  if (reference.shape === 'circle') {
+    return calculatePPM(detection.pixelDistance, getReferenceLengthMm(reference));
+  }
+  const ppmLong = calculatePPM(detection.pixelWidth, reference.widthMm);
+  const ppmShort = calculatePPM(detection.pixelHeight, reference.heightMm);
+  return (ppmLong + ppmShort) / 2;
+}
+
+// PPM with its standard uncertainty for an auto-detected reference: the spread across
+// detection variants combined with the edge localisation floor of the measured length
+export function estimateReferencePPM(detection, reference) {
+  const ppm = calculateReferencePPM(detection, reference);
+  const pixelLength = reference.shape === 'circle' ? detection.pixelDistance : detection.pixelWidth;
+  const variantPpms = (detection.variants || []).map(v => calculateReferencePPM(v, reference));
+  const localisation = ppm * edgePixelSigma(EDGE_LOCALISATION_PX) / pixelLength;
+  return {
+    ppm,
+    ppmUncertainty: combineUncertainties(standardDeviation([ppm, ...variantPpms]), localisation)
+  };
+}
+
+// PPM uncertainty when a known length was measured between two points with σ = pointSigma (px)
+export function twoPointPPMUncertainty(ppm, pixelDistance, pointSigma) {
+  return ppm * edgePixelSigma(pointSigma) / pixelDistance;
+}
 export function calculatePixelDistance(p1, p2) { const dx = p2.x-p1.x, dy = p2.y-p1.y; return Math.sqrt(dx*dx+dy*dy); }
-export function applyPPMToObject(obj, ppm) {
+// Convert an object's pixel measurements to mm. `ppmUncertainty` (σ of PPM) and the
+// object's `vertexUncertainty` (σ per vertex, px) propagate to every converted value.
+export function applyPPMToObject(obj, ppm, ppmUncertainty = 0) {
   if (!ppm || ppm <= 0) return obj;
+  const vertexSigma = obj.vertexUncertainty ?? EDGE_LOCALISATION_PX;
   
   // Convert all edge measurements to mm
   const updatedEdges = obj.edges.map(edge => ({
     ...edge,
-    realLength: Math.round((edge.pixelLength / ppm) * 100) / 100
+    realLength: Math.round((edge.pixelLength / ppm) * 100) / 100,
+    realUncertainty: propagateLength(edge.pixelLength, edgePixelSigma(vertexSigma), ppm, ppmUncertainty)
   }));
   
   // Convert perimeter to mm
   const realPerimeter = Math.round((obj.perimeter / ppm) * 100) / 100;
+  const perimeterSigmaPx = obj.edges.length
+    ? perimeterPixelSigma(vertexSigma, obj.edges.length)
+    : edgePixelSigma(vertexSigma);
+  
+  // Convert area to mm²
+  const realArea = obj.area ? Math.round((obj.area / (ppm * ppm)) * 100) / 100 : null;
+  const areaSigmaPx = obj.edges.length
+    ? areaPixelSigma(vertexSigma, obj.edges.map(e => e.pixelLength))
+    : vertexSigma * obj.perimeter;
+  
+  // Holes: their sizes and positions, and the area left once they're cut out
+  const netArea = obj.holes?.length && realArea !== null
+    ? measureNetArea(obj, areaSigmaPx, ppm, ppmUncertainty, vertexSigma)
+    : null;
   
   return {
     ...obj,
     edges: updatedEdges,  // Update the edges array directly
     measurements: {
+      ...obj.measurements,  // Keep extra values such as a reference's known diameter
       edges: updatedEdges.map(e => ({
         pixelLength: e.pixelLength,
-        realLength: e.realLength
+        realLength: e.realLength,
+        realUncertainty: e.realUncertainty
       })),
-      perimeter: realPerimeter
+      perimeter: realPerimeter,
+      perimeterUncertainty: propagateLength(obj.perimeter, perimeterSigmaPx, ppm, ppmUncertainty),
+      area: realArea,
+      areaUncertainty: realArea !== null ? propagateArea(obj.area, areaSigmaPx, ppm, ppmUncertainty) : null,
+      // A fitted width is the distance between two outline points
+      shape: measureShape(obj.shape, ppm, ppmUncertainty, edgePixelSigma(vertexSigma)),
+      metrics: obj.points?.length >= 3 ? measureMetrics(obj.points, ppm, ppmUncertainty, vertexSigma, areaSigmaPx) : null,
+      holes: obj.holes?.length ? measureHoles(obj.holes, ppm, ppmUncertainty, vertexSigma) : null,
+      netArea: netArea?.value ?? null,
+      netAreaUncertainty: netArea?.uncertainty ?? null
     }
   };
-}
\ No newline at end of file
+}
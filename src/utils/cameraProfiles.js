@@ -0,0 +1,71 @@
+// Named camera (lens distortion) profiles, persisted in localStorage.
+//
+// A profile looks like:
+// {
+//   id, name, createdAt,
+//   imageSize: { width, height },        // resolution of the checkerboard photos
+//   cameraMatrix: [fx, 0, cx, 0, fy, cy, 0, 0, 1],
+//   distCoeffs: [k1, k2, p1, p2, k3],
+//   reprojectionError,                    // RMS in pixels
+//   usedViews, pattern: { columns, rows, squareSizeMm }
+// }
+
+const PROFILES_KEY = 'bob.cameraProfiles';
+const ACTIVE_PROFILE_KEY = 'bob.activeCameraProfile';
+
+// 🔧 Reprojection error (px) limits used to grade a profile
+export const REPROJECTION_ERROR_GOOD = 0.5;
+export const REPROJECTION_ERROR_ACCEPTABLE = 1.0;
+
+export function loadCameraProfiles() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(PROFILES_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    console.warn('Could not read camera profiles:', e);
+    return [];
+  }
+}
+
+function storeCameraProfiles(profiles) {
+  window.localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+}
+
+// Save a calibration result under a name (replacing a profile with the same name)
+export function saveCameraProfile(name, calibrationResult, pattern) {
+  const profile = {
+    id: `camera_${Date.now()}`,
+    name,
+    createdAt: new Date().toISOString(),
+    imageSize: calibrationResult.imageSize,
+    cameraMatrix: calibrationResult.cameraMatrix,
+    distCoeffs: calibrationResult.distCoeffs,
+    reprojectionError: calibrationResult.reprojectionError,
+    usedViews: calibrationResult.usedViews,
+    pattern
+  };
+  const profiles = loadCameraProfiles().filter(p => p.name !== name);
+  storeCameraProfiles([...profiles, profile]);
+  return profile;
+}
+
+export function deleteCameraProfile(id) {
+  storeCameraProfiles(loadCameraProfiles().filter(p => p.id !== id));
+  if (getActiveCameraProfileId() === id) setActiveCameraProfileId(null);
+}
+
+export function getActiveCameraProfileId() {
+  return window.localStorage.getItem(ACTIVE_PROFILE_KEY);
+}
+
+export function setActiveCameraProfileId(id) {
+  if (id) window.localStorage.setItem(ACTIVE_PROFILE_KEY, id);
+  else window.localStorage.removeItem(ACTIVE_PROFILE_KEY);
+}
+
+// 'good' | 'acceptable' | 'poor' for a reprojection error in pixels
+export function gradeReprojectionError(error) {
+  if (error <= REPROJECTION_ERROR_GOOD) return 'good';
+  if (error <= REPROJECTION_ERROR_ACCEPTABLE) return 'acceptable';
+  return 'poor';
+}
@@ -0,0 +1,169 @@
+// Checkerboard inner-corner detection on 8-bit grayscale pixels ({ data, width, height })
+// from candidate corners (e.g. goodFeaturesToTrack), for the OpenCV.js build that has
+// no findChessboardCorners. Inner corners are saddles - dark and light squares
+// alternate four times around them - and are grown into a grid one square at a time.
+import { cornerSubPix } from './subpixel';
+
+// 🔧 CHECKERBOARD TUNING:
+// SADDLE_SAMPLES: pixels sampled on the circle around each candidate
+// SADDLE_MIN_CONTRAST: grey level difference between the squares - DECREASE for dim photos
+// GRID_TOLERANCE: a neighbour must lie within this fraction of a square of its predicted
+//   position - INCREASE for strong perspective or lens distortion
+// GRID_SEEDS: candidates near the middle tried as the first grid corner
+// REFINE_WINDOW: cornerSubPix half window (px) - DECREASE for boards with tiny squares
+const SADDLE_SAMPLES = 32;
+const SADDLE_MIN_CONTRAST = 40;
+const GRID_TOLERANCE = 0.3;
+const GRID_SEEDS = 12;
+const REFINE_WINDOW = 5;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// True when the pixels on a circle around `point` alternate dark/light exactly four times
+function isSaddle(gray, point, radius) {
+  if (point.x < radius + 1 || point.y < radius + 1 ||
+      point.x > gray.width - radius - 2 || point.y > gray.height - radius - 2) return false;
+  const values = [];
+  for (let k = 0; k < SADDLE_SAMPLES; k++) {
+    const angle = (2 * Math.PI * k) / SADDLE_SAMPLES;
+    const x = Math.round(point.x + radius * Math.cos(angle));
+    const y = Math.round(point.y + radius * Math.sin(angle));
+    values.push(gray.data[y * gray.width + x]);
+  }
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  if (max - min < SADDLE_MIN_CONTRAST) return false;
+  // Samples on an edge between squares are mid-grey; only clearly dark or light ones count
+  const margin = (max - min) / 4;
+  const sides = values
+    .filter(value => value < min + margin || value > max - margin)
+    .map(value => value > max - margin);
+  let changes = 0;
+  sides.forEach((light, k) => {
+    if (light !== sides[(k + 1) % sides.length]) changes++;
+  });
+  return changes === 4;
+}
+
+// Grow a grid from `seed`: every corner found predicts its four neighbours one square
+// away, using the square vectors measured next to it so perspective is followed.
+// Returns a Map of "i,j" -> { point, u, v } (u, v being the local square vectors).
+function growGrid(corners, seed, u, v) {
+  const grid = new Map([['0,0', { point: corners[seed], u, v }]]);
+  const used = new Set([seed]);
+  const queue = [[0, 0]];
+  while (queue.length) {
+    const [i, j] = queue.shift();
+    const cell = grid.get(`${i},${j}`);
+    const steps = [[1, 0, cell.u], [-1, 0, cell.u], [0, 1, cell.v], [0, -1, cell.v]];
+    for (const [di, dj, step] of steps) {
+      const key = `${i + di},${j + dj}`;
+      if (grid.has(key)) continue;
+      const sign = di + dj;
+      const predicted = { x: cell.point.x + sign * step.x, y: cell.point.y + sign * step.y };
+      const tolerance = GRID_TOLERANCE * Math.hypot(step.x, step.y);
+      let best = -1;
+      let bestDistance = tolerance;
+      corners.forEach((corner, k) => {
+        if (used.has(k)) return;
+        const d = distance(corner, predicted);
+        if (d < bestDistance) { best = k; bestDistance = d; }
+      });
+      if (best < 0) continue;
+      const point = corners[best];
+      const measured = { x: sign * (point.x - cell.point.x), y: sign * (point.y - cell.point.y) };
+      grid.set(key, {
+        point,
+        u: di ? measured : cell.u,
+        v: dj ? measured : cell.v
+      });
+      used.add(best);
+      queue.push([i + di, j + dj]);
+    }
+  }
+  return grid;
+}
+
+// Order a complete grid row by row (`columns` corners per row), or null when it
+// isn't exactly columns × rows (either way round)
+function orderGrid(grid, columns, rows) {
+  const keys = [...grid.keys()].map(key => key.split(',').map(Number));
+  const is = keys.map(([i]) => i);
+  const js = keys.map(([, j]) => j);
+  const [minI, minJ] = [Math.min(...is), Math.min(...js)];
+  const spanI = Math.max(...is) - minI + 1;
+  const spanJ = Math.max(...js) - minJ + 1;
+  if (grid.size !== columns * rows) return null;
+
+  let at;
+  if (spanI === columns && spanJ === rows) at = (c, r) => grid.get(`${minI + c},${minJ + r}`);
+  else if (spanI === rows && spanJ === columns) at = (c, r) => grid.get(`${minI + r},${minJ + c}`);
+  else return null;
+
+  const ordered = [];
+  for (let r = 0; r < rows; r++) {
+    const row = [];
+    for (let c = 0; c < columns; c++) row.push(at(c, r).point);
+    ordered.push(row);
+  }
+  // First row left to right, rows top to bottom
+  if (ordered[0][columns - 1].x < ordered[0][0].x) ordered.forEach(row => row.reverse());
+  if (ordered[rows - 1][0].y < ordered[0][0].y) ordered.reverse();
+  return ordered.flat();
+}
+
+// Find the `columns` × `rows` inner corners of a checkerboard among `candidates`.
+// Returns the sub-pixel corners row by row, or null when the whole board isn't found.
+export function findCheckerboardCorners(gray, candidates, columns, rows) {
+  const needed = columns * rows;
+  if (candidates.length < needed) return null;
+
+  // Refine every candidate first (a corner can show up as two candidates a few px
+  // apart), merge the ones that land on the same corner, then keep the saddles - checked
+  // on a circle scaled to the distance to the nearest other corner
+  const refined = [];
+  candidates.forEach(point => {
+    const corner = cornerSubPix(gray, point, { winSize: REFINE_WINDOW });
+    if (!refined.some(other => distance(corner, other) < 1)) refined.push(corner);
+  });
+  const corners = refined.filter((point, k) => {
+    let nearest = Infinity;
+    refined.forEach((other, m) => {
+      if (m !== k) nearest = Math.min(nearest, distance(point, other));
+    });
+    return isSaddle(gray, point, Math.max(4, Math.min(20, Math.round(nearest * 0.4))));
+  });
+  if (corners.length < needed) return null;
+
+  // Seeds from the middle of the saddles outwards; a seed's square vectors are its
+  // nearest neighbour and the nearest one roughly at right angles to it
+  const centre = {
+    x: corners.reduce((s, p) => s + p.x, 0) / corners.length,
+    y: corners.reduce((s, p) => s + p.y, 0) / corners.length
+  };
+  const seeds = corners
+    .map((point, k) => ({ k, d: distance(point, centre) }))
+    .sort((a, b) => a.d - b.d)
+    .slice(0, GRID_SEEDS);
+
+  for (const { k: seed } of seeds) {
+    const neighbours = corners
+      .map((point, k) => ({ k, d: distance(point, corners[seed]) }))
+      .filter(({ k }) => k !== seed)
+      .sort((a, b) => a.d - b.d)
+      .slice(0, 4);
+    if (neighbours.length < 2) continue;
+    const toVector = ({ k }) => ({ x: corners[k].x - corners[seed].x, y: corners[k].y - corners[seed].y });
+    const u = toVector(neighbours[0]);
+    const perpendicular = neighbours.slice(1).find(n => {
+      const v = toVector(n);
+      const cos = (u.x * v.x + u.y * v.y) / (Math.hypot(u.x, u.y) * Math.hypot(v.x, v.y));
+      return Math.abs(cos) < 0.5 && n.d < neighbours[0].d * 2;
+    });
+    if (!perpendicular) continue;
+
+    const ordered = orderGrid(growGrid(corners, seed, u, toVector(perpendicular)), columns, rows);
+    if (ordered) return ordered;
+  }
+  return null;
+}
@@ -0,0 +1,69 @@
+// Clearance and spacing between two objects: the minimum outline-to-outline gap with
+// the closest points, centroid-to-centroid distance and offsets, and the gap between
+// facing parallel edges. Pixel values are always present; mm values need a calibration.
+import { polygonDistance, parallelEdgeGap, polygonMoments } from './geometry';
+import { EDGE_LOCALISATION_PX, combineUncertainties, propagateLength } from './uncertainty';
+
+// Outline used for distances: the polygon, or the bounding box when there are no vertices
+function outline(obj) {
+  if (obj.points && obj.points.length >= 3) return obj.points;
+  const { x, y, width, height } = obj.contour;
+  return [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }];
+}
+
+function centroid(obj) {
+  const points = outline(obj);
+  return polygonMoments(points)?.centroid ?? {
+    x: points.reduce((s, p) => s + p.x, 0) / points.length,
+    y: points.reduce((s, p) => s + p.y, 0) / points.length
+  };
+}
+
+// Minimum gap between two objects in px (cheap enough for every pair)
+export function minimumGap(objA, objB) {
+  return polygonDistance(outline(objA), outline(objB)).distance;
+}
+
+// Every measurement between objA and objB. `dx`/`dy` run from A's centroid to B's,
+// along the image axes (y pointing down).
+export function measureClearance(objA, objB, ppm = null, ppmUncertainty = 0) {
+  const pointsA = outline(objA);
+  const pointsB = outline(objB);
+  const closest = polygonDistance(pointsA, pointsB);
+  const centroidA = centroid(objA);
+  const centroidB = centroid(objB);
+  const dx = centroidB.x - centroidA.x;
+  const dy = centroidB.y - centroidA.y;
+  const parallel = parallelEdgeGap(pointsA, pointsB);
+
+  const sigmaA = objA.vertexUncertainty ?? EDGE_LOCALISATION_PX;
+  const sigmaB = objB.vertexUncertainty ?? EDGE_LOCALISATION_PX;
+  // A gap is set by one point on each outline; a centroid averages all its vertices
+  const gapSigma = combineUncertainties(sigmaA, sigmaB);
+  const centroidSigma = combineUncertainties(sigmaA / Math.sqrt(pointsA.length), sigmaB / Math.sqrt(pointsB.length));
+  const length = (px, sigma) => (ppm
+    ? { value: px / ppm, uncertainty: propagateLength(Math.abs(px), sigma, ppm, ppmUncertainty) }
+    : null);
+
+  return {
+    closest: { a: closest.a, b: closest.b },
+    centroids: { a: centroidA, b: centroidB },
+    pixel: {
+      minimum: closest.distance,
+      centroid: Math.hypot(dx, dy),
+      dx,
+      dy,
+      parallel: parallel ? parallel.distance : null
+    },
+    parallelEdges: parallel ? { a: parallel.edgeA, b: parallel.edgeB } : null,
+    real: ppm
+      ? {
+          minimum: length(closest.distance, gapSigma),
+          centroid: length(Math.hypot(dx, dy), centroidSigma),
+          dx: length(dx, centroidSigma),
+          dy: length(dy, centroidSigma),
+          parallel: parallel ? length(parallel.distance, gapSigma) : null
+        }
+      : null
+  };
+}
@@ -0,0 +1,141 @@
+// Colour segmentation from eyedropper samples. Each sample is a colour class: pixels
+// within its HSV tolerances belong to it. Object classes mark what to detect,
+// background classes what to ignore. Used for the live mask preview and, in the
+// detection worker, for the mask the eyedropper strategy detects objects on, so
+// both always agree.
+//
+// A colour class looks like:
+// { id, name, color, background, hsv: { h, s, v }, tolerance: { h, s, v } }
+// HSV uses OpenCV's 8-bit scale: hue 0-179, saturation and value 0-255.
+
+// 🔧 COLOUR TUNING: tolerance a new class starts with
+export const DEFAULT_COLOUR_TOLERANCE = { h: 10, s: 70, v: 70 };
+
+// 🔧 COLOUR TUNING: below this saturation a sample is grey, and hue is ignored for it
+const GREY_SATURATION = 40;
+
+// Eyedropper samples average a (2 × radius + 1)² px block
+export const SAMPLE_RADIUS = 2;
+
+export function rgbToHsv(r, g, b) {
+  const max = Math.max(r, g, b);
+  const delta = max - Math.min(r, g, b);
+  let h = 0;
+  if (delta > 0) {
+    if (max === r) h = ((g - b) / delta + 6) % 6;
+    else if (max === g) h = (b - r) / delta + 2;
+    else h = (r - g) / delta + 4;
+  }
+  return { h: Math.round(h * 30) % 180, s: max ? Math.round(255 * delta / max) : 0, v: max };
+}
+
+function hsvToHex({ h, s, v }) {
+  const c = (v / 255) * (s / 255);
+  const x = c * (1 - Math.abs(((h / 30) % 2) - 1));
+  const m = v / 255 - c;
+  const [r, g, b] = [[c, x, 0], [x, c, 0], [0, c, x], [0, x, c], [x, 0, c], [c, 0, x]][Math.floor(h / 30) % 6];
+  return '#' + [r, g, b].map(channel => Math.round((channel + m) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+// Plain colour name for a sample, used to label its class
+export function colourName({ h, s, v }) {
+  if (v < 50) return 'Black';
+  if (s < GREY_SATURATION) return v > 190 ? 'White' : 'Grey';
+  if (h < 8 || h >= 170) return 'Red';
+  if (h < 20) return 'Orange';
+  if (h < 34) return 'Yellow';
+  if (h < 85) return 'Green';
+  if (h < 100) return 'Cyan';
+  if (h < 130) return 'Blue';
+  if (h < 150) return 'Purple';
+  return 'Pink';
+}
+
+// Mean colour of the block around (x, y) in RGBA pixels ({ data, width, height }).
+// Hue is averaged on the colour circle so reds either side of 0 don't average to cyan.
+export function sampleColour(image, x, y, radius = SAMPLE_RADIUS) {
+  let sumX = 0, sumY = 0, sumS = 0, sumV = 0, count = 0;
+  for (let py = Math.max(0, Math.round(y) - radius); py <= Math.min(image.height - 1, Math.round(y) + radius); py++) {
+    for (let px = Math.max(0, Math.round(x) - radius); px <= Math.min(image.width - 1, Math.round(x) + radius); px++) {
+      const i = (py * image.width + px) * 4;
+      const { h, s, v } = rgbToHsv(image.data[i], image.data[i + 1], image.data[i + 2]);
+      const angle = (h / 180) * 2 * Math.PI;
+      sumX += Math.cos(angle) * s;
+      sumY += Math.sin(angle) * s;
+      sumS += s;
+      sumV += v;
+      count++;
+    }
+  }
+  if (!count) return null;
+  const angle = Math.atan2(sumY, sumX);
+  return {
+    h: Math.round(((angle < 0 ? angle + 2 * Math.PI : angle) / (2 * Math.PI)) * 180) % 180,
+    s: Math.round(sumS / count),
+    v: Math.round(sumV / count)
+  };
+}
+
+// New class for a sampled colour, named after it (numbered when the name is taken)
+export function createColourClass(hsv, existing = [], { background = false } = {}) {
+  const base = background ? `${colourName(hsv)} background` : colourName(hsv);
+  const taken = new Set(existing.map(c => c.name));
+  let name = base;
+  for (let n = 2; taken.has(name); n++) name = `${base} ${n}`;
+  return {
+    id: `colour_${Date.now()}_${existing.length}`,
+    name,
+    color: hsvToHex(hsv),
+    background,
+    hsv,
+    tolerance: { ...DEFAULT_COLOUR_TOLERANCE }
+  };
+}
+
+function matchesColour(h, s, v, colourClass) {
+  const { hsv, tolerance } = colourClass;
+  if (Math.abs(s - hsv.s) > tolerance.s || Math.abs(v - hsv.v) > tolerance.v) return false;
+  if (hsv.s < GREY_SATURATION) return true;
+  const dh = Math.abs(h - hsv.h);
+  return Math.min(dh, 180 - dh) <= tolerance.h;
+}
+
+// Binary masks (255 = object) of RGBA pixels for the colour classes: one per object
+// class when `separate`, otherwise one for all of them. Background-class pixels are
+// never objects; with only background classes, everything else is one mask.
+// Returns [{ colourClass (null when merged), mask: Uint8Array }].
+export function colourClassMasks(image, classes, { separate = true } = {}) {
+  if (!classes.length) return [];
+  const objectClasses = classes.filter(c => !c.background);
+  const backgroundClasses = classes.filter(c => c.background);
+  const groups = separate && objectClasses.length
+    ? objectClasses.map(c => ({ colourClass: c, classes: [c] }))
+    : [{ colourClass: null, classes: objectClasses }];
+  const masks = groups.map(() => new Uint8Array(image.width * image.height));
+  const { data } = image;
+
+  for (let p = 0; p < image.width * image.height; p++) {
+    const { h, s, v } = rgbToHsv(data[p * 4], data[p * 4 + 1], data[p * 4 + 2]);
+    if (backgroundClasses.some(c => matchesColour(h, s, v, c))) continue;
+    groups.forEach((group, g) => {
+      if (!group.classes.length || group.classes.some(c => matchesColour(h, s, v, c))) masks[g][p] = 255;
+    });
+  }
+  return groups.map((group, g) => ({ colourClass: group.colourClass, mask: masks[g] }));
+}
+
+// RGBA overlay of colourClassMasks: each mask tinted with its class colour
+// (`mergedColor` for a merged mask), everything else transparent
+export function colourMaskPreview(image, classes, { separate = true, mergedColor = '#3B82F6' } = {}) {
+  const overlay = new Uint8ClampedArray(image.width * image.height * 4);
+  colourClassMasks(image, classes, { separate }).forEach(({ colourClass, mask }) => {
+    const hex = colourClass?.color ?? mergedColor;
+    const rgb = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    for (let p = 0; p < mask.length; p++) {
+      if (!mask[p]) continue;
+      overlay.set(rgb, p * 4);
+      overlay[p * 4 + 3] = 255;
+    }
+  });
+  return { data: overlay, width: image.width, height: image.height };
+}
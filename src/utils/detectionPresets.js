@@ -0,0 +1,104 @@
+// Detection tuning: slider ranges for every detection parameter, and named presets -
+// built in, plus the user's own persisted in localStorage.
+//
+// A preset looks like:
+// { id, name, strategy, params, builtIn }   // params: see strategyParams() in detectionPipeline.js
+
+const PRESETS_KEY = 'bob.detectionPresets';
+
+// Slider range of every parameter a strategy or the contour filters use. Kernel and
+// block sizes start odd and step by 2, as OpenCV only accepts odd ones.
+export const TUNING_PARAMETERS = {
+  blurSize: { label: 'Blur size', min: 1, max: 21, step: 2, unit: 'px' },
+  blockSize: { label: 'Adaptive block size', min: 3, max: 51, step: 2, unit: 'px' },
+  thresholdC: { label: 'Adaptive C', min: -10, max: 20, step: 1 },
+  kernelSize: { label: 'Morphology kernel', min: 1, max: 21, step: 2, unit: 'px' },
+  claheClipLimit: { label: 'CLAHE clip limit', min: 0.5, max: 10, step: 0.5 },
+  cannyLow: { label: 'Canny low', min: 0, max: 255, step: 1 },
+  cannyHigh: { label: 'Canny high', min: 0, max: 255, step: 1 },
+  closeSize: { label: 'Edge closing', min: 1, max: 21, step: 2, unit: 'px' },
+  hueFrom: { label: 'Hue from', min: 0, max: 179, step: 1 },
+  hueTo: { label: 'Hue to', min: 0, max: 179, step: 1 },
+  saturationMin: { label: 'Min saturation', min: 0, max: 255, step: 1 },
+  valueMin: { label: 'Min value', min: 0, max: 255, step: 1 },
+  minRadius: { label: 'Min coin radius', min: 1, max: 200, step: 1, unit: 'px' },
+  minDistance: { label: 'Min circle spacing', min: 1, max: 500, step: 1, unit: 'px' },
+  accumulator: { label: 'Circle votes', min: 5, max: 100, step: 1 },
+  minArea: { label: 'Min area', min: 100, max: 20000, step: 100, unit: 'px²' },
+  maxAreaFraction: { label: 'Max area', min: 0.05, max: 0.95, step: 0.05, format: v => `${Math.round(v * 100)}% of image` },
+  borderMargin: { label: 'Border margin', min: 0, max: 50, step: 1, unit: 'px' },
+  minSize: { label: 'Min size', min: 5, max: 200, step: 1, unit: 'px' },
+  epsilonFactor: { label: 'Outline simplification', min: 0.002, max: 0.05, step: 0.001, format: v => `${v.toFixed(3)} × perimeter` },
+  coinCircularity: { label: 'Coin circularity', min: 0.3, max: 0.95, step: 0.01, format: v => v.toFixed(2) },
+  minHoleArea: { label: 'Min hole area', min: 0, max: 5000, step: 10, unit: 'px²' }
+};
+
+// Slider value as text
+export function formatTuningValue(key, value) {
+  const { format, unit } = TUNING_PARAMETERS[key];
+  if (format) return format(value);
+  return unit ? `${value} ${unit}` : String(value);
+}
+
+// 🔧 Built-in presets: params override the strategy defaults
+export const BUILT_IN_PRESETS = [
+  {
+    id: 'builtin_white_table',
+    name: 'White table',
+    strategy: 'threshold',
+    // Bright, even background: a wider block and higher C ignore grain and soft shadows
+    params: { blurSize: 5, blockSize: 15, thresholdC: 4, kernelSize: 5 },
+    builtIn: true
+  },
+  {
+    id: 'builtin_cutting_mat',
+    name: 'Cutting mat',
+    strategy: 'threshold',
+    // Printed grid lines: blur them away and open them out of the mask
+    params: { blurSize: 9, blockSize: 21, thresholdC: 5, kernelSize: 7 },
+    builtIn: true
+  },
+  {
+    id: 'builtin_small_parts',
+    name: 'Small parts',
+    strategy: 'threshold',
+    // Screws, washers, small bricks: keep small contours and their detail
+    params: { blurSize: 5, kernelSize: 3, minArea: 300, minSize: 12, borderMargin: 5, epsilonFactor: 0.01 },
+    builtIn: true
+  }
+];
+
+function loadStoredPresets() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(PRESETS_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    console.warn('Could not read detection presets:', e);
+    return [];
+  }
+}
+
+function storeDetectionPresets(presets) {
+  window.localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+}
+
+// Built-in presets first, then the saved ones
+export function loadDetectionPresets() {
+  return [...BUILT_IN_PRESETS, ...loadStoredPresets()];
+}
+
+// Save parameters under a name (replacing a saved preset with the same name).
+// Built-in presets can't be replaced.
+export function saveDetectionPreset(name, strategy, params) {
+  if (BUILT_IN_PRESETS.some(p => p.name === name)) {
+    throw new Error(`"${name}" is a built-in preset - choose another name`);
+  }
+  const preset = { id: `preset_${Date.now()}`, name, strategy, params, builtIn: false };
+  const presets = loadStoredPresets().filter(p => p.name !== name);
+  storeDetectionPresets([...presets, preset]);
+  return preset;
+}
+
+export function deleteDetectionPreset(id) {
+  storeDetectionPresets(loadStoredPresets().filter(p => p.id !== id));
+}
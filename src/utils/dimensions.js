@@ -0,0 +1,74 @@
+// Free-standing dimension lines placed with the ruler tool.
+// { id, name, start, end, offset, pointUncertainty } - `start`/`end` are the measured
+// points in working-image px, `offset` moves the drawn dimension line off them along
+// the normal (px, signed) and `pointUncertainty` is σ of each end point (px).
+import { distancePointToSegment } from './geometry';
+import { edgePixelSigma, propagateLength } from './uncertainty';
+
+let nextDimensionId = 1;
+
+export function createDimension({ name, start, end, offset = 0, pointUncertainty }) {
+  return {
+    id: `dim_${Date.now()}_${nextDimensionId++}`,
+    name,
+    start: { x: start.x, y: start.y },
+    end: { x: end.x, y: end.y },
+    offset,
+    pointUncertainty
+  };
+}
+
+// Next free default name: "D1", "D2", ...
+export function nextDimensionName(dimensions) {
+  const used = new Set(dimensions.map(d => d.name));
+  let n = dimensions.length + 1;
+  while (used.has(`D${n}`)) n++;
+  return `D${n}`;
+}
+
+// Unit direction along the measured points and the normal the offset follows
+function axes(start, end) {
+  const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+  const direction = { x: (end.x - start.x) / length, y: (end.y - start.y) / length };
+  return { direction, normal: { x: -direction.y, y: direction.x } };
+}
+
+// End points of the drawn dimension line (the measured points moved by the offset)
+export function dimensionLine(dim) {
+  const { normal } = axes(dim.start, dim.end);
+  const shift = (p) => ({ x: p.x + normal.x * dim.offset, y: p.y + normal.y * dim.offset });
+  return { start: shift(dim.start), end: shift(dim.end) };
+}
+
+// Signed distance of p from the measured line, along the dimension's normal -
+// the offset that puts the dimension line through p
+export function offsetThrough(dim, p) {
+  const { normal } = axes(dim.start, dim.end);
+  return (p.x - dim.start.x) * normal.x + (p.y - dim.start.y) * normal.y;
+}
+
+// Length in px and, once calibrated, in mm with its standard uncertainty
+export function measureDimension(dim, ppm, ppmUncertainty = 0) {
+  const pixelLength = Math.hypot(dim.end.x - dim.start.x, dim.end.y - dim.start.y);
+  if (!ppm) return { pixelLength, length: null, uncertainty: null };
+  return {
+    pixelLength,
+    length: pixelLength / ppm,
+    uncertainty: propagateLength(pixelLength, edgePixelSigma(dim.pointUncertainty), ppm, ppmUncertainty)
+  };
+}
+
+// The part of a dimension under p: an end point to move, or the line to drag
+// sideways. Returns { id, part: 'start' | 'end' | 'line' } or null.
+export function findDimensionHandle(p, dimensions, tolerance) {
+  for (let i = dimensions.length - 1; i >= 0; i--) {
+    const dim = dimensions[i];
+    if (Math.hypot(p.x - dim.start.x, p.y - dim.start.y) <= tolerance) return { id: dim.id, part: 'start' };
+    if (Math.hypot(p.x - dim.end.x, p.y - dim.end.y) <= tolerance) return { id: dim.id, part: 'end' };
+  }
+  for (let i = dimensions.length - 1; i >= 0; i--) {
+    const line = dimensionLine(dimensions[i]);
+    if (distancePointToSegment(p, line.start, line.end) <= tolerance) return { id: dimensions[i].id, part: 'line' };
+  }
+  return null;
+}
@@ -0,0 +1,20 @@
+// Trigger a browser download of text or binary content
+export function downloadFile(filename, content, mimeType = 'application/octet-stream') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// File name without its extension, e.g. "bricks.jpg" -> "bricks"
+export function baseFileName(name, fallback = 'measurement') {
+  if (!name) return fallback;
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(0, dot) : name;
+}
@@ -0,0 +1,208 @@
+// DXF export of object outlines for CAD.
+// Writes an AutoCAD R12 (AC1009) ASCII file: one layer per object holding a closed
+// POLYLINE, or a CIRCLE for circle-like objects, plus one for each of its holes
+// (a CIRCLE when the hole is round). Ruler dimensions go on a DIMENSIONS layer as
+// LINEs with SOLID arrowheads and a TEXT label. Coordinates are millimetres from the
+// datum with the Y axis pointing up, as CAD programs expect. R12 headers have no
+// units variable, so set the drawing units to millimetres when importing.
+import { fitShape } from './shapeFit';
+import { dimensionLine } from './dimensions';
+import { formatDimensionLabel } from './overlayRenderer';
+
+// AutoCAD colour index (ACI) for the basic palette
+const ACI_COLORS = [
+  { aci: 1, rgb: [255, 0, 0] },
+  { aci: 2, rgb: [255, 255, 0] },
+  { aci: 3, rgb: [0, 255, 0] },
+  { aci: 4, rgb: [0, 255, 255] },
+  { aci: 5, rgb: [0, 0, 255] },
+  { aci: 6, rgb: [255, 0, 255] },
+  { aci: 7, rgb: [255, 255, 255] }
+];
+
+// Nearest basic ACI colour to a #RRGGBB colour
+function aciColor(hex) {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  if (!match) return 7;
+  const rgb = match.slice(1).map(h => parseInt(h, 16));
+  let best = ACI_COLORS[0];
+  let bestDist = Infinity;
+  ACI_COLORS.forEach(c => {
+    const dist = c.rgb.reduce((s, v, i) => s + (v - rgb[i]) ** 2, 0);
+    if (dist < bestDist) {
+      bestDist = dist;
+      best = c;
+    }
+  });
+  return best.aci;
+}
+
+// Circle (image px) for a round object, or null when it should stay a polyline.
+// Circular references with a known centre use their measured diameter; other
+// objects follow their shape classification (including a manual override).
+export function circleForObject(obj) {
+  if (obj.isCoin && obj.center && obj.pixelDistance) {
+    return { center: obj.center, radius: obj.pixelDistance / 2 };
+  }
+  const shape = obj.shape || fitShape(obj.points, { circularity: obj.circularity });
+  if (shape?.type !== 'circle' || !shape.circle) return null;
+  return { center: shape.circle.center, radius: shape.circle.diameter / 2 };
+}
+
+// Longest layer name R12 accepts
+const MAX_LAYER_NAME = 31;
+
+// Layers the export writes besides the object layers
+const DEFAULT_LAYER = '0';
+const DIMENSION_LAYER = 'DIMENSIONS';
+
+// 🔧 DXF: dimension drawing sizes (mm) - text height, arrowhead length and half width,
+// gap between a measured point and its extension line, and the extension line overshoot
+const DIMENSION_STYLE = { textHeight: 3.5, arrowLength: 2.5, arrowHalfWidth: 0.6, gap: 1, overshoot: 2 };
+
+// R12 layer names are upper case A-Z, 0-9, $, - and _ only, at most 31 characters,
+// and must be unique (also from the layers the export adds); a clash gets a _2, _3...
+// suffix within the length limit
+function layerNames(objects) {
+  const used = new Set([DEFAULT_LAYER, DIMENSION_LAYER]);
+  return objects.map((obj, idx) => {
+    const base = (obj.name || '').trim().toUpperCase().replace(/[^A-Z0-9$_-]/g, '_') || `OBJECT_${idx + 1}`;
+    let name = base.slice(0, MAX_LAYER_NAME);
+    for (let n = 2; used.has(name); n++) {
+      const suffix = `_${n}`;
+      name = base.slice(0, MAX_LAYER_NAME - suffix.length) + suffix;
+    }
+    used.add(name);
+    return name;
+  });
+}
+
+const num = (value) => String(Number(value.toFixed(6)));
+
+// Build the DXF text.
+// `datum` is the origin in image px (default: the image's top-left corner);
+// `circles` exports circle-like objects as true circles; `dimensions` are ruler dimensions.
+export function buildDxf(objects, { ppm, datum = null, circles = true, dimensions = [] }) {
+  if (!ppm) throw new Error('DXF export needs a calibration');
+  const origin = datum || { x: 0, y: 0 };
+  const toMm = (p) => ({ x: (p.x - origin.x) / ppm, y: (origin.y - p.y) / ppm });
+  const names = layerNames(objects);
+
+  const out = [];
+  const group = (code, value) => out.push(String(code), String(value));
+
+  group(0, 'SECTION'); group(2, 'HEADER');
+  group(9, '$ACADVER'); group(1, 'AC1009');
+  group(0, 'ENDSEC');
+
+  group(0, 'SECTION'); group(2, 'TABLES');
+  group(0, 'TABLE'); group(2, 'LTYPE'); group(70, 1);
+  group(0, 'LTYPE'); group(2, 'CONTINUOUS'); group(70, 0); group(3, 'Solid line'); group(72, 65); group(73, 0); group(40, 0);
+  group(0, 'ENDTAB');
+  group(0, 'TABLE'); group(2, 'LAYER'); group(70, objects.length + (dimensions.length ? 2 : 1));
+  group(0, 'LAYER'); group(2, DEFAULT_LAYER); group(70, 0); group(62, 7); group(6, 'CONTINUOUS');
+  objects.forEach((obj, idx) => {
+    group(0, 'LAYER'); group(2, names[idx]); group(70, 0); group(62, aciColor(obj.color)); group(6, 'CONTINUOUS');
+  });
+  if (dimensions.length) {
+    group(0, 'LAYER'); group(2, DIMENSION_LAYER); group(70, 0); group(62, 7); group(6, 'CONTINUOUS');
+  }
+  group(0, 'ENDTAB');
+  group(0, 'ENDSEC');
+
+  const circleEntity = (circle, layer) => {
+    const c = toMm(circle.center);
+    group(0, 'CIRCLE'); group(8, layer);
+    group(10, num(c.x)); group(20, num(c.y)); group(30, 0);
+    group(40, num(circle.radius / ppm));
+  };
+  const polylineEntity = (points, layer) => {
+    group(0, 'POLYLINE'); group(8, layer); group(66, 1);
+    group(10, 0); group(20, 0); group(30, 0);
+    group(70, 1); // closed
+    points.map(toMm).forEach(p => {
+      group(0, 'VERTEX'); group(8, layer);
+      group(10, num(p.x)); group(20, num(p.y)); group(30, 0);
+    });
+    group(0, 'SEQEND'); group(8, layer);
+  };
+  const lineEntity = (a, b, layer) => {
+    group(0, 'LINE'); group(8, layer);
+    group(10, num(a.x)); group(20, num(a.y)); group(30, 0);
+    group(11, num(b.x)); group(21, num(b.y)); group(31, 0);
+  };
+
+  // Extension lines, dimension line, arrowheads and the label, like the canvas overlay
+  // but sized in mm (DIMENSION_STYLE)
+  const dimensionEntities = (dim) => {
+    const line = dimensionLine(dim);
+    const [p1, p2, a, b] = [dim.start, dim.end, line.start, line.end].map(toMm);
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (!length) return;
+    const u = { x: (b.x - a.x) / length, y: (b.y - a.y) / length };
+    const { textHeight, arrowLength, arrowHalfWidth, gap, overshoot } = DIMENSION_STYLE;
+
+    const offset = Math.hypot(a.x - p1.x, a.y - p1.y);
+    if (offset > gap) {
+      const n = { x: (a.x - p1.x) / offset, y: (a.y - p1.y) / offset };
+      [[p1, a], [p2, b]].forEach(([from, to]) => lineEntity(
+        { x: from.x + n.x * gap, y: from.y + n.y * gap },
+        { x: to.x + n.x * overshoot, y: to.y + n.y * overshoot },
+        DIMENSION_LAYER
+      ));
+    }
+    lineEntity(a, b, DIMENSION_LAYER);
+    [[a, 1], [b, -1]].forEach(([tip, sign]) => {
+      const base = { x: tip.x + u.x * arrowLength * sign, y: tip.y + u.y * arrowLength * sign };
+      // R12 SOLID: a triangle repeats its third corner
+      group(0, 'SOLID'); group(8, DIMENSION_LAYER);
+      group(10, num(tip.x)); group(20, num(tip.y)); group(30, 0);
+      group(11, num(base.x - u.y * arrowHalfWidth)); group(21, num(base.y + u.x * arrowHalfWidth)); group(31, 0);
+      group(12, num(base.x + u.y * arrowHalfWidth)); group(22, num(base.y - u.x * arrowHalfWidth)); group(32, 0);
+      group(13, num(base.x + u.y * arrowHalfWidth)); group(23, num(base.y - u.x * arrowHalfWidth)); group(33, 0);
+    });
+
+    // Label centred above the line, turned so it never reads upside down
+    let angle = (Math.atan2(u.y, u.x) * 180) / Math.PI;
+    if (angle > 90 || angle <= -90) angle += angle > 0 ? -180 : 180;
+    const up = { x: -Math.sin((angle * Math.PI) / 180), y: Math.cos((angle * Math.PI) / 180) };
+    const at = { x: (a.x + b.x) / 2 + up.x * gap, y: (a.y + b.y) / 2 + up.y * gap };
+    group(0, 'TEXT'); group(8, DIMENSION_LAYER);
+    group(10, num(at.x)); group(20, num(at.y)); group(30, 0);
+    group(40, textHeight);
+    group(1, formatDimensionLabel(dim, ppm, 'mm'));
+    group(50, num(angle));
+    group(72, 1); // centred on the alignment point
+    group(11, num(at.x)); group(21, num(at.y)); group(31, 0);
+  };
+
+  group(0, 'SECTION'); group(2, 'ENTITIES');
+  objects.forEach((obj, idx) => {
+    const layer = names[idx];
+    (obj.holes || []).forEach(hole => {
+      if (circles && hole.circle) circleEntity(hole.circle, layer);
+      else polylineEntity(hole.points, layer);
+    });
+
+    const circle = circles ? circleForObject(obj) : null;
+    if (circle) {
+      circleEntity(circle, layer);
+      return;
+    }
+
+    const points = obj.points && obj.points.length > 0
+      ? obj.points
+      : [
+          { x: obj.contour.x, y: obj.contour.y },
+          { x: obj.contour.x + obj.contour.width, y: obj.contour.y },
+          { x: obj.contour.x + obj.contour.width, y: obj.contour.y + obj.contour.height },
+          { x: obj.contour.x, y: obj.contour.y + obj.contour.height }
+        ];
+    polylineEntity(points, layer);
+  });
+  dimensions.forEach(dimensionEntities);
+  group(0, 'ENDSEC');
+  group(0, 'EOF');
+
+  return out.join('\r\n') + '\r\n';
+}
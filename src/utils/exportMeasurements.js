@@ -0,0 +1,259 @@
+// CSV and JSON export of object measurements.
+// Lengths are written in the active unit; uncertainties are expanded (COVERAGE_FACTOR × σ).
+import { COVERAGE_FACTOR } from './uncertainty';
+import { UNITS, convertLength, convertArea } from './units';
+import { describeReference } from './referenceObjects';
+import { SHAPE_DIMENSIONS } from './shapeFit';
+import { measureDimension } from './dimensions';
+import { holeDiameter, holeCenter, netPixelArea } from './holes';
+
+const round = (value, decimals = 6) =>
+  value === null || value === undefined || !isFinite(value) ? null : Number(value.toFixed(decimals));
+
+const expanded = (sigma) => (sigma ? sigma * COVERAGE_FACTOR : null);
+
+// Objects to export, optionally without the calibration reference
+export function selectExportObjects(objects, { includeReference = true } = {}) {
+  return includeReference ? objects : objects.filter(obj => !obj.isCoin);
+}
+
+// Calibration summary shared by every export format
+export function describeCalibration(calibration) {
+  if (!calibration) return null;
+  return {
+    ppm: round(calibration.ppm, 6),
+    ppmUncertainty: round(expanded(calibration.ppmUncertainty), 6),
+    method: calibration.method,
+    reference: calibration.reference?.name ?? null,
+    referenceSize: describeReference(calibration.reference)
+  };
+}
+
+// Shape classification and the fitted primitive's dimensions, or null when never fitted
+function describeShape(obj, unit) {
+  const shape = obj.shape;
+  if (!shape) return null;
+  const record = { type: shape.type, autoType: shape.autoType };
+  const fit = shape.type !== 'polygon' ? shape[shape.type] : null;
+  if (!fit) return record;
+  const measured = obj.measurements?.shape?.[shape.type];
+  record.center = { x: round(fit.center.x, 2), y: round(fit.center.y, 2) };
+  SHAPE_DIMENSIONS[shape.type].forEach(key => {
+    record[`${key}Px`] = round(fit[key], 2);
+    record[key] = measured ? round(convertLength(measured[key].value, unit)) : null;
+    record[`${key}Uncertainty`] = measured ? round(convertLength(expanded(measured[key].uncertainty), unit)) : null;
+  });
+  if (fit.angle !== undefined) record.angle = round(fit.angle, 2);
+  record.residualPx = round(fit.residual, 3);
+  return record;
+}
+
+// Derived geometry (measurements.metrics) in the active unit, or null before calibration
+function describeMetrics(metrics, unit) {
+  if (!metrics) return null;
+  const length = (m) => (m ? round(convertLength(m.value, unit)) : null);
+  const lengthUncertainty = (m) => (m ? round(convertLength(expanded(m.uncertainty), unit)) : null);
+  return {
+    centroid: metrics.centroid ? { x: length(metrics.centroid.x), y: length(metrics.centroid.y) } : null,
+    minAreaRect: metrics.minAreaRect
+      ? {
+          length: length(metrics.minAreaRect.length),
+          width: length(metrics.minAreaRect.width),
+          angle: round(metrics.minAreaRect.angle, 2)
+        }
+      : null,
+    convexHullArea: round(convertArea(metrics.convexHullArea.value, unit)),
+    solidity: round(metrics.solidity, 4),
+    equivalentDiameter: length(metrics.equivalentDiameter),
+    equivalentDiameterUncertainty: lengthUncertainty(metrics.equivalentDiameter),
+    feretMax: length(metrics.feretMax),
+    feretMaxUncertainty: lengthUncertainty(metrics.feretMax),
+    feretMaxAngle: metrics.feretMax ? round(metrics.feretMax.angle, 2) : null,
+    feretMin: length(metrics.feretMin),
+    feretMinUncertainty: lengthUncertainty(metrics.feretMin),
+    feretMinAngle: metrics.feretMin ? round(metrics.feretMin.angle, 2) : null
+  };
+}
+
+// Holes in px and, when calibrated, in the active unit (centres from the image's top-left corner)
+function describeHoles(obj, unit) {
+  const measured = obj.measurements?.holes;
+  const length = (m) => (m ? round(convertLength(m.value, unit)) : null);
+  const lengthUncertainty = (m) => (m ? round(convertLength(expanded(m.uncertainty), unit)) : null);
+  return (obj.holes || []).map((hole, idx) => {
+    const m = measured?.[idx];
+    const center = holeCenter(hole);
+    return {
+      index: idx + 1,
+      round: Boolean(hole.circle),
+      centerPx: { x: round(center.x, 2), y: round(center.y, 2) },
+      diameterPx: round(holeDiameter(hole), 2),
+      areaPx: round(hole.area, 2),
+      center: m ? { x: length(m.center.x), y: length(m.center.y) } : null,
+      centerUncertainty: m ? { x: lengthUncertainty(m.center.x), y: lengthUncertainty(m.center.y) } : null,
+      diameter: length(m?.diameter),
+      diameterUncertainty: lengthUncertainty(m?.diameter),
+      area: m ? round(convertArea(m.area.value, unit)) : null,
+      areaUncertainty: m ? round(convertArea(expanded(m.area.uncertainty), unit)) : null
+    };
+  });
+}
+
+// Structured measurement record for one object
+function measureObject(obj, unit, ppm) {
+  const m = obj.measurements || {};
+  const calibrated = Boolean(ppm) && m.perimeter !== null && m.perimeter !== undefined;
+  const box = obj.contour || { x: 0, y: 0, width: 0, height: 0 };
+  return {
+    id: obj.id,
+    name: obj.name,
+    color: obj.color,
+    isReference: Boolean(obj.isCoin),
+    edges: (obj.edges || []).map((edge, idx) => ({
+      index: idx + 1,
+      start: { x: round(edge.start.x, 2), y: round(edge.start.y, 2) },
+      end: { x: round(edge.end.x, 2), y: round(edge.end.y, 2) },
+      lengthPx: round(edge.pixelLength, 2),
+      length: round(convertLength(edge.realLength, unit)),
+      lengthUncertainty: round(convertLength(expanded(edge.realUncertainty), unit))
+    })),
+    vertexAngles: (obj.angles || []).map(angle => round(angle, 2)),
+    perimeterPx: round(obj.perimeter, 2),
+    perimeter: calibrated ? round(convertLength(m.perimeter, unit)) : null,
+    perimeterUncertainty: round(convertLength(expanded(m.perimeterUncertainty), unit)),
+    areaPx: round(obj.area, 2),
+    area: round(convertArea(m.area, unit)),
+    areaUncertainty: round(convertArea(expanded(m.areaUncertainty), unit)),
+    netAreaPx: round(netPixelArea(obj), 2),
+    netArea: round(convertArea(m.netArea, unit)),
+    netAreaUncertainty: round(convertArea(expanded(m.netAreaUncertainty), unit)),
+    holes: describeHoles(obj, unit),
+    boundingBox: {
+      xPx: round(box.x, 2),
+      yPx: round(box.y, 2),
+      widthPx: round(box.width, 2),
+      heightPx: round(box.height, 2),
+      width: calibrated ? round(convertLength(box.width / ppm, unit)) : null,
+      height: calibrated ? round(convertLength(box.height / ppm, unit)) : null
+    },
+    shape: describeShape(obj, unit),
+    metrics: describeMetrics(m.metrics, unit),
+    detection: obj.detection || null,
+    colourClass: obj.colourClass || null
+  };
+}
+
+// Ruler dimension line: measured points (px) and length in the active unit
+function describeDimension(dim, unit, calibration) {
+  const { pixelLength, length, uncertainty } = measureDimension(dim, calibration?.ppm, calibration?.ppmUncertainty);
+  return {
+    id: dim.id,
+    name: dim.name,
+    start: { x: round(dim.start.x, 2), y: round(dim.start.y, 2) },
+    end: { x: round(dim.end.x, 2), y: round(dim.end.y, 2) },
+    lengthPx: round(pixelLength, 2),
+    length: round(convertLength(length, unit)),
+    lengthUncertainty: round(convertLength(expanded(uncertainty), unit))
+  };
+}
+
+export function buildMeasurementsJson(objects, { calibration, unit, includeReference = true, imageName = null, dimensions = [] }) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    image: imageName,
+    unit: UNITS[unit].label,
+    areaUnit: `${UNITS[unit].label}²`,
+    uncertaintyCoverage: `${COVERAGE_FACTOR}σ (≈95%)`,
+    calibration: describeCalibration(calibration),
+    objects: selectExportObjects(objects, { includeReference }).map(obj => measureObject(obj, unit, calibration?.ppm)),
+    dimensions: dimensions.map(dim => describeDimension(dim, unit, calibration))
+  }, null, 2);
+}
+
+// Quote a CSV field when it contains a separator, quote or newline. Text starting
+// like a formula (names are typed by the user) gets a leading ' so spreadsheets
+// don't evaluate it; numbers are left alone.
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Wide format: one row per object, with edge_N columns for every edge
+export function buildObjectsCsv(objects, { calibration, unit, includeReference = true }) {
+  const u = UNITS[unit].label;
+  const records = selectExportObjects(objects, { includeReference }).map(obj => measureObject(obj, unit, calibration?.ppm));
+  const maxEdges = records.reduce((max, r) => Math.max(max, r.edges.length), 0);
+  const maxHoles = records.reduce((max, r) => Math.max(max, r.holes.length), 0);
+  const cal = describeCalibration(calibration);
+
+  const header = [
+    'id', 'name', 'color', 'is_reference', 'edge_count',
+    'perimeter_px', `perimeter_${u}`, `perimeter_uncertainty_${u}`,
+    'area_px2', `area_${u}2`, `area_uncertainty_${u}2`,
+    'hole_count', 'net_area_px2', `net_area_${u}2`, `net_area_uncertainty_${u}2`,
+    'bbox_x_px', 'bbox_y_px', 'bbox_width_px', 'bbox_height_px', `bbox_width_${u}`, `bbox_height_${u}`,
+    'shape', `shape_diameter_${u}`, `shape_major_axis_${u}`, `shape_minor_axis_${u}`,
+    `shape_length_${u}`, `shape_width_${u}`, 'shape_angle_deg',
+    `centroid_x_${u}`, `centroid_y_${u}`, `min_box_length_${u}`, `min_box_width_${u}`, 'min_box_angle_deg',
+    `convex_hull_area_${u}2`, 'solidity', `equivalent_diameter_${u}`, `feret_max_${u}`, `feret_min_${u}`,
+    'ppm_px_per_mm', 'ppm_uncertainty', 'calibration_method', 'calibration_reference'
+  ];
+  for (let i = 1; i <= maxEdges; i++) {
+    header.push(`edge_${i}_px`, `edge_${i}_${u}`, `edge_${i}_uncertainty_${u}`);
+  }
+  for (let i = 1; i <= maxHoles; i++) {
+    header.push(`hole_${i}_diameter_${u}`, `hole_${i}_diameter_uncertainty_${u}`, `hole_${i}_center_x_${u}`, `hole_${i}_center_y_${u}`);
+  }
+
+  const rows = records.map(r => {
+    const row = [
+      r.id, r.name, r.color, r.isReference, r.edges.length,
+      r.perimeterPx, r.perimeter, r.perimeterUncertainty,
+      r.areaPx, r.area, r.areaUncertainty,
+      r.holes.length, r.netAreaPx, r.netArea, r.netAreaUncertainty,
+      r.boundingBox.xPx, r.boundingBox.yPx, r.boundingBox.widthPx, r.boundingBox.heightPx,
+      r.boundingBox.width, r.boundingBox.height,
+      r.shape?.type, r.shape?.diameter, r.shape?.majorAxis, r.shape?.minorAxis,
+      r.shape?.length, r.shape?.width, r.shape?.angle,
+      r.metrics?.centroid?.x, r.metrics?.centroid?.y,
+      r.metrics?.minAreaRect?.length, r.metrics?.minAreaRect?.width, r.metrics?.minAreaRect?.angle,
+      r.metrics?.convexHullArea, r.metrics?.solidity, r.metrics?.equivalentDiameter,
+      r.metrics?.feretMax, r.metrics?.feretMin,
+      cal?.ppm, cal?.ppmUncertainty, cal?.method, cal?.reference
+    ];
+    for (let i = 0; i < maxEdges; i++) {
+      const edge = r.edges[i];
+      row.push(edge?.lengthPx, edge?.length, edge?.lengthUncertainty);
+    }
+    for (let i = 0; i < maxHoles; i++) {
+      const hole = r.holes[i];
+      row.push(hole?.diameter, hole?.diameterUncertainty, hole?.center?.x, hole?.center?.y);
+    }
+    return row;
+  });
+  return toCsv(header, rows);
+}
+
+// Long format: one row per edge
+export function buildEdgesCsv(objects, { calibration, unit, includeReference = true }) {
+  const u = UNITS[unit].label;
+  const header = [
+    'object_id', 'object_name', 'edge', 'start_x_px', 'start_y_px', 'end_x_px', 'end_y_px',
+    'length_px', `length_${u}`, `length_uncertainty_${u}`
+  ];
+  const rows = [];
+  selectExportObjects(objects, { includeReference }).forEach(obj => {
+    measureObject(obj, unit, calibration?.ppm).edges.forEach(edge => {
+      rows.push([
+        obj.id, obj.name, edge.index, edge.start.x, edge.start.y, edge.end.x, edge.end.y,
+        edge.lengthPx, edge.length, edge.lengthUncertainty
+      ]);
+    });
+  });
+  return toCsv(header, rows);
+}
@@ -0,0 +1,174 @@
+// Layered SVG export of the annotated image.
+// The photo sits on its own locked layer and every object is a named vector group,
+// so the file opens in Inkscape/Illustrator with one editable group per object.
+// When calibrated, one SVG user unit is one millimetre and the document has a true mm size.
+import {
+  formatEdgeLabel,
+  formatShapeLabel,
+  formatHoleLabel,
+  formatAngle,
+  formatDimensionLabel,
+  angleLabelDirection,
+  objectLabelPosition
+} from './overlayRenderer';
+import { dimensionLine } from './dimensions';
+import { holeCenter } from './holes';
+
+const INKSCAPE_NS = 'http://www.inkscape.org/namespaces/inkscape';
+const SODIPODI_NS = 'http://sodipodi.sourceforge.net/DTD/sodipodi-0.dtd';
+
+const num = (value) => Number(value.toFixed(4));
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Object outline: the polygon, or its bounding box when there are no vertices
+function outlinePoints(obj) {
+  if (obj.points && obj.points.length > 0) return obj.points;
+  const { x, y, width, height } = obj.contour;
+  return [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }];
+}
+
+// Closed path data through points already in user units
+const pathData = (pts) => `M ${pts.map(p => `${num(p.x)} ${num(p.y)}`).join(' L ')} Z`;
+
+function objectGroup(obj, index, { toUser, size, ppm, unit, showAngles }) {
+  const pts = outlinePoints(obj).map(toUser);
+  const outlineStyle = `fill="${obj.color}" fill-opacity="0.25" stroke="${obj.color}" stroke-width="${num(size(2))}" stroke-linejoin="round"`;
+  const lines = [`    <g id="object-${index + 1}" inkscape:label="${escapeXml(obj.name)}">`];
+  if (obj.holes?.length) {
+    // One path with a sub-path per hole, so the holes stay open in the fill
+    const d = [pts, ...obj.holes.map(hole => hole.points.map(toUser))].map(pathData).join(' ');
+    lines.push(`      <path inkscape:label="Outline" d="${d}" fill-rule="evenodd" ${outlineStyle}/>`);
+  } else {
+    const pointList = pts.map(p => `${num(p.x)},${num(p.y)}`).join(' ');
+    lines.push(`      <polygon inkscape:label="Outline" points="${pointList}" ${outlineStyle}/>`);
+  }
+  const shapeLabel = formatShapeLabel(obj, ppm, unit);
+
+  if (obj.edges && obj.edges.length > 0 && !shapeLabel) {
+    lines.push(`      <g inkscape:label="Edge labels" font-family="sans-serif" font-weight="bold" font-size="${num(size(10))}" text-anchor="middle" fill="#FFFFFF" stroke="#000000" stroke-width="${num(size(2.5))}" paint-order="stroke">`);
+    obj.edges.forEach((edge, idx) => {
+      const start = toUser(edge.start);
+      const end = toUser(edge.end);
+      // Same perpendicular offset as the canvas overlay
+      const angle = Math.atan2(end.y - start.y, end.x - start.x);
+      const x = (start.x + end.x) / 2 + Math.cos(angle + Math.PI / 2) * size(15);
+      const y = (start.y + end.y) / 2 + Math.sin(angle + Math.PI / 2) * size(15);
+      lines.push(`        <text x="${num(x)}" y="${num(y)}">${escapeXml(formatEdgeLabel(edge, idx, ppm, unit))}</text>`);
+    });
+    lines.push('      </g>');
+  }
+
+  if (obj.holes?.length) {
+    lines.push(`      <g inkscape:label="Hole labels" font-family="sans-serif" font-weight="bold" font-size="${num(size(10))}" text-anchor="middle" fill="#FFFFFF" stroke="#000000" stroke-width="${num(size(2.5))}" paint-order="stroke">`);
+    obj.holes.forEach((hole, idx) => {
+      const center = toUser(holeCenter(hole));
+      lines.push(`        <text x="${num(center.x)}" y="${num(center.y + size(3))}">${escapeXml(formatHoleLabel(obj, idx, ppm, unit))}</text>`);
+    });
+    lines.push('      </g>');
+  }
+
+  if (showAngles && obj.points && obj.angles?.length === obj.points.length) {
+    lines.push(`      <g inkscape:label="Angle labels" font-family="sans-serif" font-weight="bold" font-size="${num(size(10))}" text-anchor="middle" fill="#FDE68A" stroke="#000000" stroke-width="${num(size(2.5))}" paint-order="stroke">`);
+    pts.forEach((p, idx) => {
+      const dir = angleLabelDirection(pts, idx, obj.angles[idx]);
+      lines.push(`        <text x="${num(p.x + dir.x * size(18))}" y="${num(p.y + dir.y * size(18) + size(3))}">${escapeXml(formatAngle(obj.angles[idx]))}</text>`);
+    });
+    lines.push('      </g>');
+  }
+
+  const center = toUser(objectLabelPosition(obj));
+  lines.push(`      <text inkscape:label="Name" x="${num(center.x)}" y="${num(center.y + size(5))}" font-family="sans-serif" font-weight="bold" font-size="${num(size(14))}" text-anchor="middle" fill="${obj.color}" stroke="#000000" stroke-width="${num(size(3))}" paint-order="stroke">${escapeXml(obj.name)}</text>`);
+  if (shapeLabel) {
+    lines.push(`      <text inkscape:label="Shape dimensions" x="${num(center.x)}" y="${num(center.y + size(22))}" font-family="sans-serif" font-weight="bold" font-size="${num(size(11))}" text-anchor="middle" fill="#FFFFFF" stroke="#000000" stroke-width="${num(size(2.5))}" paint-order="stroke">${escapeXml(shapeLabel)}</text>`);
+  }
+  lines.push('    </g>');
+  return lines.join('\n');
+}
+
+// Ruler dimension: extension lines, a dimension line with arrowheads and its label
+function dimensionGroup(dim, { toUser, size, ppm, unit }) {
+  const p1 = toUser(dim.start);
+  const p2 = toUser(dim.end);
+  const line = dimensionLine(dim);
+  const a = toUser(line.start);
+  const b = toUser(line.end);
+  const length = Math.hypot(b.x - a.x, b.y - a.y);
+  if (!length) return '';
+  const ux = (b.x - a.x) / length;
+  const uy = (b.y - a.y) / length;
+  const stroke = `stroke="#F9FAFB" stroke-width="${num(size(1.5))}"`;
+  const lines = [`    <g inkscape:label="${escapeXml(dim.name)}">`];
+
+  // Same gap and overshoot as the canvas overlay
+  const offset = Math.hypot(a.x - p1.x, a.y - p1.y);
+  if (offset > size(4)) {
+    const nx = (a.x - p1.x) / offset;
+    const ny = (a.y - p1.y) / offset;
+    const d = [[p1, a], [p2, b]]
+      .map(([from, to]) => `M ${num(from.x + nx * size(3))} ${num(from.y + ny * size(3))} L ${num(to.x + nx * size(6))} ${num(to.y + ny * size(6))}`)
+      .join(' ');
+    lines.push(`      <path inkscape:label="Extension lines" d="${d}" fill="none" ${stroke}/>`);
+  }
+  lines.push(`      <line inkscape:label="Dimension line" x1="${num(a.x)}" y1="${num(a.y)}" x2="${num(b.x)}" y2="${num(b.y)}" ${stroke}/>`);
+  [[a, 1], [b, -1]].forEach(([tip, sign]) => {
+    const baseX = tip.x + ux * size(9) * sign;
+    const baseY = tip.y + uy * size(9) * sign;
+    const pts = [
+      [tip.x, tip.y],
+      [baseX - uy * size(3), baseY + ux * size(3)],
+      [baseX + uy * size(3), baseY - ux * size(3)]
+    ].map(([x, y]) => `${num(x)},${num(y)}`).join(' ');
+    lines.push(`      <polygon points="${pts}" fill="#F9FAFB"/>`);
+  });
+
+  let angle = (Math.atan2(uy, ux) * 180) / Math.PI;
+  if (angle > 90 || angle < -90) angle += 180;
+  const cx = (a.x + b.x) / 2;
+  const cy = (a.y + b.y) / 2;
+  lines.push(`      <text x="${num(cx)}" y="${num(cy - size(6))}" transform="rotate(${num(angle)} ${num(cx)} ${num(cy)})" font-family="sans-serif" font-weight="bold" font-size="${num(size(11))}" text-anchor="middle" fill="#F9FAFB" stroke="#000000" stroke-width="${num(size(2.5))}" paint-order="stroke">${escapeXml(formatDimensionLabel(dim, ppm, unit))}</text>`);
+  lines.push('    </g>');
+  return lines.join('\n');
+}
+
+// Build the SVG document.
+// `imageSrc` is embedded as the background; `width`/`height` are the working image size in px.
+export function buildAnnotatedSvg(objects, { imageSrc, width, height, ppm = null, unit = 'mm', viewWidth = 1200, showAngles = false, dimensions = [] }) {
+  const pxToUser = ppm ? 1 / ppm : 1;
+  const toUser = (p) => ({ x: p.x * pxToUser, y: p.y * pxToUser });
+  // Stroke and text sizes matching the on-screen overlay at `viewWidth`
+  const sizeScale = Math.max(1, width / viewWidth);
+  const size = (px) => px * sizeScale * pxToUser;
+
+  const docWidth = width * pxToUser;
+  const docHeight = height * pxToUser;
+  const sizeUnit = ppm ? 'mm' : '';
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:inkscape="${INKSCAPE_NS}" xmlns:sodipodi="${SODIPODI_NS}"`,
+    `     width="${num(docWidth)}${sizeUnit}" height="${num(docHeight)}${sizeUnit}" viewBox="0 0 ${num(docWidth)} ${num(docHeight)}">`,
+    `  <g id="layer-photo" inkscape:groupmode="layer" inkscape:label="Photo" sodipodi:insensitive="true">`
+  ];
+  if (imageSrc) {
+    lines.push(`    <image x="0" y="0" width="${num(docWidth)}" height="${num(docHeight)}" preserveAspectRatio="none" xlink:href="${imageSrc}"/>`);
+  }
+  lines.push('  </g>');
+  lines.push('  <g id="layer-objects" inkscape:groupmode="layer" inkscape:label="Objects">');
+  objects.forEach((obj, index) => lines.push(objectGroup(obj, index, { toUser, size, ppm, unit, showAngles })));
+  lines.push('  </g>');
+  if (dimensions.length > 0) {
+    lines.push('  <g id="layer-dimensions" inkscape:groupmode="layer" inkscape:label="Dimensions">');
+    dimensions.forEach(dim => lines.push(dimensionGroup(dim, { toUser, size, ppm, unit })));
+    lines.push('  </g>');
+  }
+  lines.push('</svg>');
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,431 @@
+// Plain-JS polygon geometry shared by detection, manual objects and measurements.
+// Points are { x, y } in image pixels.
+
+// Shortest distance from point p to the segment a-b
+export function distancePointToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// Shortest distance from point p to the outline of a closed polygon
+export function distancePointToPolygon(p, polygon) {
+  let best = Infinity;
+  for (let i = 0; i < polygon.length; i++) {
+    best = Math.min(best, distancePointToSegment(p, polygon[i], polygon[(i + 1) % polygon.length]));
+  }
+  return best;
+}
+
+// Point-in-polygon test (even-odd rule)
+export function isPointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const xi = polygon[i].x, yi = polygon[i].y;
+    const xj = polygon[j].x, yj = polygon[j].y;
+    const intersect = ((yi > point.y) !== (yj > point.y)) &&
+      (point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi);
+    if (intersect) inside = !inside;
+  }
+  return inside;
+}
+
+// Polygon area using the shoelace formula (always positive)
+export function polygonArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const j = (i + 1) % points.length;
+    area += points[i].x * points[j].y;
+    area -= points[j].x * points[i].y;
+  }
+  return Math.abs(area) / 2;
+}
+
+// RMS distance of raw outline points from their simplified polygon
+export function polygonFitResidual(rawPoints, polygon) {
+  if (!rawPoints.length || polygon.length < 2) return 0;
+  const sumSq = rawPoints.reduce((s, p) => s + distancePointToPolygon(p, polygon) ** 2, 0);
+  return Math.sqrt(sumSq / rawPoints.length);
+}
+
+// Length of a closed polygon's outline
+export function polygonPerimeter(points) {
+  let perimeter = 0;
+  for (let i = 0; i < points.length; i++) {
+    const j = (i + 1) % points.length;
+    perimeter += Math.hypot(points[j].x - points[i].x, points[j].y - points[i].y);
+  }
+  return perimeter;
+}
+
+// Least-squares circle through the points (Kåsa fit).
+// Returns { center, radius, residual } with residual the RMS radial error, or null
+// when the points are collinear or fewer than three.
+export function fitCircle(points) {
+  const n = points.length;
+  if (n < 3) return null;
+  // Centre the data for numerical stability
+  const mx = points.reduce((s, p) => s + p.x, 0) / n;
+  const my = points.reduce((s, p) => s + p.y, 0) / n;
+  let suu = 0, svv = 0, suv = 0, suuu = 0, svvv = 0, suvv = 0, svuu = 0;
+  points.forEach(p => {
+    const u = p.x - mx;
+    const v = p.y - my;
+    suu += u * u; svv += v * v; suv += u * v;
+    suuu += u * u * u; svvv += v * v * v;
+    suvv += u * v * v; svuu += v * u * u;
+  });
+  const det = suu * svv - suv * suv;
+  if (Math.abs(det) < 1e-12) return null;
+  const bu = (suuu + suvv) / 2;
+  const bv = (svvv + svuu) / 2;
+  const uc = (bu * svv - bv * suv) / det;
+  const vc = (bv * suu - bu * suv) / det;
+  const center = { x: mx + uc, y: my + vc };
+  const radius = Math.sqrt(uc * uc + vc * vc + (suu + svv) / n);
+  const residual = Math.sqrt(points.reduce((s, p) => s + (Math.hypot(p.x - center.x, p.y - center.y) - radius) ** 2, 0) / n);
+  return { center, radius, residual };
+}
+
+// Angle ABC at vertex b in degrees, in [0, 180]
+export function angleAt(a, b, c) {
+  const v1 = { x: a.x - b.x, y: a.y - b.y };
+  const v2 = { x: c.x - b.x, y: c.y - b.y };
+  const angle = Math.atan2(Math.abs(v1.x * v2.y - v1.y * v2.x), v1.x * v2.x + v1.y * v2.y);
+  return (angle * 180) / Math.PI;
+}
+
+// Interior angle at every vertex of a simple polygon in degrees, in (0, 360);
+// reflex corners of concave outlines are above 180
+export function interiorAngles(points) {
+  const n = points.length;
+  if (n < 3) return [];
+  const orientation = Math.sign(points.reduce((s, p, i) => {
+    const q = points[(i + 1) % n];
+    return s + p.x * q.y - q.x * p.y;
+  }, 0)) || 1;
+  return points.map((p, i) => {
+    const prev = points[(i - 1 + n) % n];
+    const next = points[(i + 1) % n];
+    // Turn from the outgoing to the incoming edge, measured towards the inside
+    const turn = Math.atan2(prev.y - p.y, prev.x - p.x) - Math.atan2(next.y - p.y, next.x - p.x);
+    return ((orientation * turn * 180) / Math.PI % 360 + 360) % 360;
+  });
+}
+
+// Bounding box, edges, area, perimeter (px) and interior angles (degrees) of an object
+// outlined by `points`.
+// Edges carry no real length yet - applyPPMToObject fills that in.
+export function outlineGeometry(points) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const edges = points.map((start, i) => {
+    const end = points[(i + 1) % points.length];
+    return { start, end, pixelLength: Math.hypot(end.x - start.x, end.y - start.y), realLength: null };
+  });
+  return {
+    contour: { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY },
+    edges,
+    area: polygonArea(points),
+    perimeter: edges.reduce((sum, e) => sum + e.pixelLength, 0),
+    angles: interiorAngles(points)
+  };
+}
+
+// Index of the polygon vertex within `tolerance` of p (nearest first), or -1
+export function findNearestVertex(p, points, tolerance) {
+  let best = -1;
+  let bestDist = tolerance;
+  points.forEach((v, i) => {
+    const dist = Math.hypot(v.x - p.x, v.y - p.y);
+    if (dist <= bestDist) {
+      best = i;
+      bestDist = dist;
+    }
+  });
+  return best;
+}
+
+// Closest edge of a closed polygon within `tolerance` of p.
+// Returns { index, point } where the edge runs from vertex `index` to the next and
+// `point` is p projected onto it, or null.
+export function findNearestEdge(p, points, tolerance) {
+  let best = null;
+  let bestDist = tolerance;
+  points.forEach((a, i) => {
+    const b = points[(i + 1) % points.length];
+    const dist = distancePointToSegment(p, a, b);
+    if (dist <= bestDist) {
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSq = dx * dx + dy * dy;
+      const t = lengthSq ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+      best = { index: i, point: { x: a.x + t * dx, y: a.y + t * dy } };
+      bestDist = dist;
+    }
+  });
+  return best;
+}
+
+// Total least-squares line through the points.
+// Returns { point, direction, residual } - a point on the line (the centroid), a unit
+// direction and the RMS perpendicular distance - or null for fewer than two points.
+export function fitLine(points) {
+  const n = points.length;
+  if (n < 2) return null;
+  const mx = points.reduce((s, p) => s + p.x, 0) / n;
+  const my = points.reduce((s, p) => s + p.y, 0) / n;
+  let sxx = 0, syy = 0, sxy = 0;
+  points.forEach(p => {
+    sxx += (p.x - mx) ** 2;
+    syy += (p.y - my) ** 2;
+    sxy += (p.x - mx) * (p.y - my);
+  });
+  // Principal axis of the scatter
+  const angle = Math.atan2(2 * sxy, sxx - syy) / 2;
+  const direction = { x: Math.cos(angle), y: Math.sin(angle) };
+  const residual = Math.sqrt(points.reduce((s, p) => {
+    const d = (p.x - mx) * -direction.y + (p.y - my) * direction.x;
+    return s + d * d;
+  }, 0) / n);
+  return { point: { x: mx, y: my }, direction, residual };
+}
+
+// Intersection of two lines given as { point, direction }, or null when (nearly) parallel
+export function intersectLines(a, b) {
+  const cross = a.direction.x * b.direction.y - a.direction.y * b.direction.x;
+  if (Math.abs(cross) < 1e-6) return null;
+  const dx = b.point.x - a.point.x;
+  const dy = b.point.y - a.point.y;
+  const t = (dx * b.direction.y - dy * b.direction.x) / cross;
+  return { x: a.point.x + t * a.direction.x, y: a.point.y + t * a.direction.y };
+}
+
+// Convex hull (Andrew's monotone chain), counter-clockwise in image coordinates
+export function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) return sorted;
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const lower = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+}
+
+// Smallest-area rotated rectangle around the points (rotating calipers over the hull).
+// Returns { center, length, width, angle, corners } with length >= width and angle the
+// direction of the long side in degrees, clockwise from the image x axis, in [0, 180).
+export function minAreaRect(points) {
+  const hull = convexHull(points);
+  if (hull.length < 3) return null;
+  let best = null;
+  hull.forEach((a, i) => {
+    const b = hull[(i + 1) % hull.length];
+    const edgeLength = Math.hypot(b.x - a.x, b.y - a.y);
+    if (!edgeLength) return;
+    const ux = (b.x - a.x) / edgeLength;
+    const uy = (b.y - a.y) / edgeLength;
+    let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+    hull.forEach(p => {
+      const u = p.x * ux + p.y * uy;
+      const v = -p.x * uy + p.y * ux;
+      minU = Math.min(minU, u); maxU = Math.max(maxU, u);
+      minV = Math.min(minV, v); maxV = Math.max(maxV, v);
+    });
+    const area = (maxU - minU) * (maxV - minV);
+    if (!best || area < best.area) best = { area, ux, uy, minU, maxU, minV, maxV };
+  });
+  if (!best) return null;
+
+  const { ux, uy, minU, maxU, minV, maxV } = best;
+  const toImage = (u, v) => ({ x: u * ux - v * uy, y: u * uy + v * ux });
+  const corners = [toImage(minU, minV), toImage(maxU, minV), toImage(maxU, maxV), toImage(minU, maxV)];
+  const sideU = maxU - minU;
+  const sideV = maxV - minV;
+  const longAngle = sideU >= sideV ? Math.atan2(uy, ux) : Math.atan2(ux, -uy);
+  return {
+    center: toImage((minU + maxU) / 2, (minV + maxV) / 2),
+    length: Math.max(sideU, sideV),
+    width: Math.min(sideU, sideV),
+    angle: (((longAngle * 180) / Math.PI) % 180 + 180) % 180,
+    corners
+  };
+}
+
+// Centroid and second central moments (per unit area) of the region inside a simple polygon
+export function polygonMoments(points) {
+  let a = 0, cx = 0, cy = 0, sxx = 0, syy = 0, sxy = 0;
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    const cross = p.x * q.y - q.x * p.y;
+    a += cross;
+    cx += (p.x + q.x) * cross;
+    cy += (p.y + q.y) * cross;
+    sxx += (p.x * p.x + p.x * q.x + q.x * q.x) * cross;
+    syy += (p.y * p.y + p.y * q.y + q.y * q.y) * cross;
+    sxy += (p.x * q.y + 2 * p.x * p.y + 2 * q.x * q.y + q.x * p.y) * cross;
+  });
+  a /= 2;
+  if (!a) return null;
+  cx /= 6 * a;
+  cy /= 6 * a;
+  return {
+    area: Math.abs(a),
+    centroid: { x: cx, y: cy },
+    muXX: sxx / (12 * a) - cx * cx,
+    muYY: syy / (12 * a) - cy * cy,
+    muXY: sxy / (24 * a) - cx * cy
+  };
+}
+
+function distancePointToLine(p, a, b) {
+  const length = Math.hypot(b.x - a.x, b.y - a.y);
+  if (!length) return Math.hypot(p.x - a.x, p.y - a.y);
+  return Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / length;
+}
+
+// Feret (caliper) diameters: the largest and smallest distance between two parallel
+// lines touching the outline, with their directions in degrees in [0, 180).
+// The minimum always has one caliper flush with a hull edge.
+export function feretDiameters(points) {
+  const hull = convexHull(points);
+  if (hull.length < 2) return null;
+  const toDegrees = (dx, dy) => (((Math.atan2(dy, dx) * 180) / Math.PI) % 180 + 180) % 180;
+
+  let max = { value: 0, angle: 0 };
+  hull.forEach((a, i) => {
+    for (let j = i + 1; j < hull.length; j++) {
+      const d = Math.hypot(hull[j].x - a.x, hull[j].y - a.y);
+      if (d > max.value) max = { value: d, angle: toDegrees(hull[j].x - a.x, hull[j].y - a.y) };
+    }
+  });
+
+  let min = null;
+  if (hull.length >= 3) {
+    hull.forEach((a, i) => {
+      const b = hull[(i + 1) % hull.length];
+      const width = Math.max(...hull.map(p => distancePointToLine(p, a, b)));
+      // Measured across the edge, i.e. perpendicular to it
+      if (!min || width < min.value) min = { value: width, angle: toDegrees(-(b.y - a.y), b.x - a.x) };
+    });
+  }
+  return { max: max.value, maxAngle: max.angle, min: min ? min.value : 0, minAngle: min ? min.angle : 0 };
+}
+
+// Size and convexity descriptors of a closed polygon, in px / px²
+export function polygonMetrics(points) {
+  if (!points || points.length < 3) return null;
+  const area = polygonArea(points);
+  const moments = polygonMoments(points);
+  const hullArea = polygonArea(convexHull(points));
+  return {
+    area,
+    centroid: moments ? moments.centroid : null,
+    minAreaRect: minAreaRect(points),
+    convexHullArea: hullArea,
+    solidity: hullArea ? area / hullArea : null,
+    equivalentDiameter: Math.sqrt((4 * area) / Math.PI),
+    feret: feretDiameters(points)
+  };
+}
+
+// Point on the segment a-b closest to p
+function closestPointOnSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+  return { x: a.x + t * dx, y: a.y + t * dy };
+}
+
+// True when the segments a-b and c-d cross (touching at an end point does not count)
+function segmentsIntersect(a, b, c, d) {
+  const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  if (!d1 || !d2 || !d3 || !d4) return false;
+  return (d1 > 0) !== (d2 > 0) && (d3 > 0) !== (d4 > 0);
+}
+
+// Shortest distance between two closed polygons and the two points that realise it.
+// Touching, crossing or nested outlines are 0 apart. Returns { distance, a, b } with
+// `a` on the first polygon and `b` on the second.
+export function polygonDistance(polyA, polyB) {
+  const edgesOf = (poly) => poly.map((p, i) => [p, poly[(i + 1) % poly.length]]);
+  const edgesA = edgesOf(polyA);
+  const edgesB = edgesOf(polyB);
+
+  for (const [a1, a2] of edgesA) {
+    for (const [b1, b2] of edgesB) {
+      if (segmentsIntersect(a1, a2, b1, b2)) {
+        const point = intersectLines(
+          { point: a1, direction: { x: a2.x - a1.x, y: a2.y - a1.y } },
+          { point: b1, direction: { x: b2.x - b1.x, y: b2.y - b1.y } }
+        ) || a1;
+        return { distance: 0, a: point, b: point };
+      }
+    }
+  }
+  if (isPointInPolygon(polyA[0], polyB)) return { distance: 0, a: polyA[0], b: polyA[0] };
+  if (isPointInPolygon(polyB[0], polyA)) return { distance: 0, a: polyB[0], b: polyB[0] };
+
+  // The closest pair always includes a vertex of one polygon
+  let best = { distance: Infinity, a: null, b: null };
+  polyA.forEach(p => edgesB.forEach(([b1, b2]) => {
+    const q = closestPointOnSegment(p, b1, b2);
+    const distance = Math.hypot(p.x - q.x, p.y - q.y);
+    if (distance < best.distance) best = { distance, a: p, b: q };
+  }));
+  polyB.forEach(p => edgesA.forEach(([a1, a2]) => {
+    const q = closestPointOnSegment(p, a1, a2);
+    const distance = Math.hypot(p.x - q.x, p.y - q.y);
+    if (distance < best.distance) best = { distance, a: q, b: p };
+  }));
+  return best;
+}
+
+// Gap between the closest pair of facing, near-parallel edges (one from each polygon)
+// that overlap along their length: the width of a slot or the spacing of two walls.
+// Returns { distance, edgeA, edgeB } (edge indices) or null when no edges qualify.
+export function parallelEdgeGap(polyA, polyB, maxAngleDeg = 5) {
+  const maxSin = Math.sin((maxAngleDeg * Math.PI) / 180);
+  let best = null;
+  polyA.forEach((a1, i) => {
+    const a2 = polyA[(i + 1) % polyA.length];
+    const lengthA = Math.hypot(a2.x - a1.x, a2.y - a1.y);
+    if (!lengthA) return;
+    const ux = (a2.x - a1.x) / lengthA;
+    const uy = (a2.y - a1.y) / lengthA;
+    polyB.forEach((b1, j) => {
+      const b2 = polyB[(j + 1) % polyB.length];
+      const lengthB = Math.hypot(b2.x - b1.x, b2.y - b1.y);
+      if (!lengthB) return;
+      const sin = Math.abs(ux * (b2.y - b1.y) - uy * (b2.x - b1.x)) / lengthB;
+      if (sin > maxSin) return;
+      // Overlap of the two edges measured along edge A
+      const t1 = (b1.x - a1.x) * ux + (b1.y - a1.y) * uy;
+      const t2 = (b2.x - a1.x) * ux + (b2.y - a1.y) * uy;
+      if (Math.min(lengthA, Math.max(t1, t2)) - Math.max(0, Math.min(t1, t2)) <= 0) return;
+      // Mean perpendicular distance of edge B from the line through edge A
+      const perp = (p) => Math.abs((p.x - a1.x) * -uy + (p.y - a1.y) * ux);
+      const distance = (perp(b1) + perp(b2)) / 2;
+      if (!best || distance < best.distance) best = { distance, edgeA: i, edgeB: j };
+    });
+  });
+  return best;
+}
@@ -0,0 +1,46 @@
+// Undo/redo history of the measurement state ({ objects, calibration, dimensions }).
+// Every entry is a full snapshot. Objects and dimensions are never mutated in place, so
+// a snapshot shares the unchanged ones with its neighbours instead of copying them.
+// { entries: [{ id, label, key, state }], index } - `index` is the entry on screen.
+
+// Number of steps kept; the oldest are dropped first
+export const HISTORY_DEPTH = 50;
+
+let nextEntryId = 1;
+
+const makeEntry = (label, state, key = null) => ({ id: nextEntryId++, label, key, state });
+
+// Fresh history holding only `state` (new image, opened project)
+export function createHistory(label, state) {
+  return { entries: [makeEntry(label, state)], index: 0 };
+}
+
+// Add a step after the current one, dropping any redo steps.
+// Consecutive steps with the same `key` (e.g. typing a name) merge into one.
+export function recordHistory(history, label, state, { key = null } = {}) {
+  const current = history.entries[history.index];
+  const isNewest = history.index === history.entries.length - 1;
+  if (key && isNewest && current.key === key) {
+    return amendHistory(history, state, label);
+  }
+  const entries = [...history.entries.slice(0, history.index + 1), makeEntry(label, state, key)];
+  const trimmed = entries.slice(Math.max(0, entries.length - HISTORY_DEPTH));
+  return { entries: trimmed, index: trimmed.length - 1 };
+}
+
+// Replace the state (and optionally the label) of the current step,
+// e.g. after measurements were recalculated
+export function amendHistory(history, state, label = null) {
+  const entries = history.entries.map((entry, i) =>
+    i === history.index ? { ...entry, state, label: label ?? entry.label } : entry
+  );
+  return { ...history, entries };
+}
+
+// Move to any step; undo/redo are moves of one step
+export function moveHistory(history, index) {
+  return { ...history, index: Math.max(0, Math.min(history.entries.length - 1, index)) };
+}
+
+export const canUndo = (history) => history.index > 0;
+export const canRedo = (history) => history.index < history.entries.length - 1;
@@ -0,0 +1,83 @@
+// Holes of an object: inner contours kept with their parent (washers, brackets with
+// mounting holes, Technic beams). Holes are stored in px on the object as
+// `holes: [{ points, area, perimeter, centroid, circle }]`; `circle` ({ center, radius,
+// residual }) is set for round holes. Measurements in mm follow the calibration.
+import { outlineGeometry, polygonMoments, fitCircle } from './geometry';
+import { edgePixelSigma, areaPixelSigma, combineUncertainties, propagateLength, propagateArea } from './uncertainty';
+
+// 🔧 SHAPE TUNING: a hole is round when its vertices stray less than this fraction of
+// the fitted radius from the circle (RMS)
+const ROUND_HOLE_RESIDUAL = 0.05;
+
+// 🔧 SHAPE TUNING: fewest vertices a round hole has after outline simplification
+// (the corners of a square or triangle lie exactly on a circle too)
+const ROUND_HOLE_MIN_VERTICES = 6;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Hole outlined by `points` (px)
+export function holeGeometry(points) {
+  const { area, perimeter } = outlineGeometry(points);
+  const moments = polygonMoments(points);
+  const circle = fitCircle(points);
+  return {
+    points,
+    area,
+    perimeter,
+    centroid: moments?.centroid ?? circle?.center ?? points[0],
+    circle: circle && points.length >= ROUND_HOLE_MIN_VERTICES && circle.residual < ROUND_HOLE_RESIDUAL * circle.radius
+      ? circle
+      : null
+  };
+}
+
+// Diameter of a hole in px: of the fitted circle when round, otherwise the diameter
+// of the circle with the same area
+export function holeDiameter(hole) {
+  return hole.circle ? 2 * hole.circle.radius : Math.sqrt((4 * hole.area) / Math.PI);
+}
+
+// Centre of a hole in px: of the fitted circle when round, otherwise the centroid
+export function holeCenter(hole) {
+  return hole.circle ? hole.circle.center : hole.centroid;
+}
+
+// Object area minus its holes (px²)
+export function netPixelArea(obj) {
+  return obj.area - (obj.holes || []).reduce((sum, hole) => sum + hole.area, 0);
+}
+
+// σ (px²) of a hole's area
+function holeAreaSigma(hole, vertexSigma) {
+  return areaPixelSigma(vertexSigma, outlineGeometry(hole.points).edges.map(e => e.pixelLength));
+}
+
+// Every hole in mm: diameter, centre (from the image's top-left corner, y pointing
+// down) and area, each { value, uncertainty }, and whether it is round
+export function measureHoles(holes, ppm, ppmUncertainty, vertexSigma) {
+  return holes.map(hole => {
+    const diameter = holeDiameter(hole);
+    // A centre averages every vertex of the hole
+    const centreSigma = vertexSigma / Math.sqrt(hole.points.length);
+    const position = (px) => ({ value: round(px / ppm), uncertainty: propagateLength(px, centreSigma, ppm, ppmUncertainty) });
+    const center = holeCenter(hole);
+    return {
+      round: Boolean(hole.circle),
+      // Like a fitted width, a diameter is the distance between two outline points
+      diameter: { value: round(diameter / ppm), uncertainty: propagateLength(diameter, edgePixelSigma(vertexSigma), ppm, ppmUncertainty) },
+      center: { x: position(center.x), y: position(center.y) },
+      area: {
+        value: round(hole.area / (ppm * ppm)),
+        uncertainty: propagateArea(hole.area, holeAreaSigma(hole, vertexSigma), ppm, ppmUncertainty)
+      }
+    };
+  });
+}
+
+// Net area in mm² (outline area minus the holes) with its uncertainty, given the
+// outline area's σ in px²
+export function measureNetArea(obj, outlineAreaSigmaPx, ppm, ppmUncertainty, vertexSigma) {
+  const net = netPixelArea(obj);
+  const sigmaPx = combineUncertainties(outlineAreaSigmaPx, ...obj.holes.map(hole => holeAreaSigma(hole, vertexSigma)));
+  return { value: round(net / (ppm * ppm)), uncertainty: propagateArea(net, sigmaPx, ppm, ppmUncertainty) };
+}
@@ -0,0 +1,175 @@
+// Planar homography helpers used for perspective correction.
+// A homography is stored as a flat row-major array of 9 numbers with H[8] = 1.
+
+// Solve A·x = b in place with Gaussian elimination and partial pivoting
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-12) {
+      throw new Error('Degenerate points: homography cannot be computed (are three corners on one line?)');
+    }
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = A[row][col] / A[col][col];
+      for (let k = col; k < n; k++) A[row][k] -= factor * A[col][k];
+      b[row] -= factor * b[col];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+    x[row] = sum / A[row][row];
+  }
+  return x;
+}
+
+// Homography mapping four source points onto four destination points
+export function computeHomography(srcPoints, dstPoints) {
+  if (srcPoints.length !== 4 || dstPoints.length !== 4) {
+    throw new Error('computeHomography needs exactly 4 point pairs');
+  }
+  const A = [];
+  const b = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = srcPoints[i];
+    const { x: u, y: v } = dstPoints[i];
+    A.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    b.push(u);
+    A.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+    b.push(v);
+  }
+  const h = solveLinearSystem(A, b);
+  return [...h, 1];
+}
+
+export function invertHomography(H) {
+  const [a, b, c, d, e, f, g, h, i] = H;
+  const A = e * i - f * h;
+  const B = -(d * i - f * g);
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  if (Math.abs(det) < 1e-12) throw new Error('Homography is not invertible');
+  const inv = [
+    A, -(b * i - c * h), b * f - c * e,
+    B, a * i - c * g, -(a * f - c * d),
+    C, -(a * h - b * g), a * e - b * d
+  ].map(v => v / det);
+  return inv.map(v => v / inv[8]);
+}
+
+// Map a point through H. Returns null for points on or behind the horizon line.
+export function applyHomography(H, point) {
+  const w = H[6] * point.x + H[7] * point.y + H[8];
+  if (w <= 1e-12) return null;
+  return {
+    x: (H[0] * point.x + H[1] * point.y + H[2]) / w,
+    y: (H[3] * point.x + H[4] * point.y + H[5]) / w
+  };
+}
+
+// Compose two homographies: the result applies `first`, then `second`
+export function multiplyHomographies(second, first) {
+  const out = new Array(9).fill(0);
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      for (let k = 0; k < 3; k++) out[r * 3 + c] += second[r * 3 + k] * first[k * 3 + c];
+    }
+  }
+  return out.map(v => v / out[8]);
+}
+
+// Order four corners as top-left, top-right, bottom-right, bottom-left
+export function orderCorners(points) {
+  const cx = points.reduce((s, p) => s + p.x, 0) / points.length;
+  const cy = points.reduce((s, p) => s + p.y, 0) / points.length;
+  const sorted = [...points].sort(
+    (p, q) => Math.atan2(p.y - cy, p.x - cx) - Math.atan2(q.y - cy, q.x - cx)
+  );
+  // atan2 ordering starts at the left (-π); rotate so the corner with smallest x + y comes first
+  let start = 0;
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].x + sorted[i].y < sorted[start].x + sorted[start].y) start = i;
+  }
+  return [...sorted.slice(start), ...sorted.slice(0, start)];
+}
+
+// Plan a fronto-parallel view from the four image corners of a rectangular reference.
+// The rectified image keeps the resolution of the reference's long side, covers the
+// whole photo where possible, and is capped at `maxSize` pixels per side.
+// Returns { homography, inverse, width, height, ppm, corners, referencePoints, referencePixelLength }:
+// `homography` maps original → rectified pixels, `ppm` is the rectified scale and
+// `referencePixelLength` is the reference's long side as seen in the original photo.
+export function planRectification(corners, reference, imageSize, { maxSize = 4000 } = {}) {
+  const ordered = orderCorners(corners);
+  const dist = (p, q) => Math.hypot(q.x - p.x, q.y - p.y);
+  const horizontalPx = (dist(ordered[0], ordered[1]) + dist(ordered[3], ordered[2])) / 2;
+  const verticalPx = (dist(ordered[0], ordered[3]) + dist(ordered[1], ordered[2])) / 2;
+
+  // Keep the reference's orientation: its long side stays along the longer image direction
+  const landscape = horizontalPx >= verticalPx;
+  const widthMm = landscape ? reference.widthMm : reference.heightMm;
+  const heightMm = landscape ? reference.heightMm : reference.widthMm;
+  let ppm = Math.max(horizontalPx, verticalPx) / reference.widthMm;
+
+  const rectPoints = (scale) => [
+    { x: 0, y: 0 },
+    { x: widthMm * scale, y: 0 },
+    { x: widthMm * scale, y: heightMm * scale },
+    { x: 0, y: heightMm * scale }
+  ];
+  const base = computeHomography(ordered, rectPoints(ppm));
+
+  // Region around the reference that is always safe to keep (4 reference sizes each way)
+  const refW = widthMm * ppm;
+  const refH = heightMm * ppm;
+  let bounds = { minX: -4 * refW, minY: -4 * refH, maxX: 5 * refW, maxY: 5 * refH };
+
+  // Shrink it to the warped photo outline when every photo corner maps in front of the camera
+  const imageCorners = [
+    { x: 0, y: 0 },
+    { x: imageSize.width, y: 0 },
+    { x: imageSize.width, y: imageSize.height },
+    { x: 0, y: imageSize.height }
+  ].map(p => applyHomography(base, p));
+  if (imageCorners.every(Boolean)) {
+    bounds = {
+      minX: Math.max(bounds.minX, Math.min(...imageCorners.map(p => p.x))),
+      minY: Math.max(bounds.minY, Math.min(...imageCorners.map(p => p.y))),
+      maxX: Math.min(bounds.maxX, Math.max(...imageCorners.map(p => p.x))),
+      maxY: Math.min(bounds.maxY, Math.max(...imageCorners.map(p => p.y)))
+    };
+  }
+
+  let width = bounds.maxX - bounds.minX;
+  let height = bounds.maxY - bounds.minY;
+  const shrink = Math.min(1, maxSize / Math.max(width, height));
+  ppm *= shrink;
+  width = Math.round(width * shrink);
+  height = Math.round(height * shrink);
+
+  const placement = [
+    shrink, 0, -bounds.minX * shrink,
+    0, shrink, -bounds.minY * shrink,
+    0, 0, 1
+  ];
+  const homography = multiplyHomographies(placement, base);
+
+  return {
+    homography,
+    inverse: invertHomography(homography),
+    width,
+    height,
+    ppm,
+    corners: ordered,
+    referencePoints: ordered.map(p => applyHomography(homography, p)),
+    referencePixelLength: Math.max(horizontalPx, verticalPx)
+  };
+}
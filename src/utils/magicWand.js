@@ -0,0 +1,76 @@
+// Magic wand: flood fill of RGBA pixels ({ data, width, height }) from clicked seeds.
+// A pixel joins the region when it touches it (4-connected) and every channel is within
+// `tolerance` of the seed pixel's colour. Seeds add to or subtract from the region, so
+// a selection can be built up from several clicks.
+//
+// A seed looks like { x, y, op } with op 'add' or 'subtract'; regions are Uint8Array
+// masks of the image (255 = selected).
+
+// 🔧 WAND TUNING: colour tolerance (per channel, 0-255) a selection starts with -
+// INCREASE for shaded or textured parts, DECREASE when the fill leaks into the background
+export const DEFAULT_WAND_TOLERANCE = 32;
+
+// Pixels connected to (x, y) within `tolerance` of its colour
+export function floodFill(image, x, y, tolerance) {
+  const { data, width, height } = image;
+  const region = new Uint8Array(width * height);
+  const sx = Math.round(x);
+  const sy = Math.round(y);
+  if (sx < 0 || sy < 0 || sx >= width || sy >= height) return region;
+
+  const seed = (sy * width + sx) * 4;
+  const [r, g, b] = [data[seed], data[seed + 1], data[seed + 2]];
+  const matches = (p) =>
+    Math.abs(data[p * 4] - r) <= tolerance &&
+    Math.abs(data[p * 4 + 1] - g) <= tolerance &&
+    Math.abs(data[p * 4 + 2] - b) <= tolerance;
+
+  // Every pixel is pushed at most once (it's marked when pushed)
+  const stack = new Int32Array(width * height);
+  let top = 0;
+  const visit = (n) => {
+    if (region[n] || !matches(n)) return;
+    region[n] = 255;
+    stack[top++] = n;
+  };
+  region[sy * width + sx] = 255;
+  stack[top++] = sy * width + sx;
+  while (top) {
+    const p = stack[--top];
+    const px = p % width;
+    if (px > 0) visit(p - 1);
+    if (px < width - 1) visit(p + 1);
+    if (p >= width) visit(p - width);
+    if (p < width * (height - 1)) visit(p + width);
+  }
+  return region;
+}
+
+// The region selected by `seeds` in order, or null without seeds. Returns
+// { data, width, height, area } (area in px).
+export function wandRegion(image, seeds, tolerance) {
+  if (!seeds.length) return null;
+  const data = new Uint8Array(image.width * image.height);
+  seeds.forEach(({ x, y, op }) => {
+    const fill = floodFill(image, x, y, tolerance);
+    for (let p = 0; p < fill.length; p++) {
+      if (!fill[p]) continue;
+      data[p] = op === 'subtract' ? 0 : 255;
+    }
+  });
+  let area = 0;
+  for (let p = 0; p < data.length; p++) if (data[p]) area++;
+  return { data, width: image.width, height: image.height, area };
+}
+
+// RGBA overlay of a region: tinted with `color` (#RRGGBB), everything else transparent
+export function regionPreview(region, color = '#D946EF') {
+  const rgb = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+  const overlay = new Uint8ClampedArray(region.width * region.height * 4);
+  for (let p = 0; p < region.data.length; p++) {
+    if (!region.data[p]) continue;
+    overlay.set(rgb, p * 4);
+    overlay[p * 4 + 3] = 255;
+  }
+  return { data: overlay, width: region.width, height: region.height };
+}
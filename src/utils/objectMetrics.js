@@ -0,0 +1,48 @@
+// Derived size and convexity metrics of an object outline in mm.
+// Computed from the vertices on every PPM change, so they always follow the calibration.
+import { polygonMetrics } from './geometry';
+import { edgePixelSigma, propagateLength, propagateArea } from './uncertainty';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// `vertexSigma` is the standard uncertainty of each vertex (px) and `areaSigmaPx`
+// that of the polygon area (px²). Lengths are { value, uncertainty } in mm, areas in mm².
+// The centroid is measured from the image's top-left corner, y pointing down.
+export function measureMetrics(points, ppm, ppmUncertainty, vertexSigma, areaSigmaPx) {
+  const metrics = polygonMetrics(points);
+  if (!metrics || !ppm) return null;
+  // A caliper or box size is the distance between two outline points
+  const length = (px) => ({
+    value: round(px / ppm),
+    uncertainty: propagateLength(px, edgePixelSigma(vertexSigma), ppm, ppmUncertainty)
+  });
+  const area = (px2) => ({
+    value: round(px2 / (ppm * ppm)),
+    uncertainty: propagateArea(px2, areaSigmaPx, ppm, ppmUncertainty)
+  });
+  // Averaging n vertices shrinks their scatter by √n
+  const centroidSigma = vertexSigma / Math.sqrt(points.length);
+  const position = (px) => ({
+    value: round(px / ppm),
+    uncertainty: propagateLength(px, centroidSigma, ppm, ppmUncertainty)
+  });
+  const { minAreaRect, feret, centroid } = metrics;
+  const diameter = metrics.equivalentDiameter;
+  const areaMm = area(metrics.area);
+
+  return {
+    minAreaRect: minAreaRect
+      ? { length: length(minAreaRect.length), width: length(minAreaRect.width), angle: minAreaRect.angle }
+      : null,
+    convexHullArea: area(metrics.convexHullArea),
+    solidity: metrics.solidity,
+    // d = √(4A/π), so σd = 2σA / (π d)
+    equivalentDiameter: {
+      value: round(diameter / ppm),
+      uncertainty: diameter ? (2 * areaMm.uncertainty) / (Math.PI * (diameter / ppm)) : 0
+    },
+    feretMax: feret ? { ...length(feret.max), angle: feret.maxAngle } : null,
+    feretMin: feret ? { ...length(feret.min), angle: feret.minAngle } : null,
+    centroid: centroid ? { x: position(centroid.x), y: position(centroid.y) } : null
+  };
+}
@@ -1,35 +1,132 @@
-let isLoaded = false;
+// The one OpenCV.js loader, used by the page and by the detection worker. It runs the
+// build bundled with the app first (works offline) and falls back to the CDN.
+// Load state - { status: 'idle' | 'loading' | 'ready' | 'failed', source, reason } -
+// is reported to subscribers so the UI can say when the vision engine is unavailable.
+import bundledOpenCVUrl from '@techstark/opencv-js/dist/opencv.js?url';
 
-export async function loadOpenCV() {
-  if (isLoaded) return true;
+// 🔧 OPENCV SOURCES: tried in order. Drop the CDN entry to never leave the app's own assets.
+export const OPENCV_SOURCES = [
+  { id: 'bundled', label: 'bundled build', url: bundledOpenCVUrl },
+  { id: 'cdn', label: 'docs.opencv.org', url: 'https://docs.opencv.org/4.11.0/opencv.js' }
+];
+
+// 🔧 OPENCV TIMEOUTS (ms): download per source, then WebAssembly start-up
+const DOWNLOAD_TIMEOUT_MS = 60000;
+const INIT_TIMEOUT_MS = 30000;
+
+let state = { status: 'idle', source: null, reason: null };
+const listeners = new Set();
+let loadPromise = null;
+
+function setState(next) {
+  state = next;
+  listeners.forEach(listener => listener(state));
+}
+
+export function getOpenCVState() {
+  return state;
+}
+
+// Call `listener(state)` on every load state change. Returns the unsubscribe function.
+export function subscribeOpenCV(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Resolves the `cv` the opencv.js script registered on the global object once its
+// runtime is ready
+function waitForRuntime() {
+  const cv = globalThis.cv;
+  if (!cv) return Promise.reject(new Error('the script did not define cv'));
+  if (cv.Mat) return Promise.resolve(cv);
 
   return new Promise((resolve, reject) => {
-    if (window.cv && window.cv.Mat) {
-      isLoaded = true;
-      resolve(true);
-      return;
+    const timer = setTimeout(
+      () => reject(new Error(`the runtime did not start within ${INIT_TIMEOUT_MS / 1000}s`)),
+      INIT_TIMEOUT_MS
+    );
+    const ready = (module) => {
+      clearTimeout(timer);
+      globalThis.cv = module;
+      resolve(module);
+    };
+    if (typeof cv.then === 'function') {
+      // Older builds resolve to a module that is itself thenable; drop `then` so
+      // resolving with it doesn't loop
+      cv.then((module) => {
+        delete module.then;
+        ready(module);
+      }, (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    } else {
+      cv.onRuntimeInitialized = () => ready(cv);
     }
+  });
+}
 
-    const script = document.createElement('script');
-    script.src = 'https://docs.opencv.org/4.x/opencv.js';
-    script.async = true;
-    document.body.appendChild(script);
-
-    const timeout = setTimeout(() => {
-      reject(new Error('OpenCV.js load timeout (30s)'));
-    }, 30000);
+// Download the opencv.js source and run it with the global object as `this` (it
+// registers itself as `cv` there - this works in module workers too, which can't
+// importScripts()). Cross-origin, this needs CORS headers from the server.
+async function loadWithFetch(source) {
+  const response = await fetch(source.url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  new Function(await response.text()).call(globalThis);
+  return waitForRuntime();
+}
 
+// Add a <script> element for the source - the page's way to run a cross-origin
+// script, as it needs no CORS headers
+function loadWithScript(source) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    const fail = (message) => {
+      clearTimeout(timer);
+      script.remove();
+      reject(new Error(message));
+    };
+    const timer = setTimeout(() => fail(`the download did not finish within ${DOWNLOAD_TIMEOUT_MS / 1000}s`), DOWNLOAD_TIMEOUT_MS);
     script.onload = () => {
-      window.cv['onRuntimeInitialized'] = () => {
-        clearTimeout(timeout);
-        isLoaded = true;
-        resolve(true);
-      };
+      clearTimeout(timer);
+      resolve();
     };
+    script.onerror = () => fail('the script could not be loaded');
+    script.async = true;
+    script.src = source.url;
+    document.head.appendChild(script);
+  }).then(waitForRuntime);
+}
 
-    script.onerror = () => {
-      clearTimeout(timeout);
-      reject(new Error('Failed to load OpenCV.js'));
-    };
-  });
-}
\ No newline at end of file
+// Same-origin sources (and every source in the worker, which has no DOM) are fetched;
+// cross-origin sources on the page get a <script> element
+function loadFrom(source) {
+  const crossOrigin = new URL(source.url, globalThis.location.href).origin !== globalThis.location.origin;
+  return crossOrigin && typeof document !== 'undefined' ? loadWithScript(source) : loadWithFetch(source);
+}
+
+// Resolves cv, loading it on first use. Rejects - and reports 'failed' with the
+// reason from every source - when no source works; the next call tries again.
+export function loadOpenCV() {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      const failures = [];
+      for (const source of OPENCV_SOURCES) {
+        setState({ status: 'loading', source: source.id, reason: null });
+        try {
+          const cv = await loadFrom(source);
+          setState({ status: 'ready', source: source.id, reason: null });
+          return cv;
+        } catch (e) {
+          console.warn(`OpenCV.js from the ${source.label} failed:`, e);
+          failures.push(`${source.label}: ${e.message || e}`);
+        }
+      }
+      const reason = failures.join('; ');
+      setState({ status: 'failed', source: null, reason });
+      loadPromise = null;
+      throw new Error(`OpenCV.js could not be loaded (${reason})`);
+    })();
+  }
+  return loadPromise;
+}
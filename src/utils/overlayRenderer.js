@@ -0,0 +1,443 @@
+// Draws the measurement overlay (polygons with their holes, vertices, E1..En edge
+// labels or fitted shape dimensions, H1..Hn hole diameters, optional vertex angles,
+// name tags) and ruler dimension lines onto a 2D canvas context. Shared by the
+// on-screen canvas and the PNG export.
+import { UNITS, convertLength } from './units';
+import { dimensionLine, measureDimension } from './dimensions';
+import { holeDiameter, holeCenter } from './holes';
+
+// "E1: 12.3mm" (or px before calibration)
+export function formatEdgeLabel(edge, idx, ppm, unit) {
+  if (ppm && edge.realLength !== null && edge.realLength !== undefined) {
+    return `E${idx + 1}: ${convertLength(edge.realLength, unit).toFixed(unit === 'in' ? 3 : 1)}${UNITS[unit].label}`;
+  }
+  return `E${idx + 1}: ${edge.pixelLength.toFixed(1)}px`;
+}
+
+export const formatAngle = (degrees) => `${degrees.toFixed(1)}°`;
+
+// "H1 ⌀ 6.0mm" (or px before calibration)
+export function formatHoleLabel(obj, idx, ppm, unit) {
+  const measured = ppm ? obj.measurements?.holes?.[idx] : null;
+  if (measured) {
+    return `H${idx + 1} ⌀ ${convertLength(measured.diameter.value, unit).toFixed(unit === 'in' ? 3 : 1)}${UNITS[unit].label}`;
+  }
+  return `H${idx + 1} ⌀ ${holeDiameter(obj.holes[idx]).toFixed(1)}px`;
+}
+
+// Unit vector from vertex i into the polygon, along the bisector of its corner.
+// `interiorAngle` (degrees) tells reflex corners apart; straight corners use the edge normal.
+export function angleLabelDirection(points, i, interiorAngle) {
+  const n = points.length;
+  const p = points[i];
+  const unit = (q) => {
+    const length = Math.hypot(q.x - p.x, q.y - p.y) || 1;
+    return { x: (q.x - p.x) / length, y: (q.y - p.y) / length };
+  };
+  const a = unit(points[(i - 1 + n) % n]);
+  const b = unit(points[(i + 1) % n]);
+  let dir = { x: a.x + b.x, y: a.y + b.y };
+  let length = Math.hypot(dir.x, dir.y);
+  if (length < 1e-6) {
+    // Straight corner: turn the incoming edge direction towards the inside
+    const area = points.reduce((s, q, j) => s + q.x * points[(j + 1) % n].y - points[(j + 1) % n].x * q.y, 0);
+    dir = area >= 0 ? { x: -b.y, y: b.x } : { x: b.y, y: -b.x };
+    length = 1;
+  } else if (interiorAngle > 180) {
+    dir = { x: -dir.x, y: -dir.y };
+  }
+  return { x: dir.x / length, y: dir.y / length };
+}
+
+// The object's fitted primitive, or null when it is shown as a free polygon
+export function fittedShape(obj) {
+  const shape = obj.shape;
+  if (!shape || shape.type === 'polygon' || !shape[shape.type]) return null;
+  return { type: shape.type, ...shape[shape.type] };
+}
+
+// "⌀ 24.3mm", "Ellipse 30.0 × 20.0mm", "40.0 × 20.0mm @ 12°" (or px before calibration);
+// null for free polygons, which keep their edge labels
+export function formatShapeLabel(obj, ppm, unit) {
+  const fit = fittedShape(obj);
+  if (!fit) return null;
+  const measured = ppm ? obj.measurements?.shape?.[fit.type] : null;
+  const length = (key) => (measured
+    ? convertLength(measured[key].value, unit).toFixed(unit === 'in' ? 3 : 1)
+    : fit[key].toFixed(1));
+  const suffix = measured ? UNITS[unit].label : 'px';
+  if (fit.type === 'circle') return `⌀ ${length('diameter')}${suffix}`;
+  if (fit.type === 'ellipse') return `Ellipse ${length('majorAxis')} × ${length('minorAxis')}${suffix}`;
+  return `${length('length')} × ${length('width')}${suffix} @ ${Math.round(fit.angle)}°`;
+}
+
+// Path of a fitted primitive in canvas pixels. `toCanvas` is a uniform scale plus offset.
+function fittedShapePath(ctx, fit, toCanvas) {
+  const center = toCanvas(fit.center);
+  const scale = toCanvas({ x: fit.center.x + 1, y: fit.center.y }).x - center.x;
+  ctx.beginPath();
+  if (fit.type === 'circle') {
+    ctx.arc(center.x, center.y, (fit.diameter / 2) * scale, 0, 2 * Math.PI);
+  } else if (fit.type === 'ellipse') {
+    ctx.ellipse(center.x, center.y, (fit.majorAxis / 2) * scale, (fit.minorAxis / 2) * scale, (fit.angle * Math.PI) / 180, 0, 2 * Math.PI);
+  } else {
+    const corners = fit.corners.map(toCanvas);
+    ctx.moveTo(corners[0].x, corners[0].y);
+    corners.slice(1).forEach(c => ctx.lineTo(c.x, c.y));
+    ctx.closePath();
+  }
+}
+
+// Where the name tag goes: the vertex average, or the bounding box centre
+export function objectLabelPosition(obj) {
+  if (obj.points && obj.points.length > 0) {
+    let sumX = 0, sumY = 0;
+    obj.points.forEach(p => {
+      sumX += p.x;
+      sumY += p.y;
+    });
+    return { x: sumX / obj.points.length, y: sumY / obj.points.length };
+  }
+  return { x: obj.contour.x + obj.contour.width / 2, y: obj.contour.y + obj.contour.height / 2 };
+}
+
+// Draw every object.
+// `toCanvas` maps image points to canvas pixels; `sizeScale` enlarges strokes and
+// text (e.g. for full-resolution exports where the canvas is much bigger than the view).
+export function drawObjects(ctx, objects, { toCanvas, selectedObjectId = null, comparedObjectId = null, ppm = null, unit = 'mm', sizeScale = 1, showAngles = false }) {
+  const k = sizeScale;
+
+  objects.forEach(obj => {
+    const isSelected = obj.id === selectedObjectId;
+    const isCompared = obj.id === comparedObjectId;
+    const shapeLabel = formatShapeLabel(obj, ppm, unit);
+
+    if (obj.points && obj.points.length > 0) {
+      // Draw actual contour shape
+      ctx.beginPath();
+      const canvasPoints = obj.points.map(toCanvas);
+      ctx.moveTo(canvasPoints[0].x, canvasPoints[0].y);
+
+      for (let i = 1; i < canvasPoints.length; i++) {
+        ctx.lineTo(canvasPoints[i].x, canvasPoints[i].y);
+      }
+      ctx.closePath();
+
+      // Holes are sub-paths of the outline; even-odd filling leaves them empty
+      const canvasHoles = (obj.holes || []).map(hole => hole.points.map(toCanvas));
+      canvasHoles.forEach(hole => {
+        ctx.moveTo(hole[0].x, hole[0].y);
+        hole.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+        ctx.closePath();
+      });
+
+      // Fill with semi-transparent color
+      ctx.fillStyle = obj.color + '40';
+      ctx.fill('evenodd');
+
+      // Draw border
+      ctx.strokeStyle = obj.color;
+      ctx.lineWidth = (isSelected ? 3 : 2) * k;
+      ctx.stroke();
+
+      // Draw vertices
+      [...canvasPoints, ...canvasHoles.flat()].forEach((point) => {
+        ctx.fillStyle = obj.color;
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, (isSelected ? 5 : 3) * k, 0, 2 * Math.PI);
+        ctx.fill();
+      });
+
+      // Fitted primitive, dashed over the outline
+      if (shapeLabel) {
+        fittedShapePath(ctx, fittedShape(obj), toCanvas);
+        ctx.setLineDash([6 * k, 4 * k]);
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 1.5 * k;
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+
+      // Draw edge measurements and labels (fitted shapes show their dimensions instead)
+      if (obj.edges && !shapeLabel) {
+        obj.edges.forEach((edge, idx) => {
+          const start = toCanvas(edge.start);
+          const end = toCanvas(edge.end);
+          const midX = (start.x + end.x) / 2;
+          const midY = (start.y + end.y) / 2;
+
+          // Calculate angle for label positioning
+          const dx = end.x - start.x;
+          const dy = end.y - start.y;
+          const angle = Math.atan2(dy, dx);
+
+          // Build text with mm preferred, px as fallback
+          const text = formatEdgeLabel(edge, idx, ppm, unit);
+
+          ctx.font = `bold ${10 * k}px sans-serif`;
+          const metrics = ctx.measureText(text);
+          const textWidth = metrics.width;
+          const textHeight = 12 * k;
+
+          // Offset label perpendicular to edge
+          const offset = 15 * k;
+          const labelX = midX + Math.cos(angle + Math.PI / 2) * offset;
+          const labelY = midY + Math.sin(angle + Math.PI / 2) * offset;
+
+          // Draw text background
+          ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+          ctx.fillRect(labelX - textWidth / 2 - 3 * k, labelY - textHeight - 3 * k, textWidth + 6 * k, textHeight + 6 * k);
+
+          // Draw text
+          ctx.fillStyle = '#FFFFFF';
+          ctx.fillText(text, labelX - textWidth / 2, labelY - 2 * k);
+        });
+      }
+
+      // Hole diameters at their centres
+      if (obj.holes?.length) {
+        ctx.font = `bold ${10 * k}px sans-serif`;
+        obj.holes.forEach((hole, idx) => {
+          const center = toCanvas(holeCenter(hole));
+          const text = formatHoleLabel(obj, idx, ppm, unit);
+          const textWidth = ctx.measureText(text).width;
+          ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+          ctx.fillRect(center.x - textWidth / 2 - 3 * k, center.y - 9 * k, textWidth + 6 * k, 16 * k);
+          ctx.fillStyle = '#FFFFFF';
+          ctx.fillText(text, center.x - textWidth / 2, center.y + 3 * k);
+        });
+      }
+
+      // Interior angle at each vertex, just inside the corner
+      if (showAngles && obj.angles?.length === canvasPoints.length) {
+        ctx.font = `bold ${10 * k}px sans-serif`;
+        canvasPoints.forEach((point, idx) => {
+          const dir = angleLabelDirection(canvasPoints, idx, obj.angles[idx]);
+          const text = formatAngle(obj.angles[idx]);
+          const textWidth = ctx.measureText(text).width;
+          const labelX = point.x + dir.x * 18 * k;
+          const labelY = point.y + dir.y * 18 * k;
+          ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+          ctx.fillRect(labelX - textWidth / 2 - 3 * k, labelY - 9 * k, textWidth + 6 * k, 16 * k);
+          ctx.fillStyle = '#FDE68A';
+          ctx.fillText(text, labelX - textWidth / 2, labelY + 3 * k);
+        });
+      }
+
+      // Highlight selected, and dashed the object it is being compared with
+      if (isSelected || isCompared) {
+        ctx.beginPath();
+        ctx.moveTo(canvasPoints[0].x, canvasPoints[0].y);
+        for (let i = 1; i < canvasPoints.length; i++) {
+          ctx.lineTo(canvasPoints[i].x, canvasPoints[i].y);
+        }
+        ctx.closePath();
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = (isSelected ? 4 : 3) * k;
+        if (isCompared) ctx.setLineDash([8 * k, 5 * k]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+    } else {
+      // Fallback to bounding box
+      const { x, y, width, height } = obj.contour;
+      const corners = [
+        { x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }
+      ].map(toCanvas);
+      ctx.beginPath();
+      ctx.moveTo(corners[0].x, corners[0].y);
+      corners.slice(1).forEach(c => ctx.lineTo(c.x, c.y));
+      ctx.closePath();
+      ctx.fillStyle = obj.color + '40';
+      ctx.fill();
+      ctx.strokeStyle = obj.color;
+      ctx.lineWidth = (isSelected ? 3 : 2) * k;
+      ctx.stroke();
+    }
+
+    // Draw label in center of object
+    const center = toCanvas(objectLabelPosition(obj));
+
+    ctx.font = `bold ${14 * k}px sans-serif`;
+    const nameMetrics = ctx.measureText(obj.name);
+    const nameWidth = nameMetrics.width;
+    const nameHeight = 16 * k;
+
+    // Draw text background
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.fillRect(center.x - nameWidth / 2 - 4 * k, center.y - nameHeight / 2 - 2 * k, nameWidth + 8 * k, nameHeight + 4 * k);
+
+    // Draw text
+    ctx.fillStyle = obj.color;
+    ctx.fillText(obj.name, center.x - nameWidth / 2, center.y + 5 * k);
+
+    // Fitted dimensions under the name
+    if (shapeLabel) {
+      ctx.font = `bold ${11 * k}px sans-serif`;
+      const shapeWidth = ctx.measureText(shapeLabel).width;
+      const shapeY = center.y + nameHeight / 2 + 6 * k;
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+      ctx.fillRect(center.x - shapeWidth / 2 - 3 * k, shapeY, shapeWidth + 6 * k, 14 * k);
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillText(shapeLabel, center.x - shapeWidth / 2, shapeY + 11 * k);
+    }
+  });
+}
+
+// "D1: 25.4mm" (or px before calibration)
+export function formatDimensionLabel(dim, ppm, unit) {
+  const { pixelLength, length } = measureDimension(dim, ppm);
+  const value = length !== null
+    ? `${convertLength(length, unit).toFixed(unit === 'in' ? 3 : 1)}${UNITS[unit].label}`
+    : `${pixelLength.toFixed(1)}px`;
+  return dim.name ? `${dim.name}: ${value}` : value;
+}
+
+// Engineering-drawing dimension lines: extension lines from the measured points,
+// a dimension line with arrowheads at both ends and the length written along it
+export function drawDimensions(ctx, dimensions, { toCanvas, selectedDimensionId = null, ppm = null, unit = 'mm', sizeScale = 1 }) {
+  const k = sizeScale;
+
+  dimensions.forEach(dim => {
+    const isSelected = dim.id === selectedDimensionId;
+    const color = isSelected ? '#FACC15' : '#F9FAFB';
+    const p1 = toCanvas(dim.start);
+    const p2 = toCanvas(dim.end);
+    const line = dimensionLine(dim);
+    const a = toCanvas(line.start);
+    const b = toCanvas(line.end);
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (!length) return;
+    const ux = (b.x - a.x) / length;
+    const uy = (b.y - a.y) / length;
+
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.lineWidth = (isSelected ? 2 : 1.5) * k;
+
+    // Extension lines: a small gap at the measured point, a small overshoot past the dimension line
+    const offset = Math.hypot(a.x - p1.x, a.y - p1.y);
+    if (offset > 4 * k) {
+      const nx = (a.x - p1.x) / offset;
+      const ny = (a.y - p1.y) / offset;
+      ctx.beginPath();
+      [[p1, a], [p2, b]].forEach(([from, to]) => {
+        ctx.moveTo(from.x + nx * 3 * k, from.y + ny * 3 * k);
+        ctx.lineTo(to.x + nx * 6 * k, to.y + ny * 6 * k);
+      });
+      ctx.stroke();
+    }
+
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.stroke();
+
+    // Arrowheads pointing out to the extension lines
+    const arrow = 9 * k;
+    const spread = 3 * k;
+    [[a, 1], [b, -1]].forEach(([tip, sign]) => {
+      const baseX = tip.x + ux * arrow * sign;
+      const baseY = tip.y + uy * arrow * sign;
+      ctx.beginPath();
+      ctx.moveTo(tip.x, tip.y);
+      ctx.lineTo(baseX - uy * spread, baseY + ux * spread);
+      ctx.lineTo(baseX + uy * spread, baseY - ux * spread);
+      ctx.closePath();
+      ctx.fill();
+    });
+
+    // Measured points
+    [p1, p2].forEach(p => {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, (isSelected ? 4 : 2.5) * k, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+
+    // Label above the middle of the line, kept upright
+    const text = formatDimensionLabel(dim, ppm, unit);
+    let angle = Math.atan2(uy, ux);
+    if (angle > Math.PI / 2 || angle < -Math.PI / 2) angle += Math.PI;
+    ctx.save();
+    ctx.translate((a.x + b.x) / 2, (a.y + b.y) / 2);
+    ctx.rotate(angle);
+    ctx.font = `bold ${11 * k}px sans-serif`;
+    const textWidth = ctx.measureText(text).width;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.fillRect(-textWidth / 2 - 3 * k, -17 * k, textWidth + 6 * k, 14 * k);
+    ctx.fillStyle = color;
+    ctx.fillText(text, -textWidth / 2, -6 * k);
+    ctx.restore();
+  });
+}
+
+// Clearance between two objects (measureClearance): the line between the closest
+// points with the gap written on it, and a thinner dashed centroid-to-centroid line
+export function drawClearance(ctx, clearance, { toCanvas, ppm = null, unit = 'mm', sizeScale = 1 }) {
+  const k = sizeScale;
+  const format = (px) => (ppm
+    ? `${convertLength(px / ppm, unit).toFixed(unit === 'in' ? 3 : 1)}${UNITS[unit].label}`
+    : `${px.toFixed(1)}px`);
+
+  const c1 = toCanvas(clearance.centroids.a);
+  const c2 = toCanvas(clearance.centroids.b);
+  ctx.strokeStyle = 'rgba(249, 250, 251, 0.6)';
+  ctx.lineWidth = 1 * k;
+  ctx.setLineDash([4 * k, 4 * k]);
+  ctx.beginPath();
+  ctx.moveTo(c1.x, c1.y);
+  ctx.lineTo(c2.x, c2.y);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.fillStyle = '#F9FAFB';
+  [c1, c2].forEach(c => {
+    ctx.beginPath();
+    ctx.arc(c.x, c.y, 3 * k, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+
+  const a = toCanvas(clearance.closest.a);
+  const b = toCanvas(clearance.closest.b);
+  ctx.strokeStyle = '#22D3EE';
+  ctx.fillStyle = '#22D3EE';
+  ctx.lineWidth = 2 * k;
+  ctx.beginPath();
+  ctx.moveTo(a.x, a.y);
+  ctx.lineTo(b.x, b.y);
+  ctx.stroke();
+  [a, b].forEach(p => {
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, 4 * k, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+
+  const text = clearance.pixel.minimum > 0 ? format(clearance.pixel.minimum) : 'touching';
+  ctx.font = `bold ${12 * k}px sans-serif`;
+  const textWidth = ctx.measureText(text).width;
+  const mx = (a.x + b.x) / 2;
+  const my = (a.y + b.y) / 2;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+  ctx.fillRect(mx - textWidth / 2 - 4 * k, my - 22 * k, textWidth + 8 * k, 16 * k);
+  ctx.fillStyle = '#22D3EE';
+  ctx.fillText(text, mx - textWidth / 2, my - 10 * k);
+}
+
+// Render the working image with its overlay at the image's own resolution.
+// Resolves a PNG Blob. Strokes and text are scaled as if the image were shown
+// `viewWidth` px wide, so labels stay readable on large photos.
+export function renderAnnotatedPng(image, objects, { ppm = null, unit = 'mm', viewWidth = 1200, showAngles = false, dimensions = [] } = {}) {
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, width, height);
+  const sizeScale = Math.max(1, width / viewWidth);
+  drawObjects(ctx, objects, { toCanvas: (p) => p, ppm, unit, showAngles, sizeScale });
+  drawDimensions(ctx, dimensions, { toCanvas: (p) => p, ppm, unit, sizeScale });
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+  });
+}
@@ -0,0 +1,89 @@
+// Save/load measurement projects as versioned .bob files (JSON).
+// The format is documented in docs/project-file-format.md - update it together
+// with PROJECT_FORMAT_VERSION and MIGRATIONS whenever the saved shape changes.
+
+export const PROJECT_FILE_EXTENSION = '.bob';
+export const PROJECT_FORMAT = 'bob-project';
+export const PROJECT_FORMAT_VERSION = 1;
+
+// Upgrade steps: MIGRATIONS[n] turns a version n project into version n + 1.
+// Never edit a released step; add a new one and bump PROJECT_FORMAT_VERSION.
+const MIGRATIONS = {};
+
+// Build the saved project from the current session
+export function createProject({
+  imageName,
+  imageSrc,
+  imageDimensions,
+  originalImageSrc,
+  calibration,
+  rectification,
+  cameraProfile,
+  objects,
+  dimensions = [],
+  nextObjectId,
+  settings
+}) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_FORMAT_VERSION,
+    savedAt: new Date().toISOString(),
+    image: {
+      name: imageName || null,
+      dataUrl: imageSrc,
+      width: imageDimensions.width,
+      height: imageDimensions.height
+    },
+    // Only stored when the working image was derived (perspective corrected)
+    originalImage: rectification && originalImageSrc !== imageSrc ? { dataUrl: originalImageSrc } : null,
+    calibration: calibration || null,
+    rectification: rectification || null,
+    cameraProfile: cameraProfile || null,
+    objects,
+    dimensions,
+    nextObjectId,
+    settings
+  };
+}
+
+export function serializeProject(project) {
+  return JSON.stringify(project);
+}
+
+// Parse, validate and upgrade a .bob file to the current version.
+// Throws an Error with a user-facing message when the file cannot be opened.
+export function parseProject(text) {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not a BOB project (invalid JSON)');
+  }
+
+  if (!project || project.format !== PROJECT_FORMAT) {
+    throw new Error('This file is not a BOB project');
+  }
+  if (!Number.isInteger(project.version) || project.version < 1) {
+    throw new Error('BOB project has no valid format version');
+  }
+  if (project.version > PROJECT_FORMAT_VERSION) {
+    throw new Error(`This project was saved by a newer version of BOB (format v${project.version}; this app reads up to v${PROJECT_FORMAT_VERSION})`);
+  }
+
+  while (project.version < PROJECT_FORMAT_VERSION) {
+    const migrate = MIGRATIONS[project.version];
+    if (!migrate) throw new Error(`No upgrade path from project format v${project.version}`);
+    project = { ...migrate(project), version: project.version + 1 };
+  }
+
+  if (!project.image || typeof project.image.dataUrl !== 'string') {
+    throw new Error('BOB project is missing its image');
+  }
+  if (!Array.isArray(project.objects)) {
+    throw new Error('BOB project is missing its object list');
+  }
+  if (project.dimensions !== undefined && !Array.isArray(project.dimensions)) {
+    throw new Error('BOB project has an invalid dimension list');
+  }
+  return project;
+}
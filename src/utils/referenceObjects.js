@@ -0,0 +1,100 @@
+// Library of reference objects with known real-world dimensions.
+// Calibration divides a measured pixel length by one of these lengths to get PPM.
+//
+// Every reference is either a 'circle' (diameterMm) or a 'rectangle'
+// (widthMm = long side, heightMm = short side).
+
+export const REFERENCE_CATEGORIES = [
+  { id: 'coin_cad', label: 'Canadian coins' },
+  { id: 'coin_usd', label: 'US coins' },
+  { id: 'coin_eur', label: 'Euro coins' },
+  { id: 'coin_gbp', label: 'UK coins' },
+  { id: 'card', label: 'Cards' },
+  { id: 'paper', label: 'Paper' },
+  { id: 'custom', label: 'Custom' }
+];
+
+export const REFERENCE_OBJECTS = [
+  // Canadian coins
+  { id: 'cad_loonie', category: 'coin_cad', name: 'Loonie ($1 CAD)', shape: 'circle', diameterMm: 26.5 },
+  { id: 'cad_toonie', category: 'coin_cad', name: 'Toonie ($2 CAD)', shape: 'circle', diameterMm: 28.0 },
+  { id: 'cad_quarter', category: 'coin_cad', name: 'Quarter (25¢ CAD)', shape: 'circle', diameterMm: 23.88 },
+  { id: 'cad_dime', category: 'coin_cad', name: 'Dime (10¢ CAD)', shape: 'circle', diameterMm: 18.03 },
+  { id: 'cad_nickel', category: 'coin_cad', name: 'Nickel (5¢ CAD)', shape: 'circle', diameterMm: 21.2 },
+
+  // US coins
+  { id: 'usd_quarter', category: 'coin_usd', name: 'Quarter (25¢ USD)', shape: 'circle', diameterMm: 24.26 },
+  { id: 'usd_dime', category: 'coin_usd', name: 'Dime (10¢ USD)', shape: 'circle', diameterMm: 17.91 },
+  { id: 'usd_nickel', category: 'coin_usd', name: 'Nickel (5¢ USD)', shape: 'circle', diameterMm: 21.21 },
+  { id: 'usd_penny', category: 'coin_usd', name: 'Penny (1¢ USD)', shape: 'circle', diameterMm: 19.05 },
+  { id: 'usd_dollar', category: 'coin_usd', name: 'Dollar coin ($1 USD)', shape: 'circle', diameterMm: 26.49 },
+
+  // Euro coins
+  { id: 'eur_2', category: 'coin_eur', name: '2 Euro', shape: 'circle', diameterMm: 25.75 },
+  { id: 'eur_1', category: 'coin_eur', name: '1 Euro', shape: 'circle', diameterMm: 23.25 },
+  { id: 'eur_50c', category: 'coin_eur', name: '50 Euro cent', shape: 'circle', diameterMm: 24.25 },
+  { id: 'eur_20c', category: 'coin_eur', name: '20 Euro cent', shape: 'circle', diameterMm: 22.25 },
+  { id: 'eur_10c', category: 'coin_eur', name: '10 Euro cent', shape: 'circle', diameterMm: 19.75 },
+
+  // UK coins
+  { id: 'gbp_2', category: 'coin_gbp', name: '£2', shape: 'circle', diameterMm: 28.4 },
+  { id: 'gbp_1', category: 'coin_gbp', name: '£1', shape: 'circle', diameterMm: 23.43 },
+  { id: 'gbp_10p', category: 'coin_gbp', name: '10p', shape: 'circle', diameterMm: 24.5 },
+
+  // Cards and paper (width = long side, height = short side)
+  { id: 'card_id1', category: 'card', name: 'ID-1 card (credit/ID card)', shape: 'rectangle', widthMm: 85.6, heightMm: 53.98 },
+  { id: 'paper_a4', category: 'paper', name: 'A4 paper', shape: 'rectangle', widthMm: 297, heightMm: 210 },
+  { id: 'paper_a5', category: 'paper', name: 'A5 paper', shape: 'rectangle', widthMm: 210, heightMm: 148 },
+  { id: 'paper_letter', category: 'paper', name: 'US Letter paper', shape: 'rectangle', widthMm: 279.4, heightMm: 215.9 }
+];
+
+export const DEFAULT_REFERENCE_ID = 'cad_loonie';
+
+// Build a user-defined reference. Dimensions are in millimeters.
+export function createCustomReference({ shape = 'circle', diameterMm, widthMm, heightMm, name } = {}) {
+  if (shape === 'rectangle') {
+    const long = Math.max(Number(widthMm) || 0, Number(heightMm) || 0);
+    const short = Math.min(Number(widthMm) || 0, Number(heightMm) || 0);
+    return {
+      id: 'custom_rectangle',
+      category: 'custom',
+      name: name || `Custom rectangle ${long} × ${short} mm`,
+      shape: 'rectangle',
+      widthMm: long,
+      heightMm: short
+    };
+  }
+  return {
+    id: 'custom_circle',
+    category: 'custom',
+    name: name || `Custom circle ⌀${Number(diameterMm) || 0} mm`,
+    shape: 'circle',
+    diameterMm: Number(diameterMm) || 0
+  };
+}
+
+export function getReferenceById(id) {
+  return REFERENCE_OBJECTS.find(ref => ref.id === id) || null;
+}
+
+// True when the reference has usable (positive) dimensions
+export function isValidReference(reference) {
+  if (!reference) return false;
+  if (reference.shape === 'circle') return reference.diameterMm > 0;
+  return reference.widthMm > 0 && reference.heightMm > 0;
+}
+
+// Known length (mm) the user measures during two-point manual calibration.
+// For rectangles `edge` selects the long ('width') or short ('height') side.
+export function getReferenceLengthMm(reference, edge = 'width') {
+  if (!reference) return null;
+  if (reference.shape === 'circle') return reference.diameterMm;
+  return edge === 'height' ? reference.heightMm : reference.widthMm;
+}
+
+// Human-readable dimensions, e.g. "⌀26.5 mm" or "85.6 × 53.98 mm"
+export function describeReference(reference) {
+  if (!reference) return '';
+  if (reference.shape === 'circle') return `⌀${reference.diameterMm} mm`;
+  return `${reference.widthMm} × ${reference.heightMm} mm`;
+}
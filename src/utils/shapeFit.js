@@ -0,0 +1,149 @@
+// Fitted shape primitives for objects: circle, ellipse and rotated rectangle.
+// Every fit is kept so the classification can be overridden by hand; `type` is the
+// one reported. Dimensions are in image px, angles in degrees clockwise from the
+// image x axis (y points down) in [0, 180).
+import {
+  fitCircle,
+  minAreaRect,
+  polygonArea,
+  polygonMoments,
+  polygonPerimeter,
+  distancePointToPolygon
+} from './geometry';
+import { propagateLength } from './uncertainty';
+
+export const SHAPE_TYPES = {
+  circle: 'Circle',
+  ellipse: 'Ellipse',
+  rectangle: 'Rectangle',
+  polygon: 'Polygon'
+};
+
+// Fitted dimensions (px) reported for each primitive
+export const SHAPE_DIMENSIONS = {
+  circle: ['diameter'],
+  ellipse: ['majorAxis', 'minorAxis'],
+  rectangle: ['length', 'width']
+};
+
+// 🔧 SHAPE TUNING: classification thresholds
+// Residuals are RMS distances of the vertices from the fitted outline, relative to its size
+// DECREASE the residual limits to report fewer primitives and more free polygons
+const MIN_CURVED_VERTICES = 6; // fewer vertices can't tell a circle from a polygon
+const CIRCLE_MIN_CIRCULARITY = 0.85;
+const CIRCLE_MAX_RESIDUAL = 0.04; // / radius
+const CIRCLE_MIN_AXIS_RATIO = 0.9; // minor / major axis of the fitted ellipse
+const ELLIPSE_MAX_RESIDUAL = 0.06; // / semi-minor axis
+const RECTANGLE_MIN_FILL = 0.9; // polygon area / rectangle area
+const RECTANGLE_MAX_RESIDUAL = 0.05; // / short side
+
+// Ellipse with the same area moments as the polygon. Exact for a true ellipse and
+// stable for noisy outlines; `residual` is the RMS radial distance of the vertices.
+function fitEllipse(points) {
+  const m = polygonMoments(points);
+  if (!m) return null;
+  const trace = m.muXX + m.muYY;
+  const diff = Math.sqrt(((m.muXX - m.muYY) / 2) ** 2 + m.muXY ** 2);
+  const l1 = trace / 2 + diff;
+  const l2 = trace / 2 - diff;
+  if (l2 <= 0) return null;
+  const a = 2 * Math.sqrt(l1); // semi-major
+  const b = 2 * Math.sqrt(l2); // semi-minor
+  const theta = Math.atan2(2 * m.muXY, m.muXX - m.muYY) / 2;
+  const cos = Math.cos(theta);
+  const sin = Math.sin(theta);
+  const residual = Math.sqrt(points.reduce((s, p) => {
+    const dx = p.x - m.centroid.x;
+    const dy = p.y - m.centroid.y;
+    const u = dx * cos + dy * sin;
+    const v = -dx * sin + dy * cos;
+    const r = Math.hypot(u, v);
+    if (!r) return s + b * b;
+    const rEllipse = (a * b) / Math.hypot(b * u / r, a * v / r);
+    return s + (r - rEllipse) ** 2;
+  }, 0) / points.length);
+  return {
+    center: m.centroid,
+    majorAxis: 2 * a,
+    minorAxis: 2 * b,
+    angle: (((theta * 180) / Math.PI) % 180 + 180) % 180,
+    residual
+  };
+}
+
+// Every primitive fitted to a closed polygon, and the best classification.
+// `keepType` (a manual override) is kept when that primitive could be fitted.
+export function fitShape(points, { circularity = null, keepType = null } = {}) {
+  if (!points || points.length < 3) return null;
+
+  const circleFit = fitCircle(points);
+  const ellipse = fitEllipse(points);
+  const rect = minAreaRect(points);
+  const circle = circleFit
+    ? { center: circleFit.center, diameter: 2 * circleFit.radius, residual: circleFit.residual }
+    : null;
+  const rectangle = rect
+    ? {
+        center: rect.center,
+        length: rect.length,
+        width: rect.width,
+        angle: rect.angle,
+        corners: rect.corners,
+        residual: Math.sqrt(points.reduce((s, p) => s + distancePointToPolygon(p, rect.corners) ** 2, 0) / points.length)
+      }
+    : null;
+
+  const perimeter = polygonPerimeter(points);
+  const area = polygonArea(points);
+  const roundness = circularity ?? (perimeter ? (4 * Math.PI * area) / (perimeter * perimeter) : 0);
+  const curved = points.length >= MIN_CURVED_VERTICES;
+
+  // Normalised residual of each candidate that passes its thresholds
+  const candidates = [];
+  if (curved && circle && ellipse &&
+      roundness >= CIRCLE_MIN_CIRCULARITY &&
+      circle.residual / (circle.diameter / 2) <= CIRCLE_MAX_RESIDUAL &&
+      ellipse.minorAxis / ellipse.majorAxis >= CIRCLE_MIN_AXIS_RATIO) {
+    candidates.push({ type: 'circle', score: 0 }); // Simplest description wins outright
+  }
+  if (curved && ellipse && ellipse.residual / (ellipse.minorAxis / 2) <= ELLIPSE_MAX_RESIDUAL) {
+    candidates.push({ type: 'ellipse', score: ellipse.residual / (ellipse.minorAxis / 2) });
+  }
+  if (rectangle && rectangle.width > 0 &&
+      area / (rectangle.length * rectangle.width) >= RECTANGLE_MIN_FILL &&
+      rectangle.residual / rectangle.width <= RECTANGLE_MAX_RESIDUAL) {
+    candidates.push({ type: 'rectangle', score: rectangle.residual / rectangle.width });
+  }
+  candidates.sort((a, b) => a.score - b.score);
+  const autoType = candidates[0]?.type || 'polygon';
+
+  const fits = { circle, ellipse, rectangle };
+  const type = keepType && (keepType === 'polygon' || fits[keepType]) ? keepType : autoType;
+  return { type, autoType, ...fits };
+}
+
+// Refit an object's shape after its vertices changed, keeping a manual override
+export function withShape(obj) {
+  const previous = obj.shape;
+  const keepType = previous && previous.type !== previous.autoType ? previous.type : null;
+  return { ...obj, shape: fitShape(obj.points, { circularity: obj.circularity, keepType }) };
+}
+
+// Fitted dimensions in mm with standard uncertainties.
+// `sigmaPx` is the position uncertainty of a fitted outline point.
+export function measureShape(shape, ppm, ppmUncertainty, sigmaPx) {
+  if (!shape || !ppm) return null;
+  const length = (px) => ({
+    value: Math.round((px / ppm) * 100) / 100,
+    uncertainty: propagateLength(px, sigmaPx, ppm, ppmUncertainty)
+  });
+  return {
+    circle: shape.circle ? { diameter: length(shape.circle.diameter) } : null,
+    ellipse: shape.ellipse
+      ? { majorAxis: length(shape.ellipse.majorAxis), minorAxis: length(shape.ellipse.minorAxis) }
+      : null,
+    rectangle: shape.rectangle
+      ? { length: length(shape.rectangle.length), width: length(shape.rectangle.width) }
+      : null
+  };
+}
@@ -0,0 +1,62 @@
+// Sub-pixel corner refinement on 8-bit grayscale pixels ({ data, width, height }),
+// the same gradient method as OpenCV's cornerSubPix (not in the bundled OpenCV.js build).
+// Around a true corner q every image gradient g at p is orthogonal to p - q, so q
+// solves Σ g·gᵀ · q = Σ g·gᵀ · p over the window; this is iterated from the start point.
+
+// Bilinear sample, clamped to the image
+function sample(gray, x, y) {
+  const { data, width, height } = gray;
+  const cx = Math.min(Math.max(x, 0), width - 1);
+  const cy = Math.min(Math.max(y, 0), height - 1);
+  const x0 = Math.min(Math.floor(cx), width - 2);
+  const y0 = Math.min(Math.floor(cy), height - 2);
+  const fx = cx - x0;
+  const fy = cy - y0;
+  const i = y0 * width + x0;
+  const top = data[i] + (data[i + 1] - data[i]) * fx;
+  const bottom = data[i + width] + (data[i + width + 1] - data[i + width]) * fx;
+  return top + (bottom - top) * fy;
+}
+
+// Refine `point` to the corner in the (2·winSize + 1)² window around it.
+// Returns the refined { x, y }, or the original point when the window has no corner
+// (flat or a straight edge) or the estimate leaves the window.
+export function cornerSubPix(gray, point, { winSize = 5, maxIterations = 40, epsilon = 0.01 } = {}) {
+  if (gray.width < 3 || gray.height < 3) return point;
+  let x = point.x;
+  let y = point.y;
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let a = 0;
+    let b = 0;
+    let c = 0;
+    let bx = 0;
+    let by = 0;
+    for (let j = -winSize; j <= winSize; j++) {
+      for (let i = -winSize; i <= winSize; i++) {
+        const px = x + i;
+        const py = y + j;
+        const gx = (sample(gray, px + 1, py) - sample(gray, px - 1, py)) / 2;
+        const gy = (sample(gray, px, py + 1) - sample(gray, px, py - 1)) / 2;
+        // Gaussian weight so the window centre counts most
+        const weight = Math.exp(-(i * i + j * j) / (winSize * winSize));
+        const gxx = gx * gx * weight;
+        const gxy = gx * gy * weight;
+        const gyy = gy * gy * weight;
+        a += gxx;
+        b += gxy;
+        c += gyy;
+        bx += gxx * i + gxy * j;
+        by += gxy * i + gyy * j;
+      }
+    }
+    const det = a * c - b * b;
+    if (Math.abs(det) < 1e-6 * (a + c) * (a + c) || !det) break;
+    const dx = (c * bx - b * by) / det;
+    const dy = (a * by - b * bx) / det;
+    x += dx;
+    y += dy;
+    if (Math.abs(x - point.x) > winSize || Math.abs(y - point.y) > winSize) return point;
+    if (dx * dx + dy * dy <= epsilon * epsilon) break;
+  }
+  return { x, y };
+}
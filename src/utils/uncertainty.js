@@ -0,0 +1,88 @@
+// Measurement uncertainty helpers.
+//
+// Uncertainties are stored as standard uncertainties (1σ) next to each value and
+// displayed as expanded uncertainties (COVERAGE_FACTOR × σ, ≈95% confidence).
+// Pixel-level sources: vertex localisation (σ per vertex, px) and the calibration
+// scale (σ of PPM). Both are propagated with first-order error propagation.
+
+export const COVERAGE_FACTOR = 2;
+
+// 🔧 Localisation floor for a detected edge or vertex, in image pixels
+export const EDGE_LOCALISATION_PX = 0.5;
+
+// 🔧 How precisely a user can click, in screen (canvas) pixels
+export const CLICK_PRECISION_PX = 1;
+
+export function standardDeviation(values) {
+  if (!values || values.length < 2) return 0;
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  const variance = values.reduce((s, v) => s + (v - mean) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+// Root-sum-square of independent uncertainty contributions
+export function combineUncertainties(...sigmas) {
+  return Math.sqrt(sigmas.reduce((s, v) => s + (v || 0) ** 2, 0));
+}
+
+// σ of a length measured in pixels, in mm
+export function propagateLength(pixelLength, pixelSigma, ppm, ppmSigma = 0) {
+  return combineUncertainties(pixelSigma / ppm, (pixelLength * ppmSigma) / (ppm * ppm));
+}
+
+// σ of an area measured in px², in mm²
+export function propagateArea(pixelArea, pixelAreaSigma, ppm, ppmSigma = 0) {
+  return combineUncertainties(pixelAreaSigma / (ppm * ppm), (2 * pixelArea * ppmSigma) / (ppm ** 3));
+}
+
+// σ (px) of an edge whose two end vertices each have σ = vertexSigma
+export function edgePixelSigma(vertexSigma) {
+  return Math.SQRT2 * vertexSigma;
+}
+
+// σ (px) of a polygon perimeter; each vertex moves two edges, so n vertices give 2n terms
+export function perimeterPixelSigma(vertexSigma, vertexCount) {
+  return Math.sqrt(2 * vertexCount) * vertexSigma;
+}
+
+// σ (px²) of a polygon area: moving vertex i normal to the outline sweeps roughly
+// half of each adjacent edge, so its contribution is σ·(l(i-1) + l(i)) / 2
+export function areaPixelSigma(vertexSigma, edgeLengths) {
+  let sum = 0;
+  for (let i = 0; i < edgeLengths.length; i++) {
+    const prev = edgeLengths[(i - 1 + edgeLengths.length) % edgeLengths.length];
+    sum += ((prev + edgeLengths[i]) / 2) ** 2;
+  }
+  return vertexSigma * Math.sqrt(sum);
+}
+
+// σ (degrees) of the angle ABC when each of the three points has σ = pointSigma (px).
+// Moving a or c across its arm turns that arm by σ/length; moving b turns both.
+export function angleSigma(pointSigma, a, b, c) {
+  const armA = Math.hypot(a.x - b.x, a.y - b.y);
+  const armC = Math.hypot(c.x - b.x, c.y - b.y);
+  if (!armA || !armC) return 0;
+  const chord = Math.hypot(a.x - c.x, a.y - c.y);
+  const radians = pointSigma * Math.sqrt(1 / armA ** 2 + 1 / armC ** 2 + (chord / (armA * armC)) ** 2);
+  return (radians * 180) / Math.PI;
+}
+
+// Round an uncertainty to one significant digit (two when it starts with a 1)
+// and return the number of decimals to show for the matching value
+export function uncertaintyDecimals(sigma) {
+  if (!sigma || !isFinite(sigma) || sigma <= 0) return 2;
+  const exponent = Math.floor(Math.log10(sigma));
+  const leading = sigma / 10 ** exponent;
+  const digits = leading < 2 ? 2 : 1;
+  return Math.max(0, digits - 1 - exponent);
+}
+
+// "12.3 ± 0.4 mm": value rounded to the precision its expanded uncertainty supports
+export function formatWithUncertainty(value, sigma, unit = 'mm') {
+  if (value === null || value === undefined) return '';
+  const suffix = unit ? ` ${unit}` : '';
+  if (!sigma) return `${value.toFixed(2)}${suffix}`;
+  const expanded = sigma * COVERAGE_FACTOR;
+  const decimals = uncertaintyDecimals(expanded);
+  return `${value.toFixed(decimals)} ± ${expanded.toFixed(decimals)}${suffix}`;
+}
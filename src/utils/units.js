@@ -0,0 +1,30 @@
+// Display/export units. All measurements are stored in mm and converted on output.
+import { formatWithUncertainty } from './uncertainty';
+
+export const UNITS = {
+  mm: { id: 'mm', label: 'mm', perMm: 1 },
+  cm: { id: 'cm', label: 'cm', perMm: 0.1 },
+  in: { id: 'in', label: 'in', perMm: 1 / 25.4 }
+};
+
+export const DEFAULT_UNIT = 'mm';
+
+export function convertLength(mm, unit = DEFAULT_UNIT) {
+  if (mm === null || mm === undefined) return null;
+  return mm * UNITS[unit].perMm;
+}
+
+export function convertArea(mm2, unit = DEFAULT_UNIT) {
+  if (mm2 === null || mm2 === undefined) return null;
+  return mm2 * UNITS[unit].perMm ** 2;
+}
+
+// "12.3 ± 0.4 mm" in the requested unit
+export function formatLength(mm, sigmaMm, unit = DEFAULT_UNIT) {
+  return formatWithUncertainty(convertLength(mm, unit), convertLength(sigmaMm, unit), UNITS[unit].label);
+}
+
+// "120 ± 3 mm²" in the requested unit
+export function formatArea(mm2, sigmaMm2, unit = DEFAULT_UNIT) {
+  return formatWithUncertainty(convertArea(mm2, unit), convertArea(sigmaMm2, unit), `${UNITS[unit].label}²`);
+}
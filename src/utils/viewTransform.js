@@ -0,0 +1,74 @@
+// The canvas view of the displayed image: a zoom factor and a pan offset.
+// canvas px = image px × zoom + offset. Every pointer and drawing calculation goes
+// through these helpers so clicks land where the image is drawn at any zoom.
+
+// Largest canvas the image is fitted into (CSS may shrink it further)
+export const VIEWPORT_MAX_WIDTH = 1200;
+export const VIEWPORT_MAX_HEIGHT = 800;
+
+// Largest zoom relative to the image's own pixels (1 = 100%); the smallest is the fit
+export const MAX_ZOOM = 16;
+
+// Zoom that fits the whole image in the viewport, never enlarging it
+export function fitZoom(imageSize) {
+  return Math.min(VIEWPORT_MAX_WIDTH / imageSize.width, VIEWPORT_MAX_HEIGHT / imageSize.height, 1);
+}
+
+// Canvas size for an image: the image at its fit zoom
+export function viewportSize(imageSize) {
+  const zoom = fitZoom(imageSize);
+  return { width: Math.round(imageSize.width * zoom), height: Math.round(imageSize.height * zoom) };
+}
+
+// Whole image visible
+export function createFitView(imageSize) {
+  return { zoom: fitZoom(imageSize), offsetX: 0, offsetY: 0 };
+}
+
+const clampZoom = (zoom, imageSize) => Math.max(fitZoom(imageSize), Math.min(MAX_ZOOM, zoom));
+
+// Keep the image covering the viewport when zoomed in, and centred when smaller than it
+export function clampView(view, imageSize) {
+  const viewport = viewportSize(imageSize);
+  const zoom = clampZoom(view.zoom, imageSize);
+  const clampAxis = (offset, imageLength, viewLength) => {
+    const scaled = imageLength * zoom;
+    if (scaled <= viewLength) return (viewLength - scaled) / 2;
+    return Math.min(0, Math.max(viewLength - scaled, offset));
+  };
+  return {
+    zoom,
+    offsetX: clampAxis(view.offsetX, imageSize.width, viewport.width),
+    offsetY: clampAxis(view.offsetY, imageSize.height, viewport.height)
+  };
+}
+
+// Image at 100%, keeping the viewport centre in place
+export function createActualSizeView(view, imageSize) {
+  const viewport = viewportSize(imageSize);
+  return zoomAt(view, 1 / view.zoom, { x: viewport.width / 2, y: viewport.height / 2 }, imageSize);
+}
+
+export function imageToCanvas(view, p) {
+  return { x: p.x * view.zoom + view.offsetX, y: p.y * view.zoom + view.offsetY };
+}
+
+export function canvasToImage(view, p) {
+  return { x: (p.x - view.offsetX) / view.zoom, y: (p.y - view.offsetY) / view.zoom };
+}
+
+// Multiply the zoom by `factor` keeping the image point under `canvasPoint` fixed
+export function zoomAt(view, factor, canvasPoint, imageSize) {
+  const zoom = clampZoom(view.zoom * factor, imageSize);
+  const anchor = canvasToImage(view, canvasPoint);
+  return clampView({
+    zoom,
+    offsetX: canvasPoint.x - anchor.x * zoom,
+    offsetY: canvasPoint.y - anchor.y * zoom
+  }, imageSize);
+}
+
+// Move the view by a canvas-pixel delta
+export function panBy(view, dx, dy, imageSize) {
+  return clampView({ ...view, offsetX: view.offsetX + dx, offsetY: view.offsetY + dy }, imageSize);
+}
@@ -4,6 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The detection worker is a module worker (see src/opencvUtils.js)
+  worker: {
+    format: 'es'
+  },
   optimizeDeps: {
     exclude: ['@techstark/opencv-js']
   }